@@ -0,0 +1,85 @@
+import { LitElement, html, css } from 'lit';
+import 'mdui/components/linear-progress.js';
+
+/**
+ * Web component showing how far an analysis has progressed, by default how many pull requests of a repository are analysed.
+ *
+ * @element analysis-progress-indicator
+ * @property {Number} completed - Number of analysed pull requests.
+ * @property {Number} total - Total number of pull requests.
+ * @property {String} label - What is counted, 'PRs analysed' by default.
+ * @fires analysis-cancel - When the user cancels the running analysis.
+ */
+export class AnalysisProgressIndicator extends LitElement {
+  static properties = {
+    completed: { type: Number },
+    total: { type: Number },
+    label: { type: String }
+  };
+
+  static styles = [
+    css`
+      :host {
+        display: block;
+        margin-bottom: 16px;
+      }
+      .progress {
+        display: grid;
+        grid-template-areas:
+          'label cancel'
+          'bar bar';
+        grid-template-columns: 1fr auto;
+        align-items: center;
+        row-gap: 6px;
+      }
+      .progress-label {
+        grid-area: label;
+        color: var(--mdui-color-on-surface-variant, #666);
+        font-size: 0.95em;
+      }
+      .cancel-btn {
+        grid-area: cancel;
+        background: none;
+        border: none;
+        color: var(--mdui-color-primary, #1976d2);
+        cursor: pointer;
+        font-weight: 500;
+      }
+      mdui-linear-progress {
+        grid-area: bar;
+      }
+    `
+  ];
+
+  constructor() {
+    super();
+    this.completed = 0;
+    this.total = 0;
+    this.label = 'PRs analysed';
+  }
+
+  /**
+   * Notifies the parent that the user wants to stop the analysis.
+   */
+  handleCancel() {
+    this.dispatchEvent(new CustomEvent('analysis-cancel', { bubbles: true, composed: true }));
+  }
+
+  /**
+   * Renders the progress bar with a "completed / total PRs analysed" label.
+   * @returns {import('lit').TemplateResult}
+   */
+  render() {
+    return html`
+      <section class="progress" role="status">
+        <span class="progress-label">
+          ${this.completed.toLocaleString()} / ${this.total.toLocaleString()} ${this.label}
+        </span>
+        <button class="cancel-btn" @click=${this.handleCancel}>Cancel</button>
+        <mdui-linear-progress .value=${this.completed} .max=${Math.max(this.total, 1)}></mdui-linear-progress>
+      </section>
+    `;
+  }
+}
+
+customElements.define('analysis-progress-indicator', AnalysisProgressIndicator);
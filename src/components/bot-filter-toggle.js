@@ -0,0 +1,58 @@
+import { LitElement, html, css } from 'lit';
+import { areBotsHidden, setBotsHidden, onContributorIdentityChange } from '../services/contributor-identity-service.js';
+
+/**
+ * Web component with a checkbox hiding bot accounts such as dependabot, renovate and GitHub Actions
+ * from all charts, lists and statistics. The choice applies to all views.
+ *
+ * @element bot-filter-toggle
+ */
+export class BotFilterToggle extends LitElement {
+  static properties = {
+    hideBots: { type: Boolean }
+  };
+
+  static styles = [
+    css`
+      :host {
+        display: block;
+        margin-bottom: 12px;
+        color: var(--mdui-color-on-surface-variant, #666);
+      }
+      label {
+        cursor: pointer;
+      }
+    `
+  ];
+
+  constructor() {
+    super();
+    this.hideBots = areBotsHidden();
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this._removeIdentityListener = onContributorIdentityChange(() => { this.hideBots = areBotsHidden(); });
+  }
+
+  disconnectedCallback() {
+    this._removeIdentityListener?.();
+    this._removeIdentityListener = null;
+    super.disconnectedCallback();
+  }
+
+  render() {
+    return html`
+      <label>
+        <input
+          type="checkbox"
+          .checked=${this.hideBots}
+          @change=${event => setBotsHidden(event.target.checked)}
+        >
+        Hide bot accounts
+      </label>
+    `;
+  }
+}
+
+customElements.define('bot-filter-toggle', BotFilterToggle);
@@ -0,0 +1,58 @@
+import { LitElement, html, css } from 'lit';
+import { isRawChurnShown, setRawChurnShown, onFileExclusionChange } from '../services/file-exclusion-service.js';
+
+/**
+ * Web component with a checkbox switching the line change statistics between filtered numbers
+ * (without generated and vendored files and lockfiles) and raw numbers. The choice applies to all views.
+ *
+ * @element churn-filter-toggle
+ */
+export class ChurnFilterToggle extends LitElement {
+  static properties = {
+    showRaw: { type: Boolean }
+  };
+
+  static styles = [
+    css`
+      :host {
+        display: block;
+        margin-bottom: 12px;
+        color: var(--mdui-color-on-surface-variant, #666);
+      }
+      label {
+        cursor: pointer;
+      }
+    `
+  ];
+
+  constructor() {
+    super();
+    this.showRaw = isRawChurnShown();
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this._removeExclusionListener = onFileExclusionChange(() => { this.showRaw = isRawChurnShown(); });
+  }
+
+  disconnectedCallback() {
+    this._removeExclusionListener?.();
+    this._removeExclusionListener = null;
+    super.disconnectedCallback();
+  }
+
+  render() {
+    return html`
+      <label>
+        <input
+          type="checkbox"
+          .checked=${this.showRaw}
+          @change=${event => setRawChurnShown(event.target.checked)}
+        >
+        Include generated files, vendored code and lockfiles in line counts
+      </label>
+    `;
+  }
+}
+
+customElements.define('churn-filter-toggle', ChurnFilterToggle);
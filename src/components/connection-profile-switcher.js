@@ -0,0 +1,160 @@
+import { LitElement, html, css } from 'lit';
+import 'mdui/components/text-field.js';
+import 'mdui/components/button.js';
+import {
+  getConnectionProfiles,
+  setActiveConnectionProfile,
+  addConnectionProfile,
+  removeConnectionProfile
+} from '../services/connection-profile-service.js';
+
+/**
+ * Web component for switching between GitHub connection profiles (e.g. github.com and a
+ * GitHub Enterprise Server instance) and for adding or removing profiles.
+ *
+ * @element connection-profile-switcher
+ * @property {Object} connection - The active connection, used to mark the selected profile.
+ */
+export class ConnectionProfileSwitcher extends LitElement {
+  static properties = {
+    connection: { type: Object },
+    showAddForm: { type: Boolean },
+    newProfileName: { type: String },
+    newProfileApiBaseUrl: { type: String },
+    error: { type: String }
+  };
+
+  static styles = [
+    css`
+      :host {
+        display: block;
+      }
+      .profile-switcher {
+        display: grid;
+        grid-template-areas: 'profile-select add-profile remove-profile';
+        grid-template-columns: 1fr auto auto;
+        gap: 4px;
+        align-items: center;
+      }
+      .profile-select {
+        grid-area: profile-select;
+        min-width: 0;
+      }
+      .add-profile-btn {
+        grid-area: add-profile;
+      }
+      .remove-profile-btn {
+        grid-area: remove-profile;
+      }
+      .add-profile-form {
+        display: grid;
+        row-gap: 8px;
+        margin-top: 8px;
+      }
+      .error {
+        color: var(--mdui-color-error, #d32f2f);
+        font-size: 0.9rem;
+      }
+    `
+  ];
+
+  constructor() {
+    super();
+    this.connection = null;
+    this.showAddForm = false;
+    this.newProfileName = '';
+    this.newProfileApiBaseUrl = '';
+    this.error = '';
+  }
+
+  /**
+   * Activates the profile chosen in the select box.
+   * @param {Event} event
+   */
+  handleProfileChange(event) {
+    setActiveConnectionProfile(event.target.value);
+  }
+
+  /**
+   * Adds the profile entered in the form and activates it.
+   * @param {SubmitEvent} event
+   */
+  handleAddProfile(event) {
+    event.preventDefault();
+    try {
+      addConnectionProfile({ name: this.newProfileName, apiBaseUrl: this.newProfileApiBaseUrl });
+      this.showAddForm = false;
+      this.newProfileName = '';
+      this.newProfileApiBaseUrl = '';
+      this.error = '';
+    } catch (err) {
+      this.error = err.message;
+    }
+  }
+
+  /**
+   * Removes the active profile after confirmation.
+   */
+  handleRemoveProfile() {
+    if (!this.connection) return;
+    if (confirm(`Remove the connection profile "${this.connection.name}"?`)) {
+      removeConnectionProfile(this.connection.id);
+    }
+  }
+
+  /**
+   * Renders the form for adding a profile.
+   * @returns {import('lit').TemplateResult}
+   */
+  renderAddForm() {
+    return html`
+      <form class="add-profile-form" @submit=${this.handleAddProfile}>
+        <mdui-text-field
+          label="Profile name"
+          .value=${this.newProfileName}
+          @input=${event => { this.newProfileName = event.target.value; }}
+        ></mdui-text-field>
+        <mdui-text-field
+          label="API base URL"
+          helper="e.g. https://github.example.com/api/v3"
+          .value=${this.newProfileApiBaseUrl}
+          @input=${event => { this.newProfileApiBaseUrl = event.target.value; }}
+        ></mdui-text-field>
+        <mdui-button type="submit">Add profile</mdui-button>
+        ${this.error ? html`<div class="error">${this.error}</div>` : ''}
+      </form>
+    `;
+  }
+
+  /**
+   * Renders the profile select box with add and remove actions.
+   * @returns {import('lit').TemplateResult}
+   */
+  render() {
+    const profiles = getConnectionProfiles();
+    return html`
+      <section class="profile-switcher">
+        <select class="profile-select mdui-select" aria-label="Connection profile" @change=${this.handleProfileChange}>
+          ${profiles.map(profile => html`
+            <option value="${profile.id}" ?selected=${this.connection?.id === profile.id}>
+              ${profile.name} (${new URL(profile.apiBaseUrl).host})
+            </option>
+          `)}
+        </select>
+        <button class="add-profile-btn mdui-btn" @click=${() => { this.showAddForm = !this.showAddForm; }}>
+          ${this.showAddForm ? 'Close' : 'Add'}
+        </button>
+        ${profiles.length > 1 ? html`
+          <button class="remove-profile-btn mdui-btn" @click=${this.handleRemoveProfile}>Remove</button>
+        ` : ''}
+      </section>
+      ${this.showAddForm ? this.renderAddForm() : ''}
+    `;
+  }
+
+  createRenderRoot() {
+    return this;
+  }
+}
+
+customElements.define('connection-profile-switcher', ConnectionProfileSwitcher);
@@ -0,0 +1,182 @@
+import { LitElement, html, css } from 'lit';
+import { getContributorAliases, saveContributorAliases } from '../services/contributor-identity-service.js';
+
+/**
+ * Returns the saved aliases as editable rows.
+ * @returns {Array<{ login: string, person: string }>}
+ */
+function getAliasRows() {
+  return Object.entries(getContributorAliases())
+    .map(([login, person]) => ({ login, person }))
+    .sort((a, b) => a.person.localeCompare(b.person) || a.login.localeCompare(b.login));
+}
+
+/**
+ * Web component for mapping several GitHub logins to one person, e.g. after someone switched accounts.
+ * Saving stores the mapping locally; all views then count the pull requests and reviews of these
+ * logins under the person's name.
+ *
+ * @element contributor-alias-editor
+ */
+export class ContributorAliasEditor extends LitElement {
+  static properties = {
+    rows: { type: Array },
+    dirty: { type: Boolean }
+  };
+
+  static styles = [
+    css`
+      :host {
+        display: block;
+        margin: 16px 0;
+      }
+      .aliases {
+        max-height: 360px;
+        overflow-y: auto;
+        border: 1px solid #eee;
+        border-radius: 4px;
+      }
+      table {
+        width: 100%;
+        border-collapse: collapse;
+      }
+      th, td {
+        text-align: left;
+        padding: 4px 8px;
+        border-bottom: 1px solid #eee;
+      }
+      th {
+        position: sticky;
+        top: 0;
+        background: var(--mdui-color-surface, #fff);
+      }
+      input[type='text'] {
+        width: 100%;
+        box-sizing: border-box;
+      }
+      .actions {
+        display: grid;
+        grid-auto-flow: column;
+        justify-content: start;
+        gap: 8px;
+        margin-top: 8px;
+      }
+      .icon-btn {
+        background: none;
+        border: none;
+        cursor: pointer;
+        padding: 2px 6px;
+      }
+      .empty {
+        color: var(--mdui-color-on-surface-variant, #666);
+      }
+    `
+  ];
+
+  constructor() {
+    super();
+    this.rows = getAliasRows();
+    this.dirty = false;
+  }
+
+  /**
+   * Changes one field of an alias.
+   * @param {number} index - The row index.
+   * @param {string} field - 'login' or 'person'.
+   * @param {string} value - The new value.
+   */
+  updateRow(index, field, value) {
+    this.rows = this.rows.map((row, i) => (i === index ? { ...row, [field]: value } : row));
+    this.dirty = true;
+  }
+
+  /**
+   * Removes an alias.
+   * @param {number} index - The row index.
+   */
+  removeRow(index) {
+    this.rows = this.rows.filter((row, i) => i !== index);
+    this.dirty = true;
+  }
+
+  /**
+   * Adds an empty alias at the top.
+   */
+  addRow() {
+    this.rows = [{ login: '', person: '' }, ...this.rows];
+    this.dirty = true;
+  }
+
+  /**
+   * Saves the aliases.
+   */
+  handleSave() {
+    saveContributorAliases(Object.fromEntries(this.rows.map(row => [row.login, row.person])));
+    this.rows = getAliasRows();
+    this.dirty = false;
+  }
+
+  /**
+   * Renders the editable row of one alias.
+   * @param {{ login: string, person: string }} row - The alias.
+   * @param {number} index - The row index.
+   * @returns {import('lit').TemplateResult}
+   */
+  renderRow(row, index) {
+    return html`
+      <tr>
+        <td>
+          <input
+            type="text"
+            aria-label="Login"
+            placeholder="old-login"
+            .value=${row.login}
+            @input=${event => this.updateRow(index, 'login', event.target.value)}
+          >
+        </td>
+        <td>
+          <input
+            type="text"
+            aria-label="Counted as"
+            placeholder="current-login"
+            .value=${row.person}
+            @input=${event => this.updateRow(index, 'person', event.target.value)}
+          >
+        </td>
+        <td>
+          <button class="icon-btn" aria-label="Remove alias" @click=${() => this.removeRow(index)}>✕</button>
+        </td>
+      </tr>
+    `;
+  }
+
+  render() {
+    return html`
+      <section>
+        <h3 class="mdui-typo">Contributor aliases</h3>
+        <p class="mdui-typo">
+          Pull requests and reviews of a login are counted as the person it is mapped to.
+          Use the person's current login to keep contributor links working.
+        </p>
+        ${this.rows.length ? html`
+          <div class="aliases">
+            <table>
+              <thead>
+                <tr><th>Login</th><th>Counted as</th><th></th></tr>
+              </thead>
+              <tbody>
+                ${this.rows.map((row, index) => this.renderRow(row, index))}
+              </tbody>
+            </table>
+          </div>
+        ` : html`<p class="empty">No aliases yet.</p>`}
+        <div class="actions">
+          <button @click=${this.addRow}>Add alias</button>
+          <button @click=${this.handleSave} ?disabled=${!this.dirty}>Save</button>
+        </div>
+      </section>
+    `;
+  }
+}
+
+customElements.define('contributor-alias-editor', ContributorAliasEditor);
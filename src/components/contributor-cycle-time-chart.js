@@ -0,0 +1,149 @@
+import { LitElement, html, css } from 'lit';
+import Chart from 'chart.js/auto';
+import { observeViewport } from '../utils/viewport-observer.js';
+import { CYCLE_TIME_METRICS, CYCLE_TIME_METRIC_LABELS, formatDuration } from '../utils/cycle-time.js';
+import { TIME_GRANULARITIES, TIME_GRANULARITY_LABELS, TIME_GRANULARITY_ADJECTIVES } from '../utils/time-periods.js';
+
+/** Line colors of the lead-time metrics. */
+const METRIC_COLORS = {
+  [CYCLE_TIME_METRICS.TIME_TO_FIRST_REVIEW]: 'rgba(255, 152, 0, 0.9)',
+  [CYCLE_TIME_METRICS.TIME_TO_MERGE]: 'rgba(76, 175, 80, 0.9)',
+  [CYCLE_TIME_METRICS.CYCLE_TIME]: 'rgba(25, 118, 210, 0.9)'
+};
+
+const MILLISECONDS_PER_DAY = 86400000;
+
+/**
+ * Web component for visualizing pull request lead times: a table with median, p75 and p90
+ * of every metric and a chart of the medians per week or another period.
+ *
+ * @element contributor-cycle-time-chart
+ * @property {Object} summary - { timeToFirstReview, timeToMerge, cycleTime }, each { count, median, p75, p90 }
+ * @property {Array} periodData - Array of { period: string, timeToFirstReview, timeToMerge, cycleTime }
+ * @property {String} granularity - The period size of `periodData`: 'day', 'week' (default), 'month' or 'quarter'.
+ * @property {String} contributor - Contributor username, or a label such as "all contributors"
+ */
+export class ContributorCycleTimeChart extends LitElement {
+  static properties = {
+    summary: { type: Object },
+    periodData: { type: Array },
+    granularity: { type: String },
+    contributor: { type: String }
+  };
+
+  static styles = [
+    css`
+      :host { display: block; }
+      table { border-collapse: collapse; margin-bottom: 8px; font-size: 0.95em; }
+      th, td { padding: 4px 12px; text-align: right; border-bottom: 1px solid #eee; }
+      th:first-child, td:first-child { text-align: left; }
+      canvas { width: 100% !important; max-width: 700px; min-width: 400px; height: 320px !important; }
+    `
+  ];
+
+  constructor() {
+    super();
+    this.summary = null;
+    this.periodData = [];
+    this.granularity = TIME_GRANULARITIES.WEEK;
+    this.contributor = '';
+    this._chartInstance = null;
+    this._inViewport = false;
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this._stopObservingViewport = observeViewport(this, inViewport => {
+      this._inViewport = inViewport;
+      if (inViewport) {
+        this.renderChart();
+      } else {
+        this.destroyChart();
+      }
+    });
+  }
+
+  render() {
+    if (!this.summary) return html``;
+    return html`
+      <table>
+        <caption class="mdui-typo">Lead times for ${this.contributor}</caption>
+        <thead>
+          <tr><th scope="col">Metric</th><th scope="col">PRs</th><th scope="col">Median</th><th scope="col">p75</th><th scope="col">p90</th></tr>
+        </thead>
+        <tbody>
+          ${Object.values(CYCLE_TIME_METRICS).map(metric => html`
+            <tr>
+              <th scope="row">${CYCLE_TIME_METRIC_LABELS[metric]}</th>
+              <td>${this.summary[metric].count}</td>
+              <td>${formatDuration(this.summary[metric].median)}</td>
+              <td>${formatDuration(this.summary[metric].p75)}</td>
+              <td>${formatDuration(this.summary[metric].p90)}</td>
+            </tr>
+          `)}
+        </tbody>
+      </table>
+      <canvas id="chart-cycle-time-${this.contributor}" width="700" height="320"></canvas>
+    `;
+  }
+
+  updated() {
+    if (this._inViewport) this.renderChart();
+  }
+
+  renderChart() {
+    const canvas = this.renderRoot.querySelector('canvas');
+    if (!canvas || !this.periodData || this.periodData.length === 0) return;
+    this.destroyChart();
+    const labels = this.periodData.map(p => p.period);
+    const toDays = duration => (duration === null ? null : duration / MILLISECONDS_PER_DAY);
+    this._chartInstance = new Chart(canvas, {
+      type: 'line',
+      data: {
+        labels,
+        datasets: Object.values(CYCLE_TIME_METRICS).map(metric => ({
+          label: `${CYCLE_TIME_METRIC_LABELS[metric]} (median)`,
+          data: this.periodData.map(p => toDays(p[metric].median)),
+          borderColor: METRIC_COLORS[metric],
+          backgroundColor: METRIC_COLORS[metric],
+          spanGaps: true
+        }))
+      },
+      options: {
+        responsive: true,
+        plugins: {
+          legend: { display: true },
+          title: { display: true, text: `${TIME_GRANULARITY_ADJECTIVES[this.granularity]} lead times for ${this.contributor}` },
+          tooltip: {
+            callbacks: {
+              label: context => `${context.dataset.label}: ${formatDuration(context.parsed.y * MILLISECONDS_PER_DAY)}`
+            }
+          }
+        },
+        scales: {
+          x: { title: { display: true, text: TIME_GRANULARITY_LABELS[this.granularity] } },
+          y: { title: { display: true, text: 'Days' }, beginAtZero: true }
+        }
+      }
+    });
+  }
+
+  /**
+   * Destroys the chart, releasing its canvas context.
+   */
+  destroyChart() {
+    if (this._chartInstance) {
+      this._chartInstance.destroy();
+      this._chartInstance = null;
+    }
+  }
+
+  disconnectedCallback() {
+    this._stopObservingViewport?.();
+    this._stopObservingViewport = null;
+    this.destroyChart();
+    super.disconnectedCallback();
+  }
+}
+
+customElements.define('contributor-cycle-time-chart', ContributorCycleTimeChart);
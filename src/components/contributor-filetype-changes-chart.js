@@ -1,22 +1,28 @@
 import { LitElement, html, css } from 'lit';
 import Chart from 'chart.js/auto';
+import { observeViewport } from '../utils/viewport-observer.js';
+import { FILE_CATEGORY_LABELS, sortFileCategories } from '../services/file-classification-service.js';
 
 /**
- * Web component for visualizing combined line changes by file type for a contributor.
+ * Web component for visualizing combined line changes by file category for a contributor.
  *
  * @element contributor-filetype-changes-chart
- * @property {Object} fileTypeStats - Object { ext: { additions, deletions, count } }
+ * @property {Object} fileTypeStats - Object { category: { additions, deletions, count } }
  * @property {String} contributor - Contributor username
+ * @property {Boolean} staticImage - Render the chart once and show it as a static image, e.g. for printing.
  */
 export class ContributorFiletypeChangesChart extends LitElement {
   static properties = {
     fileTypeStats: { type: Object },
-    contributor: { type: String }
+    contributor: { type: String },
+    staticImage: { type: Boolean, attribute: 'static-image' },
+    imageUrl: { state: true }
   };
 
   static styles = [
     css`
       :host { display: block; }
+      img { max-width: 100%; }
       canvas { width: 100% !important; max-width: 700px; min-width: 400px; height: 240px !important; }
     `
   ];
@@ -25,29 +31,64 @@ export class ContributorFiletypeChangesChart extends LitElement {
     super();
     this.fileTypeStats = {};
     this.contributor = '';
+    this.staticImage = false;
+    this.imageUrl = '';
     this._chartInstance = null;
+    this._inViewport = false;
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this._stopObservingViewport = observeViewport(this, inViewport => {
+      this._inViewport = inViewport;
+      if (this.staticImage) return;
+      if (inViewport) {
+        this.renderChart();
+      } else {
+        this.destroyChart();
+      }
+    });
   }
 
   render() {
+    if (this.imageUrl) {
+      return html`<img src="${this.imageUrl}" alt="Line changes by file category for ${this.contributor}">`;
+    }
     return html`<canvas id="chart-filetype-${this.contributor}" width="700" height="240"></canvas>`;
   }
 
+  willUpdate(changedProps) {
+    if (changedProps.has('fileTypeStats') || changedProps.has('contributor') || changedProps.has('staticImage')) {
+      this.imageUrl = '';
+      if (this.staticImage) this.renderStaticImage();
+    }
+  }
+
   updated() {
+    if (!this.staticImage && this._inViewport) this.renderChart();
+  }
+
+  /**
+   * Draws the chart once the canvas is rendered and replaces it with an image of the chart. The image is set
+   * after the update, so it triggers a single follow-up render.
+   */
+  async renderStaticImage() {
+    await this.updateComplete;
+    if (this.imageUrl) return;
     this.renderChart();
+    if (!this._chartInstance) return;
+    this.imageUrl = this._chartInstance.toBase64Image();
+    this.destroyChart();
   }
 
   renderChart() {
     const canvas = this.renderRoot.querySelector('canvas');
     if (!canvas || !this.fileTypeStats || Object.keys(this.fileTypeStats).length === 0) return;
-    if (this._chartInstance) {
-      this._chartInstance.destroy();
-      this._chartInstance = null;
-    }
-    // Only show selected file types
-    const allowed = ['js', 'html', 'css', 'java', 'md'];
-    const labels = Object.keys(this.fileTypeStats).filter(ext => allowed.includes(ext));
-    const additions = labels.map(ext => this.fileTypeStats[ext].additions);
-    const deletions = labels.map(ext => this.fileTypeStats[ext].deletions);
+    this.destroyChart();
+    const categories = sortFileCategories(Object.keys(this.fileTypeStats));
+    const labels = categories.map(category => FILE_CATEGORY_LABELS[category] || category);
+    const additions = categories.map(category => this.fileTypeStats[category].additions);
+    const deletions = categories.map(category => this.fileTypeStats[category].deletions);
     this._chartInstance = new Chart(canvas, {
       type: 'bar',
       data: {
@@ -66,24 +107,34 @@ export class ContributorFiletypeChangesChart extends LitElement {
         ]
       },
       options: {
-        responsive: true,
+        animation: !this.staticImage,
+        responsive: !this.staticImage,
         plugins: {
           legend: { display: true },
           title: { display: false }
         },
         scales: {
-          x: { title: { display: true, text: 'File Type' } },
+          x: { title: { display: true, text: 'File Category' } },
           y: { title: { display: true, text: 'Lines Changed' }, beginAtZero: true }
         }
       }
     });
   }
 
-  disconnectedCallback() {
+  /**
+   * Destroys the chart, releasing its canvas context.
+   */
+  destroyChart() {
     if (this._chartInstance) {
       this._chartInstance.destroy();
       this._chartInstance = null;
     }
+  }
+
+  disconnectedCallback() {
+    this._stopObservingViewport?.();
+    this._stopObservingViewport = null;
+    this.destroyChart();
     super.disconnectedCallback();
   }
 }
@@ -0,0 +1,50 @@
+import { LitElement, html, css } from 'lit';
+import { buildRouteHash, getCurrentRoute, navigateTo } from '../utils/hash-router.js';
+
+/**
+ * Web component rendering a contributor login as a link to the contributor's page across the organization.
+ * The current date range is kept when the link is followed.
+ *
+ * @element contributor-link
+ * @property {String} org - The organization login name.
+ * @property {String} login - The contributor login.
+ */
+export class ContributorLink extends LitElement {
+  static properties = {
+    org: { type: String },
+    login: { type: String }
+  };
+
+  static styles = [
+    css`
+      a {
+        color: inherit;
+      }
+    `
+  ];
+
+  /**
+   * Opens the contributor page, keeping the date range of the current route.
+   * @param {MouseEvent} event
+   */
+  handleClick(event) {
+    // Let the browser handle modified clicks, e.g. opening the link in a new tab
+    if (event.ctrlKey || event.metaKey || event.shiftKey || event.button !== 0) return;
+    event.preventDefault();
+    const { from, to, basis } = getCurrentRoute();
+    navigateTo({ org: this.org, contributor: this.login, from, to, basis });
+  }
+
+  render() {
+    if (!this.org || !this.login || this.login === 'unknown') return html`${this.login}`;
+    return html`
+      <a href="${buildRouteHash({ org: this.org, contributor: this.login })}" @click=${this.handleClick}>${this.login}</a>
+    `;
+  }
+
+  createRenderRoot() {
+    return this;
+  }
+}
+
+customElements.define('contributor-link', ContributorLink);
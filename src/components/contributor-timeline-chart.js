@@ -0,0 +1,227 @@
+import { LitElement, html, css } from 'lit';
+import Chart from 'chart.js/auto';
+import { observeViewport } from '../utils/viewport-observer.js';
+import { getPeriodShares } from '../utils/weekly-pull-request-counts.js';
+import { TIME_GRANULARITIES, TIME_GRANULARITY_LABELS, TIME_GRANULARITY_ADJECTIVES } from '../utils/time-periods.js';
+
+/**
+ * How contributors are stacked in the chart.
+ * @enum {string}
+ */
+const CHART_TYPES = {
+  BAR: 'bar',
+  LINE: 'line'
+};
+
+const CHART_TYPE_LABELS = {
+  [CHART_TYPES.BAR]: 'Stacked bars',
+  [CHART_TYPES.LINE]: 'Stacked lines'
+};
+
+/**
+ * Returns a distinct color for the contributor at the given position, spreading hues by the golden angle.
+ * @param {number} index - Position of the contributor.
+ * @param {number} alpha - Opacity of the color.
+ * @returns {string}
+ */
+function getContributorColor(index, alpha) {
+  return `hsla(${Math.round((index * 137.508) % 360)}, 65%, 50%, ${alpha})`;
+}
+
+/**
+ * Web component comparing the pull requests per week, or another period, of all contributors on one time axis.
+ * Contributors are stacked as bars or lines and can be hidden by clicking the legend; hovering a period shows
+ * every contributor's count and the total. In share mode each period adds up to 100% of the visible contributors' PRs.
+ *
+ * @element contributor-timeline-chart
+ * @property {Object} periodDataByUser - { [user]: Array<{ period: string, count: number }> }, covering the same periods.
+ * @property {String} granularity - The period size of `periodDataByUser`: 'day', 'week' (default), 'month' or 'quarter'.
+ */
+export class ContributorTimelineChart extends LitElement {
+  static properties = {
+    periodDataByUser: { type: Object },
+    granularity: { type: String },
+    chartType: { type: String },
+    showShares: { type: Boolean }
+  };
+
+  static styles = [
+    css`
+      :host { display: block; }
+      .controls {
+        display: grid;
+        grid-auto-flow: column;
+        justify-content: start;
+        align-items: center;
+        gap: 16px;
+        margin-bottom: 8px;
+      }
+      label { cursor: pointer; }
+      canvas { width: 100% !important; min-width: 400px; height: 400px !important; }
+    `
+  ];
+
+  constructor() {
+    super();
+    this.periodDataByUser = {};
+    this.granularity = TIME_GRANULARITIES.WEEK;
+    this.chartType = CHART_TYPES.BAR;
+    this.showShares = false;
+    this._hiddenContributors = new Set();
+    this._chartInstance = null;
+    this._inViewport = false;
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this._stopObservingViewport = observeViewport(this, inViewport => {
+      this._inViewport = inViewport;
+      if (inViewport) {
+        this.renderChart();
+      } else {
+        this.destroyChart();
+      }
+    });
+  }
+
+  render() {
+    return html`
+      <div class="controls">
+        <select aria-label="Chart type" @change=${event => { this.chartType = event.target.value; }}>
+          ${Object.values(CHART_TYPES).map(type => html`
+            <option value="${type}" .selected=${this.chartType === type}>${CHART_TYPE_LABELS[type]}</option>
+          `)}
+        </select>
+        <label>
+          <input type="checkbox" .checked=${this.showShares} @change=${event => { this.showShares = event.target.checked; }}>
+          Show share of PRs (%)
+        </label>
+      </div>
+      <canvas width="1000" height="400"></canvas>
+    `;
+  }
+
+  updated() {
+    if (this._inViewport) this.renderChart();
+  }
+
+  /**
+   * Returns the values to plot per contributor: PR counts, or shares in percent of the visible contributors' PRs.
+   * @returns {Object} { [user]: number[] }
+   */
+  getValuesByUser() {
+    if (!this.showShares) {
+      return Object.fromEntries(Object.entries(this.periodDataByUser).map(([user, data]) => [user, data.map(p => p.count)]));
+    }
+    const visible = Object.fromEntries(Object.entries(this.periodDataByUser).filter(([user]) => !this._hiddenContributors.has(user)));
+    const shares = getPeriodShares(visible);
+    return Object.fromEntries(Object.entries(this.periodDataByUser).map(([user, data]) => [
+      user,
+      shares[user] ? shares[user].map(p => p.share * 100) : data.map(() => 0)
+    ]));
+  }
+
+  /**
+   * Shows or hides a contributor when their legend entry is clicked. Shares are recalculated
+   * so the visible contributors add up to 100%.
+   * @param {string} user - The contributor.
+   */
+  toggleContributor(user) {
+    if (this._hiddenContributors.has(user)) {
+      this._hiddenContributors.delete(user);
+    } else {
+      this._hiddenContributors.add(user);
+    }
+    if (!this._chartInstance) return;
+    const valuesByUser = this.getValuesByUser();
+    for (const dataset of this._chartInstance.data.datasets) {
+      dataset.hidden = this._hiddenContributors.has(dataset.label);
+      dataset.data = valuesByUser[dataset.label];
+    }
+    this._chartInstance.update();
+  }
+
+  renderChart() {
+    const canvas = this.renderRoot.querySelector('canvas');
+    const users = Object.keys(this.periodDataByUser || {}).sort((a, b) => a.localeCompare(b));
+    if (!canvas || users.length === 0) return;
+    this.destroyChart();
+    const labels = this.periodDataByUser[users[0]].map(p => p.period);
+    const valuesByUser = this.getValuesByUser();
+    const isLine = this.chartType === CHART_TYPES.LINE;
+    const getCount = item => this.periodDataByUser[item.dataset.label][item.dataIndex].count;
+    this._chartInstance = new Chart(canvas, {
+      type: this.chartType,
+      data: {
+        labels,
+        datasets: users.map((user, index) => ({
+          label: user,
+          data: valuesByUser[user],
+          hidden: this._hiddenContributors.has(user),
+          backgroundColor: getContributorColor(index, isLine ? 0.35 : 0.75),
+          borderColor: getContributorColor(index, 1),
+          borderWidth: isLine ? 2 : 0,
+          pointRadius: isLine ? 2 : 0,
+          fill: isLine ? 'stack' : false
+        }))
+      },
+      options: {
+        responsive: true,
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+          title: {
+            display: true,
+            text: `${TIME_GRANULARITY_ADJECTIVES[this.granularity]} PRs by contributor${this.showShares ? ' (share)' : ''}`
+          },
+          legend: {
+            onClick: (event, item) => this.toggleContributor(this._chartInstance.data.datasets[item.datasetIndex].label)
+          },
+          tooltip: {
+            filter: item => getCount(item) > 0,
+            itemSort: (a, b) => getCount(b) - getCount(a),
+            callbacks: {
+              label: item => (this.showShares
+                ? `${item.dataset.label}: ${Math.round(item.raw)}% (${getCount(item)})`
+                : `${item.dataset.label}: ${getCount(item)}`),
+              footer: items => `Total: ${items.reduce((sum, item) => sum + getCount(item), 0)} PRs`
+            }
+          }
+        },
+        scales: {
+          x: { stacked: true, title: { display: true, text: TIME_GRANULARITY_LABELS[this.granularity] } },
+          y: {
+            stacked: true,
+            beginAtZero: true,
+            max: this.showShares ? 100 : undefined,
+            title: { display: true, text: this.showShares ? 'Share of PRs' : 'Number of PRs' },
+            ticks: {
+              callback: value => {
+                if (this.showShares) return `${value}%`;
+                return Number.isInteger(value) ? value : null;
+              }
+            }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Destroys the chart, releasing its canvas context.
+   */
+  destroyChart() {
+    if (this._chartInstance) {
+      this._chartInstance.destroy();
+      this._chartInstance = null;
+    }
+  }
+
+  disconnectedCallback() {
+    this._stopObservingViewport?.();
+    this._stopObservingViewport = null;
+    this.destroyChart();
+    super.disconnectedCallback();
+  }
+}
+
+customElements.define('contributor-timeline-chart', ContributorTimelineChart);
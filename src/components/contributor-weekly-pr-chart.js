@@ -1,72 +1,145 @@
 import { LitElement, html, css } from 'lit';
 import Chart from 'chart.js/auto';
+import { observeViewport } from '../utils/viewport-observer.js';
+import { TIME_GRANULARITIES, TIME_GRANULARITY_LABELS, TIME_GRANULARITY_ADJECTIVES } from '../utils/time-periods.js';
+
+/** Bar colors for weeks on target, below target, and for charts without a target. */
+const ON_TARGET_COLOR = 'rgba(76, 175, 80, 0.7)';
+const BELOW_TARGET_COLOR = 'rgba(244, 67, 54, 0.7)';
+const NO_TARGET_COLOR = 'rgba(25, 118, 210, 0.7)';
 
 /**
- * Web component for visualizing weekly pull request counts for a contributor.
+ * Web component for visualizing pull request counts per week, or another period, for a contributor.
+ * With a target and weekly data, the target is drawn as a line and weeks are colored by whether they reached it.
  *
  * @element contributor-weekly-pr-chart
- * @property {Array} weeklyData - Array of { week: string, count: number }
+ * @property {Array} periodData - Array of { period: string, count: number }
+ * @property {String} granularity - The period size of `periodData`: 'day', 'week' (default), 'month' or 'quarter'.
  * @property {String} contributor - Contributor username
+ * @property {Number} target - Weekly PR target; `null` for none. Only drawn for weekly data.
+ * @property {Boolean} staticImage - Render the chart once and show it as a static image, e.g. for printing.
  */
 export class ContributorWeeklyPrChart extends LitElement {
   static properties = {
-    weeklyData: { type: Array },
-    contributor: { type: String }
+    periodData: { type: Array },
+    granularity: { type: String },
+    contributor: { type: String },
+    target: { type: Number },
+    staticImage: { type: Boolean, attribute: 'static-image' },
+    imageUrl: { state: true }
   };
 
   static styles = [
     css`
       :host { display: block; }
+      img { max-width: 100%; }
       canvas { width: 100% !important; max-width: 700px; min-width: 400px; height: 320px !important; }
     `
   ];
 
   constructor() {
     super();
-    this.weeklyData = [];
+    this.periodData = [];
+    this.granularity = TIME_GRANULARITIES.WEEK;
     this.contributor = '';
+    this.target = null;
+    this.staticImage = false;
+    this.imageUrl = '';
     this._chartInstance = null;
+    this._inViewport = false;
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this._stopObservingViewport = observeViewport(this, inViewport => {
+      this._inViewport = inViewport;
+      if (this.staticImage) return;
+      if (inViewport) {
+        this.renderChart();
+      } else {
+        this.destroyChart();
+      }
+    });
   }
 
   render() {
+    if (this.imageUrl) {
+      return html`<img src="${this.imageUrl}" alt="${TIME_GRANULARITY_ADJECTIVES[this.granularity]} PRs for ${this.contributor}">`;
+    }
     return html`<canvas id="chart-weekly-${this.contributor}" width="700" height="320"></canvas>`;
   }
 
+  willUpdate(changedProps) {
+    if (changedProps.has('periodData') || changedProps.has('granularity') || changedProps.has('contributor') ||
+      changedProps.has('target') || changedProps.has('staticImage')) {
+      this.imageUrl = '';
+      if (this.staticImage) this.renderStaticImage();
+    }
+  }
+
   updated() {
+    if (!this.staticImage && this._inViewport) this.renderChart();
+  }
+
+  /**
+   * Draws the chart once the canvas is rendered and replaces it with an image of the chart. The image is set
+   * after the update, so it triggers a single follow-up render.
+   */
+  async renderStaticImage() {
+    await this.updateComplete;
+    if (this.imageUrl) return;
     this.renderChart();
+    if (!this._chartInstance) return;
+    this.imageUrl = this._chartInstance.toBase64Image();
+    this.destroyChart();
   }
 
   renderChart() {
     const canvas = this.renderRoot.querySelector('canvas');
-    if (!canvas || !this.weeklyData || this.weeklyData.length === 0) return;
-    if (this._chartInstance) {
-      this._chartInstance.destroy();
-      this._chartInstance = null;
+    if (!canvas || !this.periodData || this.periodData.length === 0) return;
+    this.destroyChart();
+    const labels = this.periodData.map(p => p.period);
+    const counts = this.periodData.map(p => p.count);
+    const hasTarget = this.target > 0 && this.granularity === TIME_GRANULARITIES.WEEK;
+    const barColors = counts.map(val => {
+      if (!hasTarget) return NO_TARGET_COLOR;
+      return val >= this.target ? ON_TARGET_COLOR : BELOW_TARGET_COLOR;
+    });
+    const datasets = [
+      {
+        label: `PRs per ${this.granularity}`,
+        data: counts,
+        backgroundColor: barColors
+      }
+    ];
+    if (hasTarget) {
+      datasets.push({
+        type: 'line',
+        label: `Target (${this.target})`,
+        data: labels.map(() => this.target),
+        borderColor: 'rgba(0, 0, 0, 0.6)',
+        borderDash: [6, 4],
+        borderWidth: 2,
+        pointRadius: 0,
+        fill: false
+      });
     }
-    const labels = this.weeklyData.map(w => w.week);
-    const counts = this.weeklyData.map(w => w.count);
-    const barColors = counts.map(val => val >= 10 ? 'rgba(76, 175, 80, 0.7)' : 'rgba(244, 67, 54, 0.7)');
     this._chartInstance = new Chart(canvas, {
       type: 'bar',
       data: {
         labels,
-        datasets: [
-          {
-            label: 'PRs per week',
-            data: counts,
-            backgroundColor: barColors
-          }
-        ]
+        datasets
       },
       options: {
+        animation: !this.staticImage,
         indexAxis: 'x',
-        responsive: true,
+        responsive: !this.staticImage,
         plugins: {
-          legend: { display: false },
-          title: { display: true, text: `Weekly PRs for ${this.contributor}` }
+          legend: { display: hasTarget },
+          title: { display: true, text: `${TIME_GRANULARITY_ADJECTIVES[this.granularity]} PRs for ${this.contributor}` }
         },
         scales: {
-          x: { title: { display: true, text: 'Week' } },
+          x: { title: { display: true, text: TIME_GRANULARITY_LABELS[this.granularity] } },
           y: {
             title: { display: true, text: 'Number of PRs' },
             beginAtZero: true,
@@ -84,11 +157,20 @@ export class ContributorWeeklyPrChart extends LitElement {
     });
   }
 
-  disconnectedCallback() {
+  /**
+   * Destroys the chart, releasing its canvas context.
+   */
+  destroyChart() {
     if (this._chartInstance) {
       this._chartInstance.destroy();
       this._chartInstance = null;
     }
+  }
+
+  disconnectedCallback() {
+    this._stopObservingViewport?.();
+    this._stopObservingViewport = null;
+    this.destroyChart();
     super.disconnectedCallback();
   }
 }
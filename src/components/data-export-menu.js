@@ -0,0 +1,84 @@
+import { LitElement, html, css } from 'lit';
+import {
+  EXPORT_FORMATS,
+  EXPORT_TABLES,
+  EXPORT_TABLE_LABELS,
+  exportPullRequestData
+} from '../utils/pull-request-export.js';
+
+/**
+ * Web component with actions that download the analysed pull request data as CSV (one file per table),
+ * JSON or a multi-sheet XLSX workbook. The data is only collected when an action is clicked.
+ *
+ * @element data-export-menu
+ * @property {String} fileName - File name of the downloads, without extension.
+ * @property {Function} getData - Returns the {@link import('../utils/pull-request-export.js').PullRequestExportData} to export.
+ */
+export class DataExportMenu extends LitElement {
+  static properties = {
+    fileName: { type: String },
+    getData: { type: Function }
+  };
+
+  static styles = [
+    css`
+      :host {
+        display: block;
+      }
+      .actions {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(100px, max-content));
+        align-items: center;
+        gap: 8px;
+      }
+      .label {
+        color: var(--mdui-color-on-surface-variant, #666);
+        font-size: 0.95em;
+      }
+      button {
+        background: none;
+        border: 1px solid var(--mdui-color-outline, #ccc);
+        border-radius: 4px;
+        padding: 4px 10px;
+        color: var(--mdui-color-primary, #1976d2);
+        cursor: pointer;
+        font-size: 0.9em;
+      }
+      button:hover {
+        background: var(--mdui-color-primary-light, #e3f2fd);
+      }
+    `
+  ];
+
+  constructor() {
+    super();
+    this.fileName = 'pull-requests';
+    this.getData = null;
+  }
+
+  /**
+   * Downloads the data in the given format.
+   * @param {string} format - One of EXPORT_FORMATS.
+   * @param {string} [table] - For CSV, the table to export.
+   */
+  handleExport(format, table) {
+    const data = typeof this.getData === 'function' ? this.getData() : null;
+    if (!data) return;
+    exportPullRequestData(data, format, this.fileName, table);
+  }
+
+  render() {
+    return html`
+      <div class="actions" role="group" aria-label="Export data">
+        <span class="label">Export:</span>
+        ${Object.values(EXPORT_TABLES).map(table => html`
+          <button @click=${() => this.handleExport(EXPORT_FORMATS.CSV, table)}>${EXPORT_TABLE_LABELS[table]} CSV</button>
+        `)}
+        <button @click=${() => this.handleExport(EXPORT_FORMATS.JSON)}>JSON</button>
+        <button @click=${() => this.handleExport(EXPORT_FORMATS.XLSX)}>XLSX</button>
+      </div>
+    `;
+  }
+}
+
+customElements.define('data-export-menu', DataExportMenu);
@@ -0,0 +1,163 @@
+import { LitElement, html, css } from 'lit';
+import {
+  DATE_RANGE_BASES,
+  DATE_RANGE_PRESETS,
+  getPresetDateRange,
+  detectDateRangePreset
+} from '../utils/date-range.js';
+
+/** Labels of the date range presets. */
+const PRESET_LABELS = {
+  [DATE_RANGE_PRESETS.ALL_TIME]: 'All time',
+  [DATE_RANGE_PRESETS.LAST_30_DAYS]: 'Last 30 days',
+  [DATE_RANGE_PRESETS.LAST_90_DAYS]: 'Last 90 days',
+  [DATE_RANGE_PRESETS.THIS_QUARTER]: 'This quarter',
+  [DATE_RANGE_PRESETS.CUSTOM]: 'Custom range'
+};
+
+/** Labels of the dates a range can apply to. */
+const BASIS_LABELS = {
+  [DATE_RANGE_BASES.CREATED]: 'Created',
+  [DATE_RANGE_BASES.MERGED]: 'Merged',
+  [DATE_RANGE_BASES.CLOSED]: 'Closed'
+};
+
+/**
+ * Web component for choosing the date range of the analysed pull requests,
+ * either from a preset or as a custom range, and which pull request date it applies to.
+ *
+ * @element date-range-picker
+ * @property {String} from - First day of the range (YYYY-MM-DD), empty for no lower bound.
+ * @property {String} to - Last day of the range (YYYY-MM-DD), empty for no upper bound.
+ * @property {String} basis - 'created', 'merged' or 'closed'.
+ * @fires date-range-change - When the range changes, with `detail` { from, to, basis }.
+ */
+export class DateRangePicker extends LitElement {
+  static properties = {
+    from: { type: String },
+    to: { type: String },
+    basis: { type: String },
+    preset: { type: String }
+  };
+
+  static styles = [
+    css`
+      :host {
+        display: block;
+        margin-top: 16px;
+      }
+      .date-range {
+        display: grid;
+        grid-template-areas: 'preset custom basis';
+        grid-template-columns: auto 1fr auto;
+        align-items: center;
+        gap: 12px;
+      }
+      .preset {
+        grid-area: preset;
+      }
+      .custom-range {
+        grid-area: custom;
+        display: grid;
+        grid-auto-flow: column;
+        justify-content: start;
+        align-items: center;
+        gap: 8px;
+      }
+      .basis {
+        grid-area: basis;
+      }
+      label {
+        font-weight: 500;
+        margin-right: 4px;
+      }
+    `
+  ];
+
+  constructor() {
+    super();
+    this.from = '';
+    this.to = '';
+    this.basis = DATE_RANGE_BASES.CREATED;
+    this.preset = DATE_RANGE_PRESETS.ALL_TIME;
+  }
+
+  /**
+   * Derives the shown preset from the range, keeping "Custom range" while the user edits it.
+   * @param {Map} changedProps
+   */
+  willUpdate(changedProps) {
+    if ((changedProps.has('from') || changedProps.has('to')) && this.preset !== DATE_RANGE_PRESETS.CUSTOM) {
+      this.preset = detectDateRangePreset({ from: this.from, to: this.to });
+    }
+  }
+
+  /**
+   * Notifies the page about a new range.
+   * @param {Object} change - The changed values of { from, to, basis }.
+   */
+  dispatchRangeChange(change) {
+    const range = { from: this.from || '', to: this.to || '', basis: this.basis || DATE_RANGE_BASES.CREATED, ...change };
+    Object.assign(this, range);
+    this.dispatchEvent(new CustomEvent('date-range-change', { detail: range, bubbles: true, composed: true }));
+  }
+
+  /**
+   * Applies the chosen preset. Choosing "Custom range" keeps the current range for editing.
+   * @param {Event} event
+   */
+  handlePresetChange(event) {
+    this.preset = event.target.value;
+    if (this.preset !== DATE_RANGE_PRESETS.CUSTOM) {
+      this.dispatchRangeChange(getPresetDateRange(this.preset));
+    }
+  }
+
+  /**
+   * Renders the preset, custom date and basis controls.
+   * @returns {import('lit').TemplateResult}
+   */
+  render() {
+    return html`
+      <section class="date-range">
+        <div class="preset">
+          <label for="date-range-preset">Date range:</label>
+          <select id="date-range-preset" class="mdui-select" @change=${this.handlePresetChange}>
+            ${Object.values(DATE_RANGE_PRESETS).map(preset => html`
+              <option value="${preset}" ?selected=${this.preset === preset}>${PRESET_LABELS[preset]}</option>
+            `)}
+          </select>
+        </div>
+        ${this.preset === DATE_RANGE_PRESETS.CUSTOM ? html`
+          <div class="custom-range">
+            <input
+              type="date"
+              aria-label="From"
+              .value=${this.from || ''}
+              max=${this.to || ''}
+              @change=${event => this.dispatchRangeChange({ from: event.target.value })}
+            />
+            <span>to</span>
+            <input
+              type="date"
+              aria-label="To"
+              .value=${this.to || ''}
+              min=${this.from || ''}
+              @change=${event => this.dispatchRangeChange({ to: event.target.value })}
+            />
+          </div>
+        ` : ''}
+        <div class="basis">
+          <label for="date-range-basis">By date:</label>
+          <select id="date-range-basis" class="mdui-select" @change=${event => this.dispatchRangeChange({ basis: event.target.value })}>
+            ${Object.values(DATE_RANGE_BASES).map(basis => html`
+              <option value="${basis}" ?selected=${this.basis === basis}>${BASIS_LABELS[basis]}</option>
+            `)}
+          </select>
+        </div>
+      </section>
+    `;
+  }
+}
+
+customElements.define('date-range-picker', DateRangePicker);
@@ -0,0 +1,226 @@
+import { LitElement, html, css } from 'lit';
+import {
+  FILE_CATEGORIES,
+  FILE_CATEGORY_LABELS,
+  CLASSIFICATION_RULE_TYPES,
+  getClassificationRules,
+  saveClassificationRules,
+  resetClassificationRules,
+  classifyFile
+} from '../services/file-classification-service.js';
+
+/** Display labels of the rule types. */
+const RULE_TYPE_LABELS = {
+  [CLASSIFICATION_RULE_TYPES.EXTENSION]: 'Extension',
+  [CLASSIFICATION_RULE_TYPES.FILENAME]: 'File name',
+  [CLASSIFICATION_RULE_TYPES.PATH]: 'Path glob'
+};
+
+/**
+ * Web component for editing the rules that classify changed files into categories. Rules are matched
+ * top to bottom; saving stores them locally and re-classifies all loaded pull requests.
+ *
+ * @element file-classification-rules-editor
+ */
+export class FileClassificationRulesEditor extends LitElement {
+  static properties = {
+    rules: { type: Array },
+    testPath: { type: String },
+    dirty: { type: Boolean }
+  };
+
+  static styles = [
+    css`
+      :host {
+        display: block;
+        margin: 16px 0;
+      }
+      .rules {
+        max-height: 360px;
+        overflow-y: auto;
+        border: 1px solid #eee;
+        border-radius: 4px;
+      }
+      table {
+        width: 100%;
+        border-collapse: collapse;
+      }
+      th, td {
+        text-align: left;
+        padding: 4px 8px;
+        border-bottom: 1px solid #eee;
+      }
+      th {
+        position: sticky;
+        top: 0;
+        background: var(--mdui-color-surface, #fff);
+      }
+      input[type='text'] {
+        width: 100%;
+        box-sizing: border-box;
+      }
+      .actions {
+        display: grid;
+        grid-auto-flow: column;
+        justify-content: start;
+        gap: 8px;
+        margin-top: 8px;
+      }
+      .icon-btn {
+        background: none;
+        border: none;
+        cursor: pointer;
+        padding: 2px 6px;
+      }
+      .test {
+        margin-top: 12px;
+        color: var(--mdui-color-on-surface-variant, #666);
+      }
+    `
+  ];
+
+  constructor() {
+    super();
+    this.rules = getClassificationRules().map(rule => ({ ...rule }));
+    this.testPath = '';
+    this.dirty = false;
+  }
+
+  /**
+   * Changes one field of a rule.
+   * @param {number} index - The rule index.
+   * @param {string} field - 'type', 'pattern' or 'category'.
+   * @param {string} value - The new value.
+   */
+  updateRule(index, field, value) {
+    this.rules = this.rules.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule));
+    this.dirty = true;
+  }
+
+  /**
+   * Moves a rule up or down, changing which rule wins when several match.
+   * @param {number} index - The rule index.
+   * @param {number} offset - -1 to move up, 1 to move down.
+   */
+  moveRule(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= this.rules.length) return;
+    const rules = [...this.rules];
+    [rules[index], rules[target]] = [rules[target], rules[index]];
+    this.rules = rules;
+    this.dirty = true;
+  }
+
+  /**
+   * Removes a rule.
+   * @param {number} index - The rule index.
+   */
+  removeRule(index) {
+    this.rules = this.rules.filter((rule, i) => i !== index);
+    this.dirty = true;
+  }
+
+  /**
+   * Adds an empty rule at the top, where it takes precedence over the existing rules.
+   */
+  addRule() {
+    this.rules = [{ type: CLASSIFICATION_RULE_TYPES.EXTENSION, pattern: '', category: FILE_CATEGORIES.SOURCE }, ...this.rules];
+    this.dirty = true;
+  }
+
+  /**
+   * Saves the rules.
+   */
+  handleSave() {
+    saveClassificationRules(this.rules);
+    this.rules = getClassificationRules().map(rule => ({ ...rule }));
+    this.dirty = false;
+  }
+
+  /**
+   * Restores the default rules.
+   */
+  handleReset() {
+    resetClassificationRules();
+    this.rules = getClassificationRules().map(rule => ({ ...rule }));
+    this.dirty = false;
+  }
+
+  /**
+   * Renders the editable row of one rule.
+   * @param {Object} rule - The classification rule.
+   * @param {number} index - The rule index.
+   * @returns {import('lit').TemplateResult}
+   */
+  renderRule(rule, index) {
+    return html`
+      <tr>
+        <td>
+          <select aria-label="Rule type" @change=${event => this.updateRule(index, 'type', event.target.value)}>
+            ${Object.values(CLASSIFICATION_RULE_TYPES).map(type => html`
+              <option value="${type}" .selected=${rule.type === type}>${RULE_TYPE_LABELS[type]}</option>
+            `)}
+          </select>
+        </td>
+        <td>
+          <input
+            type="text"
+            aria-label="Pattern"
+            .value=${rule.pattern}
+            @input=${event => this.updateRule(index, 'pattern', event.target.value)}
+          >
+        </td>
+        <td>
+          <select aria-label="Category" @change=${event => this.updateRule(index, 'category', event.target.value)}>
+            ${Object.values(FILE_CATEGORIES).map(category => html`
+              <option value="${category}" .selected=${rule.category === category}>${FILE_CATEGORY_LABELS[category]}</option>
+            `)}
+          </select>
+        </td>
+        <td>
+          <button class="icon-btn" aria-label="Move up" @click=${() => this.moveRule(index, -1)}>↑</button>
+          <button class="icon-btn" aria-label="Move down" @click=${() => this.moveRule(index, 1)}>↓</button>
+          <button class="icon-btn" aria-label="Remove rule" @click=${() => this.removeRule(index)}>✕</button>
+        </td>
+      </tr>
+    `;
+  }
+
+  render() {
+    const testCategory = this.testPath ? classifyFile(this.testPath.trim(), this.rules.filter(rule => rule.pattern)) : '';
+    return html`
+      <section>
+        <h3 class="mdui-typo">File categories</h3>
+        <p class="mdui-typo">Changed files are put in the category of the first matching rule, or in "Other".</p>
+        <div class="rules">
+          <table>
+            <thead>
+              <tr><th>Match by</th><th>Pattern</th><th>Category</th><th></th></tr>
+            </thead>
+            <tbody>
+              ${this.rules.map((rule, index) => this.renderRule(rule, index))}
+            </tbody>
+          </table>
+        </div>
+        <div class="actions">
+          <button @click=${this.addRule}>Add rule</button>
+          <button @click=${this.handleSave} ?disabled=${!this.dirty}>Save</button>
+          <button @click=${this.handleReset}>Reset to defaults</button>
+        </div>
+        <div class="test">
+          <label for="test-path">Test a path:</label>
+          <input
+            id="test-path"
+            type="text"
+            placeholder=".github/workflows/ci.yml"
+            .value=${this.testPath}
+            @input=${event => { this.testPath = event.target.value; }}
+          >
+          ${testCategory ? html`→ <strong>${FILE_CATEGORY_LABELS[testCategory]}</strong>` : ''}
+        </div>
+      </section>
+    `;
+  }
+}
+
+customElements.define('file-classification-rules-editor', FileClassificationRulesEditor);
@@ -0,0 +1,172 @@
+import { LitElement, html, css } from 'lit';
+import { getManualTeams, saveManualTeams } from '../services/team-service.js';
+
+/**
+ * Returns the manual teams of an organization as editable rows.
+ * @param {string} org - The organization login name.
+ * @returns {Array<{ name: string, members: string }>}
+ */
+function getTeamRows(org) {
+  return getManualTeams(org).map(team => ({ name: team.name, members: team.members.join(', ') }));
+}
+
+/**
+ * Web component for defining teams of an organization by hand, for tokens that cannot read
+ * GitHub team membership. Saving stores the teams locally and updates all team selectors.
+ *
+ * @element manual-team-editor
+ * @property {String} org - The organization login name.
+ */
+export class ManualTeamEditor extends LitElement {
+  static properties = {
+    org: { type: String },
+    rows: { type: Array },
+    dirty: { type: Boolean }
+  };
+
+  static styles = [
+    css`
+      :host {
+        display: block;
+        margin: 16px 0;
+      }
+      table {
+        width: 100%;
+        border-collapse: collapse;
+      }
+      th, td {
+        text-align: left;
+        padding: 4px 8px;
+        border-bottom: 1px solid #eee;
+      }
+      input[type='text'] {
+        width: 100%;
+        box-sizing: border-box;
+      }
+      .actions {
+        display: grid;
+        grid-auto-flow: column;
+        justify-content: start;
+        gap: 8px;
+        margin-top: 8px;
+      }
+      .icon-btn {
+        background: none;
+        border: none;
+        cursor: pointer;
+        padding: 2px 6px;
+      }
+      .empty {
+        color: var(--mdui-color-on-surface-variant, #666);
+      }
+    `
+  ];
+
+  constructor() {
+    super();
+    this.org = '';
+    this.rows = [];
+    this.dirty = false;
+  }
+
+  willUpdate(changedProps) {
+    if (changedProps.has('org')) {
+      this.rows = getTeamRows(this.org);
+      this.dirty = false;
+    }
+  }
+
+  /**
+   * Changes one field of a team.
+   * @param {number} index - The row index.
+   * @param {string} field - 'name' or 'members'.
+   * @param {string} value - The new value.
+   */
+  updateRow(index, field, value) {
+    this.rows = this.rows.map((row, i) => (i === index ? { ...row, [field]: value } : row));
+    this.dirty = true;
+  }
+
+  /**
+   * Removes a team.
+   * @param {number} index - The row index.
+   */
+  removeRow(index) {
+    this.rows = this.rows.filter((row, i) => i !== index);
+    this.dirty = true;
+  }
+
+  /**
+   * Adds an empty team at the end.
+   */
+  addRow() {
+    this.rows = [...this.rows, { name: '', members: '' }];
+    this.dirty = true;
+  }
+
+  /**
+   * Saves the teams. Members may be separated by commas or whitespace.
+   */
+  handleSave() {
+    saveManualTeams(this.org, this.rows.map(row => ({ name: row.name, members: row.members.split(/[\s,]+/) })));
+    this.rows = getTeamRows(this.org);
+    this.dirty = false;
+  }
+
+  /**
+   * Renders the editable row of one team.
+   * @param {{ name: string, members: string }} row - The team.
+   * @param {number} index - The row index.
+   * @returns {import('lit').TemplateResult}
+   */
+  renderRow(row, index) {
+    return html`
+      <tr>
+        <td>
+          <input
+            type="text"
+            aria-label="Team name"
+            .value=${row.name}
+            @input=${event => this.updateRow(index, 'name', event.target.value)}
+          >
+        </td>
+        <td>
+          <input
+            type="text"
+            aria-label="Member logins"
+            placeholder="login-one, login-two"
+            .value=${row.members}
+            @input=${event => this.updateRow(index, 'members', event.target.value)}
+          >
+        </td>
+        <td>
+          <button class="icon-btn" aria-label="Remove team" @click=${() => this.removeRow(index)}>✕</button>
+        </td>
+      </tr>
+    `;
+  }
+
+  render() {
+    return html`
+      <section>
+        <h3 class="mdui-typo">Manual teams of ${this.org}</h3>
+        ${this.rows.length ? html`
+          <table>
+            <thead>
+              <tr><th>Team</th><th>Member logins</th><th></th></tr>
+            </thead>
+            <tbody>
+              ${this.rows.map((row, index) => this.renderRow(row, index))}
+            </tbody>
+          </table>
+        ` : html`<p class="empty">No manual teams yet.</p>`}
+        <div class="actions">
+          <button @click=${this.addRow}>Add team</button>
+          <button @click=${this.handleSave} ?disabled=${!this.dirty}>Save</button>
+        </div>
+      </section>
+    `;
+  }
+}
+
+customElements.define('manual-team-editor', ManualTeamEditor);
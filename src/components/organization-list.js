@@ -13,7 +13,7 @@ export class OrganizationList extends LitElement {
     organizations: { type: Array },
     error: { type: String },
     selectedOrg: { type: String },
-    githubToken: { type: String }
+    connection: { type: Object }
   };
 
   static styles = [
@@ -51,36 +51,43 @@ export class OrganizationList extends LitElement {
     this.organizations = [];
     this.error = '';
     this.selectedOrg = '';
-    this.githubToken = '';
+    this.connection = null;
   }
 
   connectedCallback() {
     super.connectedCallback();
-    if (this.githubToken) {
+    if (this.connection?.token) {
       this.loadOrganizations();
     }
   }
 
   updated(changedProps) {
-    if (changedProps.has('githubToken')) {
-      if (this.githubToken) {
+    if (changedProps.has('connection')) {
+      if (this.connection?.token) {
         this.loadOrganizations();
+      } else {
+        this.organizations = [];
+        this.error = '';
       }
     }
   }
 
   async loadOrganizations() {
-    if (!this.githubToken) {
+    if (!this.connection?.token) {
       this.organizations = [];
       this.error = 'GitHub token is missing.';
       return;
     }
+    const connection = this.connection;
     try {
-      const orgs = await fetchAllUserOrganizations(this.githubToken);
+      const orgs = await fetchAllUserOrganizations(connection);
+      // Ignore results for a token that was replaced while loading
+      if (this.connection !== connection) return;
       // Sort organizations alphabetically by login
       this.organizations = [...orgs].sort((a, b) => a.login.localeCompare(b.login));
       this.error = '';
     } catch (err) {
+      if (this.connection !== connection) return;
       this.organizations = [];
       this.error = err.message;
     }
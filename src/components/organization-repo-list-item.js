@@ -2,7 +2,8 @@
 import { LitElement, html, css } from 'lit';
 
 /**
- * Web component for displaying a single repository in an organization repo list.
+ * Web component for displaying a single repository in an organization repo list, with its language,
+ * stars, open issues, last push and an archived badge.
  *
  * @element organization-repo-list-item
  * @property {Object} repository - The repository object to display.
@@ -22,7 +23,10 @@ export class OrganizationRepoListItem extends LitElement {
       }
       .repo-row {
         display: grid;
-        grid-template-areas: 'repo-name';
+        grid-template-areas:
+          'repo-name repo-badge'
+          'repo-meta repo-meta';
+        grid-template-columns: 1fr auto;
         align-items: center;
         gap: 10px;
         padding: 6px 12px;
@@ -53,9 +57,29 @@ export class OrganizationRepoListItem extends LitElement {
         text-overflow: ellipsis;
         white-space: nowrap;
       }
+      .repo-badge {
+        grid-area: repo-badge;
+      }
+      .repo-meta {
+        grid-area: repo-meta;
+      }
     `
   ];
 
+  /**
+   * Formats the time since the last push, e.g. "pushed 3 days ago".
+   * @param {string} pushedAt - ISO timestamp.
+   * @returns {string}
+   */
+  formatLastPush(pushedAt) {
+    if (!pushedAt) return 'never pushed';
+    const days = Math.floor((Date.now() - Date.parse(pushedAt)) / 86400000);
+    if (days < 1) return 'pushed today';
+    if (days === 1) return 'pushed yesterday';
+    if (days < 60) return `pushed ${days} days ago`;
+    return `pushed ${new Date(pushedAt).toLocaleDateString()}`;
+  }
+
   handleClick() {
     this.dispatchEvent(new CustomEvent('repo-selected', {
       detail: { repo: this.repository.name },
@@ -65,9 +89,21 @@ export class OrganizationRepoListItem extends LitElement {
   }
 
   render() {
+    const repo = this.repository;
     return html`
       <section class="repo-row mdui-list-item" tabindex="0" role="button" aria-pressed="${this.selected}" @click="${this.handleClick}">
-        <span class="repo-name">${this.repository.name}</span>
+        <span class="repo-name">${repo.name}</span>
+        ${repo.archived ? html`
+          <span class="repo-badge" style="font-size:0.75em; font-weight:500; padding:1px 6px; border:1px solid #999; border-radius:8px; color:#666;">archived</span>
+        ` : ''}
+        <span class="repo-meta" style="font-size:0.8em; font-weight:400; color:#666; white-space:nowrap; overflow:hidden; text-overflow:ellipsis;">
+          ${[
+            repo.language,
+            `★ ${(repo.stargazers_count || 0).toLocaleString()}`,
+            `${(repo.open_issues_count || 0).toLocaleString()} open issues`,
+            this.formatLastPush(repo.pushed_at)
+          ].filter(Boolean).join(' · ')}
+        </span>
       </section>
     `;
   }
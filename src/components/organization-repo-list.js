@@ -1,22 +1,55 @@
 // src/components/organization-repo-list.js
 import { LitElement, html, css } from 'lit';
 import { fetchOrganizationRepositories } from '../services/github-organization-service.js';
+import { getCachedOrganizationRepositories, cacheOrganizationRepositories } from '../services/github-cache-service.js';
 import './organization-repo-list-item.js';
+import './token-scope-list.js';
 import './pull-request-list.js';
+import './virtual-list.js';
+import {
+  ARCHIVED_FILTERS,
+  FORK_FILTERS,
+  REPOSITORY_SORT_ORDERS,
+  REPOSITORY_SORT_LABELS,
+  filterRepositories,
+  sortRepositories,
+  getRepositoryFilterOptions,
+  getRepositoryVisibility
+} from '../utils/repository-filters.js';
+
+/** Estimated height of a repository row with its metadata line, until the virtualized list has measured it. */
+const REPOSITORY_ITEM_HEIGHT = 60;
 
 /**
  * Web component for displaying repositories of a selected GitHub organization.
- * Data is fetched via the github-organization-service.
+ * Data is fetched via the github-organization-service. The list can be searched by name and description,
+ * sorted by name, last push, stars, open issues or size, and filtered by archived and fork status,
+ * visibility, language and topic. Only the rows scrolled into view are rendered.
  *
  * @element organization-repo-list
+ * @property {String} query - Search text.
+ * @property {String} sortBy - One of REPOSITORY_SORT_ORDERS.
+ * @property {String} archivedFilter - One of ARCHIVED_FILTERS.
+ * @property {String} forkFilter - One of FORK_FILTERS.
+ * @property {String} visibility - 'public', 'private', 'internal' or empty for all.
+ * @property {String} language - Primary language, or empty for all.
+ * @property {String} topic - Topic, or empty for all.
  */
 export class OrganizationRepoList extends LitElement {
   static properties = {
     org: { type: String },
     repositories: { type: Array },
     error: { type: String },
-    githubToken: { type: String },
-    selectedRepo: { type: String }
+    accessError: { type: Object },
+    connection: { type: Object },
+    selectedRepo: { type: String },
+    query: { type: String },
+    sortBy: { type: String },
+    archivedFilter: { type: String },
+    forkFilter: { type: String },
+    visibility: { type: String },
+    language: { type: String },
+    topic: { type: String }
   };
 
   static styles = [
@@ -79,37 +112,123 @@ export class OrganizationRepoList extends LitElement {
     this.org = '';
     this.repositories = [];
     this.error = '';
-    this.githubToken = '';
+    this.accessError = null;
+    this.connection = null;
     this.selectedRepo = '';
+    this.query = '';
+    this.sortBy = REPOSITORY_SORT_ORDERS.NAME;
+    this.archivedFilter = ARCHIVED_FILTERS.INCLUDE;
+    this.forkFilter = FORK_FILTERS.INCLUDE;
+    this.visibility = '';
+    this.language = '';
+    this.topic = '';
   }
 
   updated(changedProps) {
-    if (changedProps.has('org') || changedProps.has('githubToken')) {
+    if (changedProps.has('org') || changedProps.has('connection')) {
       this.loadRepositories();
     }
   }
 
   /**
    * Loads the repositories for the selected organization.
-   * Uses the GitHub token passed as a property.
+   * Uses the GitHub connection passed as a property. Cached repositories are shown
+   * immediately while the list is refreshed from the API.
    * @returns {Promise<void>}
    */
   async loadRepositories() {
-    if (!this.org || !this.githubToken) {
+    this.accessError = null;
+    if (!this.org || !this.connection?.token) {
       this.repositories = [];
       this.error = '';
       return;
     }
+    const { org, connection } = this;
+    const isCurrentSelection = () => this.org === org && this.connection === connection;
     try {
-      const repos = await fetchOrganizationRepositories(this.org, this.githubToken);
-      this.repositories = [...repos].sort((a, b) => a.name.localeCompare(b.name));
+      const cachedRepos = await getCachedOrganizationRepositories(connection.apiBaseUrl, org);
+      if (cachedRepos && isCurrentSelection()) {
+        this.repositories = cachedRepos;
+        this.error = '';
+      }
+      const repos = await fetchOrganizationRepositories(org, connection);
+      await cacheOrganizationRepositories(connection.apiBaseUrl, org, repos);
+      if (!isCurrentSelection()) return;
+      this.repositories = repos;
       this.error = '';
     } catch (err) {
+      if (!isCurrentSelection()) return;
       this.repositories = [];
       this.error = err.message;
+      // Keep permission errors so the token scope list can explain what is missing
+      this.accessError = err.status === 403 ? err : null;
     }
   }
 
+  /**
+   * Returns the repositories matching the search and filters, in the selected order.
+   * @returns {Object[]}
+   */
+  getVisibleRepositories() {
+    const filtered = filterRepositories(this.repositories, {
+      query: this.query,
+      archived: this.archivedFilter,
+      fork: this.forkFilter,
+      visibility: this.visibility,
+      language: this.language,
+      topic: this.topic
+    });
+    return sortRepositories(filtered, this.sortBy);
+  }
+
+  /**
+   * Renders the search box, sort order and filters.
+   * @returns {import('lit').TemplateResult}
+   */
+  renderToolbar() {
+    const { languages, topics } = getRepositoryFilterOptions(this.repositories);
+    const visibilities = [...new Set(this.repositories.map(getRepositoryVisibility))].sort();
+    return html`
+      <section class="repo-toolbar" style="display:grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap:8px; margin-bottom:12px;">
+        <input
+          type="search"
+          style="grid-column: 1 / -1; padding:6px;"
+          placeholder="Search repositories"
+          aria-label="Search repositories"
+          .value=${this.query}
+          @input=${event => { this.query = event.target.value; }}
+        >
+        <select class="mdui-select" aria-label="Sort repositories by" @change=${event => { this.sortBy = event.target.value; }}>
+          ${Object.values(REPOSITORY_SORT_ORDERS).map(order => html`
+            <option value="${order}" ?selected=${this.sortBy === order}>Sort: ${REPOSITORY_SORT_LABELS[order]}</option>
+          `)}
+        </select>
+        <select class="mdui-select" aria-label="Archived repositories" @change=${event => { this.archivedFilter = event.target.value; }}>
+          <option value="${ARCHIVED_FILTERS.INCLUDE}" ?selected=${this.archivedFilter === ARCHIVED_FILTERS.INCLUDE}>Include archived</option>
+          <option value="${ARCHIVED_FILTERS.EXCLUDE}" ?selected=${this.archivedFilter === ARCHIVED_FILTERS.EXCLUDE}>Exclude archived</option>
+          <option value="${ARCHIVED_FILTERS.ONLY}" ?selected=${this.archivedFilter === ARCHIVED_FILTERS.ONLY}>Only archived</option>
+        </select>
+        <select class="mdui-select" aria-label="Forked repositories" @change=${event => { this.forkFilter = event.target.value; }}>
+          <option value="${FORK_FILTERS.INCLUDE}" ?selected=${this.forkFilter === FORK_FILTERS.INCLUDE}>Include forks</option>
+          <option value="${FORK_FILTERS.EXCLUDE}" ?selected=${this.forkFilter === FORK_FILTERS.EXCLUDE}>Exclude forks</option>
+          <option value="${FORK_FILTERS.ONLY}" ?selected=${this.forkFilter === FORK_FILTERS.ONLY}>Only forks</option>
+        </select>
+        <select class="mdui-select" aria-label="Visibility" @change=${event => { this.visibility = event.target.value; }}>
+          <option value="">All visibilities</option>
+          ${visibilities.map(visibility => html`<option value="${visibility}" ?selected=${this.visibility === visibility}>${visibility}</option>`)}
+        </select>
+        <select class="mdui-select" aria-label="Language" @change=${event => { this.language = event.target.value; }}>
+          <option value="">All languages</option>
+          ${languages.map(language => html`<option value="${language}" ?selected=${this.language === language}>${language}</option>`)}
+        </select>
+        <select class="mdui-select" aria-label="Topic" @change=${event => { this.topic = event.target.value; }}>
+          <option value="">All topics</option>
+          ${topics.map(topic => html`<option value="${topic}" ?selected=${this.topic === topic}>${topic}</option>`)}
+        </select>
+      </section>
+    `;
+  }
+
   /**
    * Handles bubbling repo-selected event from item and sets selectedRepo.
    */
@@ -128,7 +247,13 @@ export class OrganizationRepoList extends LitElement {
    */
   render() {
     if (this.error) {
-      return html`<div class="error">${this.error}</div>`;
+      return html`
+        <div class="error">${this.error}</div>
+        ${this.accessError ? html`
+          <h3 class="mdui-typo">Token permissions</h3>
+          <token-scope-list .connection=${this.connection} .accessError=${this.accessError}></token-scope-list>
+        ` : ''}
+      `;
     }
     if (!this.org) {
       return html`<div class="mdui-typo">Select an organization to view its repositories.</div>`;
@@ -136,16 +261,27 @@ export class OrganizationRepoList extends LitElement {
     if (!this.repositories.length) {
       return html`<div class="mdui-typo">No repositories found for this organization.</div>`;
     }
+    const visibleRepositories = this.getVisibleRepositories();
     return html`
-      <section class="repo-list mdui-list" style="display: grid; grid-template-areas: 'repo-list'; gap: 2px;">
-        ${this.repositories.map(repo => html`
+      ${this.renderToolbar()}
+      <div class="mdui-typo" style="color:#666; font-size:0.9em;">
+        ${visibleRepositories.length === this.repositories.length
+          ? `${this.repositories.length} repositories`
+          : `${visibleRepositories.length} of ${this.repositories.length} repositories`}
+      </div>
+      <virtual-list
+        class="repo-list mdui-list"
+        .items=${visibleRepositories}
+        .itemHeight=${REPOSITORY_ITEM_HEIGHT}
+        .keyFunction=${repo => repo.id ?? repo.name}
+        .renderItem=${repo => html`
           <organization-repo-list-item
             .repository=${repo}
             .selected=${this.selectedRepo === repo.name}
-            @repo-selected=${this.handleRepoSelected}
+            @repo-selected=${event => this.handleRepoSelected(event)}
           ></organization-repo-list-item>
-        `)}
-      </section>
+        `}
+      ></virtual-list>
     `;
   }
 
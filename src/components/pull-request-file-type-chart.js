@@ -1,11 +1,13 @@
 import { LitElement, html, css } from 'lit';
 import Chart from 'chart.js/auto';
+import { observeViewport } from '../utils/viewport-observer.js';
+import { FILE_CATEGORY_LABELS, sortFileCategories } from '../services/file-classification-service.js';
 
 /**
- * Web component for rendering a file type bar chart for a pull request.
+ * Web component for rendering a file category bar chart for a pull request.
  *
  * @element pull-request-file-type-chart
- * @property {Object} fileTypeStats - File type stats object { ext: { additions, deletions, count } }
+ * @property {Object} fileTypeStats - File category stats object { category: { additions, deletions, count } }
  * @property {String} chartId - Unique chart DOM id
  */
 export class PullRequestFileTypeChart extends LitElement {
@@ -26,6 +28,20 @@ export class PullRequestFileTypeChart extends LitElement {
     this.fileTypeStats = {};
     this.chartId = '';
     this._chartInstance = null;
+    this._inViewport = false;
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    // The chart only exists while the component is in view, so long lists do not keep thousands of canvases alive
+    this._stopObservingViewport = observeViewport(this, inViewport => {
+      this._inViewport = inViewport;
+      if (inViewport) {
+        this.renderChart();
+      } else {
+        this.destroyChart();
+      }
+    });
   }
 
   /**
@@ -40,22 +56,20 @@ export class PullRequestFileTypeChart extends LitElement {
    * After update, render the chart.
    */
   updated() {
-    this.renderChart();
+    if (this._inViewport) this.renderChart();
   }
 
   /**
-   * Render the Chart.js bar chart for file type stats.
+   * Render the Chart.js bar chart for file category stats.
    */
   renderChart() {
     const canvas = this.renderRoot.querySelector('canvas');
     if (!canvas || !this.fileTypeStats || Object.keys(this.fileTypeStats).length === 0) return;
-    if (this._chartInstance) {
-      this._chartInstance.destroy();
-      this._chartInstance = null;
-    }
-    const labels = Object.keys(this.fileTypeStats);
-    const additions = labels.map(ext => this.fileTypeStats[ext].additions);
-    const deletions = labels.map(ext => this.fileTypeStats[ext].deletions);
+    this.destroyChart();
+    const categories = sortFileCategories(Object.keys(this.fileTypeStats));
+    const labels = categories.map(category => FILE_CATEGORY_LABELS[category] || category);
+    const additions = categories.map(category => this.fileTypeStats[category].additions);
+    const deletions = categories.map(category => this.fileTypeStats[category].deletions);
     this._chartInstance = new Chart(canvas, {
       type: 'bar',
       data: {
@@ -80,18 +94,27 @@ export class PullRequestFileTypeChart extends LitElement {
           title: { display: false }
         },
         scales: {
-          x: { title: { display: true, text: 'File Type' } },
+          x: { title: { display: true, text: 'File Category' } },
           y: { title: { display: true, text: 'Lines Changed' }, beginAtZero: true }
         }
       }
     });
   }
 
-  disconnectedCallback() {
+  /**
+   * Destroys the chart, releasing its canvas context.
+   */
+  destroyChart() {
     if (this._chartInstance) {
       this._chartInstance.destroy();
       this._chartInstance = null;
     }
+  }
+
+  disconnectedCallback() {
+    this._stopObservingViewport?.();
+    this._stopObservingViewport = null;
+    this.destroyChart();
     super.disconnectedCallback();
   }
 }
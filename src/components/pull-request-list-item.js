@@ -1,12 +1,13 @@
 import { LitElement, html, css } from 'lit';
 import './pull-request-file-type-chart.js';
+import { isRawChurnShown } from '../services/file-exclusion-service.js';
 
 /**
  * Web component for rendering a single pull request item.
  *
  * @element pull-request-list-item
  * @property {Object} pr - The pull request object
- * @property {String} state - The PR state ('open' or 'closed')
+ * @property {String} state - The PR state ('draft', 'open', 'merged' or 'closed')
  */
 export class PullRequestListItem extends LitElement {
   static properties = {
@@ -16,7 +17,7 @@ export class PullRequestListItem extends LitElement {
 
   static styles = [
     css`
-      :host { display: list-item; }
+      :host { display: block; }
       .pr-title {
         font-weight: 500;
         color: var(--mdui-color-primary, #1976d2);
@@ -32,9 +33,33 @@ export class PullRequestListItem extends LitElement {
       .chart-container {
         margin-top: 8px;
       }
+      .excluded-note {
+        display: block;
+        color: var(--mdui-color-on-surface-variant, #666);
+        font-size: 0.85em;
+        margin-top: 4px;
+      }
     `
   ];
 
+  /**
+   * Renders how many changed lines are generated, vendored or lockfile changes, if any.
+   * @returns {import('lit').TemplateResult|string}
+   */
+  renderExcludedNote() {
+    const excluded = this.pr.excludedChanges;
+    if (!excluded?.files) return '';
+    const lines = (excluded.additions + excluded.deletions).toLocaleString();
+    const files = `${excluded.files} ${excluded.files === 1 ? 'file' : 'files'}`;
+    return html`
+      <span class="excluded-note">
+        ${isRawChurnShown()
+          ? `Includes ${lines} changed lines in generated, vendored or lock files (${files}).`
+          : `${lines} changed lines in generated, vendored or lock files (${files}) are excluded.`}
+      </span>
+    `;
+  }
+
   /**
    * Render a single PR item, including chart if available.
    * @returns {import('lit').TemplateResult}
@@ -44,9 +69,10 @@ export class PullRequestListItem extends LitElement {
     if (!pr) return html``;
     const chartId = `chart-${state}-${pr.number}`;
     return html`
-      <li class="mdui-list-item">
+      <div class="mdui-list-item">
         <span class="pr-title">${pr.title}</span>
         <span class="pr-user">#${pr.number}</span>
+        ${this.renderExcludedNote()}
         ${pr.fileTypeStats && Object.keys(pr.fileTypeStats).length > 0 ? html`
           <div class="chart-container">
             <pull-request-file-type-chart
@@ -55,7 +81,7 @@ export class PullRequestListItem extends LitElement {
             ></pull-request-file-type-chart>
           </div>
         ` : ''}
-      </li>
+      </div>
     `;
   }
 }
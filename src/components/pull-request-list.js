@@ -1,10 +1,62 @@
 // filepath: src/components/pull-request-list.js
 import { LitElement, html, css } from 'lit';
-import { fetchRepositoryPullRequests } from '../services/github-pull-request-service.js';
-import Chart from 'chart.js/auto';
+import {
+  getCachedRepositoryPullRequests,
+  loadRepositoryPullRequests,
+  reclassifyPullRequests,
+  DEFAULT_FILE_STATS_CONCURRENCY,
+  PULL_REQUEST_DATA_SOURCES
+} from '../services/pull-request-analysis-service.js';
+import { DATE_RANGE_BASES, filterPullRequestsByDateRange, getDateRangeStart } from '../utils/date-range.js';
+import {
+  PULL_REQUEST_STATES,
+  PULL_REQUEST_STATE_LABELS,
+  getPullRequestState,
+  countPullRequestsByState,
+  getMergeRate
+} from '../utils/pull-request-state.js';
+import { getCycleTimeSummary, getCycleTimeSummaryByPeriod } from '../utils/cycle-time.js';
+import { countPullRequestsByUserPerPeriod } from '../utils/weekly-pull-request-counts.js';
+import { TIME_GRANULARITIES, getPeriodKey } from '../utils/time-periods.js';
+import { getReviewerStats, getReviewerAuthorMatrix } from '../utils/review-analytics.js';
+import { onClassificationRulesChange } from '../services/file-classification-service.js';
+import { onFileExclusionChange } from '../services/file-exclusion-service.js';
+import { applyContributorIdentities, onContributorIdentityChange } from '../services/contributor-identity-service.js';
+import { filterPullRequestsByTeam, sumPeriodCounts } from '../utils/team-analytics.js';
+import {
+  getEffectiveWeeklyTargets,
+  getRepositoryTargetScope,
+  getTeamTargetScope,
+  onWeeklyTargetsChange
+} from '../services/weekly-target-service.js';
+import {
+  TARGET_METRICS,
+  TARGET_METRIC_LABELS,
+  getWeeklyMetricByUser,
+  getTargetAttainment,
+  getContributorsBelowTarget
+} from '../utils/weekly-targets.js';
+import { summarizeRepositoryActivity } from '../utils/organization-analytics.js';
 import './pull-request-list-item.js';
 import './contributor-weekly-pr-chart.js';
+import './contributor-timeline-chart.js';
 import './contributor-filetype-changes-chart.js';
+import './contributor-cycle-time-chart.js';
+import './reviewer-list.js';
+import './reviewer-author-heatmap.js';
+import './contributor-link.js';
+import './analysis-progress-indicator.js';
+import './data-export-menu.js';
+import './repository-report.js';
+import './churn-filter-toggle.js';
+import './bot-filter-toggle.js';
+import './virtual-list.js';
+
+/** Minimum delay between re-renders while file statistics are arriving. */
+const PROGRESS_RENDER_INTERVAL_MS = 400;
+
+/** Estimated height of a pull request row with its file category chart, until the virtualized PR lists have measured it. */
+const PULL_REQUEST_ITEM_HEIGHT = 320;
 
 /**
  * Web component for displaying a list of pull requests for a repository.
@@ -12,16 +64,41 @@ import './contributor-filetype-changes-chart.js';
  * @element pull-request-list
  * @property {String} org - The organization login name.
  * @property {String} repo - The repository name.
- * @property {String} githubToken - The GitHub token for authentication.
+ * @property {Object} connection - The active GitHub connection (API base URL and token).
+ * @property {Number} concurrency - Maximum number of PR file lists fetched at the same time.
+ * @property {String} dataSource - 'graphql' (default, falls back to REST where GraphQL is unavailable) or 'rest'.
+ * @property {String} selectedContributor - The contributor whose section is shown; empty for all contributors.
+ * @property {Object} team - The team whose members' PRs are analysed, with a team summary; `null` for all contributors.
+ * @property {String} dateFrom - Only PRs dated on or after this day (YYYY-MM-DD) are analysed; empty for no limit.
+ *   Only PRs updated since then are fetched from the API.
+ * @property {String} dateTo - Only PRs dated on or before this day (YYYY-MM-DD) are analysed; empty for no limit.
+ * @property {String} dateBasis - Which date the range applies to: 'created' (default), 'merged' or 'closed'.
+ * @property {String} granularity - Period size of the time-series charts: 'day', 'week' (default), 'month' or 'quarter'.
+ * @property {Boolean} reportMode - Show the printable report instead of the interactive sections.
+ * @property {String} reportTitle - Title of the printable report.
+ * @property {Set} expandedContributors - Contributors whose collapsible section is open; a selected contributor is always open.
+ * @fires contributor-selected - When a contributor is chosen, with `detail.contributor` ('' for all).
  */
 export class PullRequestList extends LitElement {
   static properties = {
     org: { type: String },
     repo: { type: String },
-    githubToken: { type: String },
+    connection: { type: Object },
     pullRequests: { type: Array },
     error: { type: String },
-    selectedContributor: { type: String }
+    selectedContributor: { type: String },
+    team: { type: Object },
+    dateFrom: { type: String },
+    dateTo: { type: String },
+    dateBasis: { type: String },
+    granularity: { type: String },
+    concurrency: { type: Number },
+    dataSource: { type: String },
+    analysisProgress: { type: Object },
+    loading: { type: Boolean },
+    reportMode: { type: Boolean },
+    reportTitle: { type: String },
+    expandedContributors: { type: Object }
   };
 
   static styles = [
@@ -69,66 +146,178 @@ export class PullRequestList extends LitElement {
     super();
     this.org = '';
     this.repo = '';
-    this.githubToken = '';
+    this.connection = null;
     this.pullRequests = [];
     this.error = '';
     this.selectedContributor = '';
+    this.team = null;
+    this.dateFrom = '';
+    this.dateTo = '';
+    this.dateBasis = DATE_RANGE_BASES.CREATED;
+    this.granularity = TIME_GRANULARITIES.WEEK;
+    this.concurrency = DEFAULT_FILE_STATS_CONCURRENCY;
+    this.dataSource = PULL_REQUEST_DATA_SOURCES.GRAPHQL;
+    this.analysisProgress = null;
+    this.loading = false;
+    this.reportMode = false;
+    this.reportTitle = '';
+    this.expandedContributors = new Set();
+    this._loadAbortController = null;
+    this._pendingProgress = null;
+    this._progressRenderTimer = null;
+    this._loadedSince = '';
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    const reclassify = () => {
+      this.pullRequests = reclassifyPullRequests(this.pullRequests);
+    };
+    this._removeClassificationListener = onClassificationRulesChange(reclassify);
+    this._removeExclusionListener = onFileExclusionChange(reclassify);
+    this._removeIdentityListener = onContributorIdentityChange(() => this.requestUpdate());
+    this._removeTargetsListener = onWeeklyTargetsChange(() => this.requestUpdate());
+  }
+
+  disconnectedCallback() {
+    this.cancelAnalysis();
+    this._removeClassificationListener?.();
+    this._removeClassificationListener = null;
+    this._removeExclusionListener?.();
+    this._removeExclusionListener = null;
+    this._removeIdentityListener?.();
+    this._removeIdentityListener = null;
+    this._removeTargetsListener?.();
+    this._removeTargetsListener = null;
+    super.disconnectedCallback();
+  }
+
+  /**
+   * Cancels the running analysis, keeping the pull requests analysed so far.
+   */
+  cancelAnalysis() {
+    if (this._loadAbortController) {
+      this._loadAbortController.abort();
+      this._loadAbortController = null;
+    }
+    clearTimeout(this._progressRenderTimer);
+    this._progressRenderTimer = null;
+    if (this._pendingProgress) {
+      this.pullRequests = this._pendingProgress.pullRequests;
+      this._pendingProgress = null;
+    }
+    this.analysisProgress = null;
+    this.loading = false;
+  }
+
+  /**
+   * Stores analysis progress and re-renders at most every PROGRESS_RENDER_INTERVAL_MS,
+   * so pull requests appear progressively without re-creating all charts for every PR.
+   * @param {import('../services/pull-request-analysis-service.js').PullRequestAnalysisProgress} progress
+   */
+  handleAnalysisProgress(progress) {
+    this._pendingProgress = progress;
+    if (this._progressRenderTimer) return;
+    this._progressRenderTimer = setTimeout(() => {
+      this._progressRenderTimer = null;
+      if (!this._pendingProgress) return;
+      const { completed, total, pullRequests } = this._pendingProgress;
+      this.pullRequests = pullRequests;
+      this.analysisProgress = { completed, total };
+      this._pendingProgress = null;
+    }, PROGRESS_RENDER_INTERVAL_MS);
   }
 
   /**
    * Loads pull requests and their file stats for the selected repository.
+   * Cached data is shown immediately while the repository is refreshed in the background.
+   * A previous analysis that is still running is cancelled first.
    * @returns {Promise<void>}
    */
   async loadPullRequests() {
-    if (!this.org || !this.repo || !this.githubToken) {
-      this.pullRequests = [];
-      this.error = '';
+    this.cancelAnalysis();
+    this.pullRequests = [];
+    this.error = '';
+    if (!this.org || !this.repo || !this.connection?.token) {
       return;
     }
+    this.loading = true;
+    const updatedSince = getDateRangeStart({ from: this.dateFrom });
+    this._loadedSince = updatedSince;
+    const abortController = new AbortController();
+    this._loadAbortController = abortController;
+    const { signal } = abortController;
     try {
-      // Fetch all pull requests, not just open ones
-      const prs = await fetchRepositoryPullRequests(this.org, this.repo, this.githubToken, { state: 'all' });
-      // For each PR, fetch its files and stats
-      const prsWithFiles = await Promise.all(prs.map(async pr => {
-        try {
-          const res = await fetch(`https://api.github.com/repos/${this.org}/${this.repo}/pulls/${pr.number}/files`, {
-            headers: {
-              'Authorization': `token ${this.githubToken}`,
-              'Accept': 'application/vnd.github.v3+json'
-            }
-          });
-          if (!res.ok) return { ...pr, files: [] };
-          const files = await res.json();
-          // Group by filetype and sum additions/deletions
-          const fileTypeStats = {};
-          for (const file of files) {
-            const ext = file.filename.split('.').pop() || 'other';
-            if (!fileTypeStats[ext]) fileTypeStats[ext] = { count: 0, additions: 0, deletions: 0 };
-            fileTypeStats[ext].count++;
-            fileTypeStats[ext].additions += file.additions;
-            fileTypeStats[ext].deletions += file.deletions;
-          }
-          return { ...pr, files, fileTypeStats };
-        } catch {
-          return { ...pr, files: [], fileTypeStats: {} };
-        }
-      }));
+      const cachedPRs = await getCachedRepositoryPullRequests(this.connection.apiBaseUrl, this.org, this.repo);
+      if (signal.aborted) return;
+      if (cachedPRs) {
+        this.pullRequests = cachedPRs;
+        this.error = '';
+      }
+      const prsWithFiles = await loadRepositoryPullRequests(this.org, this.repo, this.connection, {
+        dataSource: this.dataSource,
+        updatedSince,
+        concurrency: this.concurrency,
+        signal,
+        onProgress: progress => this.handleAnalysisProgress(progress)
+      });
+      if (signal.aborted) return;
+      this.cancelAnalysis();
       this.pullRequests = prsWithFiles;
       this.error = '';
     } catch (err) {
+      if (signal.aborted) return;
+      this.cancelAnalysis();
       this.pullRequests = [];
       this.error = err.message;
     }
   }
 
   /**
-   * Groups pull requests by state (open/closed) and by user login.
-   * @returns {Object} { open: { [user]: [prs] }, closed: { [user]: [prs] } }
+   * Returns whether the loaded pull requests cover the selected date range. A range starting
+   * earlier than the loaded one needs older pull requests from the API.
+   * @returns {boolean}
+   */
+  coversDateRange() {
+    const updatedSince = getDateRangeStart({ from: this.dateFrom });
+    return !this._loadedSince || (updatedSince && updatedSince >= this._loadedSince);
+  }
+
+  /**
+   * Returns the pull requests within the selected date range, with aliased logins merged and bots
+   * left out when hidden, and only those of the selected team's members. All charts and lists are based on these.
+   * @returns {Object[]}
+   */
+  getPullRequestsInDateRange() {
+    const pullRequests = applyContributorIdentities(filterPullRequestsByDateRange(this.pullRequests, {
+      from: this.dateFrom,
+      to: this.dateTo,
+      basis: this.dateBasis
+    }));
+    return this.team ? filterPullRequestsByTeam(pullRequests, this.team) : pullRequests;
+  }
+
+  /**
+   * Selects a contributor and notifies the page, so the selection becomes part of the URL.
+   * @param {Event} event - The change event of the contributor select box.
+   */
+  handleContributorChange(event) {
+    this.selectedContributor = event.target.value;
+    this.dispatchEvent(new CustomEvent('contributor-selected', {
+      detail: { contributor: this.selectedContributor },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Groups pull requests by state (draft/open/merged/closed without merge) and by user login.
+   * @returns {Object} { draft: { [user]: [prs] }, open: {...}, merged: {...}, closed: {...} }
    */
   getGroupedPRs() {
-    const grouped = { open: {}, closed: {} };
-    for (const pr of this.pullRequests) {
-      const state = pr.state === 'open' ? 'open' : 'closed';
+    const grouped = Object.fromEntries(Object.values(PULL_REQUEST_STATES).map(state => [state, {}]));
+    for (const pr of this.getPullRequestsInDateRange()) {
+      const state = getPullRequestState(pr);
       const user = pr.user?.login || 'unknown';
       if (!grouped[state][user]) grouped[state][user] = [];
       grouped[state][user].push(pr);
@@ -137,151 +326,57 @@ export class PullRequestList extends LitElement {
   }
 
   /**
-   * Returns an array of { user, count } for closed PRs, sorted descending by count.
-   */
-  getClosedPRCountsByUser() {
-    const grouped = this.getGroupedPRs();
-    const counts = Object.entries(grouped.closed).map(([user, prs]) => ({ user, count: prs.length }));
-    return counts.sort((a, b) => b.count - a.count);
-  }
-
-  /**
-   * Returns a map of { user: { week: YYYY-WW, count: number }[] } for PRs by week.
-   * All users start at the earliest week any PR was made, and missing weeks are filled with count 0.
-   * @returns {Object} { [user]: Array<{ week: string, count: number }> }
+   * Returns the state counts and merge rate of every contributor that merged or closed a PR,
+   * sorted descending by the number of decided (merged or closed) PRs.
+   * @returns {Array<{ user: string, counts: Object, mergeRate: number|null }>}
    */
-  getPRsByUserPerWeek() {
-    const weekMap = {};
-    let minDate = null;
-    let maxDate = null;
-    // First, collect all weeks per user and find min/max date
-    for (const pr of this.pullRequests) {
+  getDecidedPRCountsByUser() {
+    const prsByUser = {};
+    for (const pr of this.getPullRequestsInDateRange()) {
       const user = pr.user?.login || 'unknown';
-      const created = new Date(pr.created_at);
-      if (!minDate || created < minDate) minDate = created;
-      if (!maxDate || created > maxDate) maxDate = created;
-      const year = created.getUTCFullYear();
-      const week = this.getISOWeek(created);
-      const weekKey = `${year}-W${week.toString().padStart(2, '0')}`;
-      if (!weekMap[user]) weekMap[user] = {};
-      if (!weekMap[user][weekKey]) weekMap[user][weekKey] = 0;
-      weekMap[user][weekKey]++;
+      if (!prsByUser[user]) prsByUser[user] = [];
+      prsByUser[user].push(pr);
     }
-    if (!minDate || !maxDate) return {};
-    // Build a list of all week keys from minDate to maxDate
-    const allWeeks = [];
-    let d = new Date(Date.UTC(minDate.getUTCFullYear(), minDate.getUTCMonth(), minDate.getUTCDate()));
-    // Move d to the Monday of its week
-    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
-    let lastWeekKey = null;
-    do {
-      const year = d.getUTCFullYear();
-      const week = this.getISOWeek(d);
-      const weekKey = `${year}-W${week.toString().padStart(2, '0')}`;
-      allWeeks.push(weekKey);
-      lastWeekKey = weekKey;
-      d.setUTCDate(d.getUTCDate() + 7);
-    } while (d <= maxDate || lastWeekKey !== `${maxDate.getUTCFullYear()}-W${this.getISOWeek(maxDate).toString().padStart(2, '0')}`);
-    // For each user, fill in missing weeks with count 0
-    const result = {};
-    for (const user of Object.keys(weekMap)) {
-      result[user] = allWeeks.map(week => ({ week, count: weekMap[user][week] || 0 }));
-    }
-    return result;
+    return Object.entries(prsByUser)
+      .map(([user, prs]) => {
+        const counts = countPullRequestsByState(prs);
+        return { user, counts, mergeRate: getMergeRate(counts) };
+      })
+      .filter(({ counts }) => counts.merged + counts.closed > 0)
+      .sort((a, b) => (b.counts.merged + b.counts.closed) - (a.counts.merged + a.counts.closed));
   }
 
   /**
-   * Returns ISO week number for a date (1-53).
-   * @param {Date} date
-   * @returns {number}
+   * Returns a map of { user: { period, count }[] } for PRs in the date range by period of the selected granularity.
+   * @returns {Object} { [user]: Array<{ period: string, count: number }> }
    */
-  getISOWeek(date) {
-    const tmp = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
-    const dayNum = tmp.getUTCDay() || 7;
-    tmp.setUTCDate(tmp.getUTCDate() + 4 - dayNum);
-    const yearStart = new Date(Date.UTC(tmp.getUTCFullYear(),0,1));
-    return Math.ceil((((tmp - yearStart) / 86400000) + 1) / 7);
+  getPRsByUserPerPeriod() {
+    return countPullRequestsByUserPerPeriod(this.getPullRequestsInDateRange(), this.granularity);
   }
 
   /**
-   * Renders a Chart.js bar chart for file type changes in a PR.
-   * @param {Object} fileTypeStats
-   * @param {string} chartId
-   * @returns {import('lit').TemplateResult}
+   * Returns the lead-time summary and lead times per period of the PRs in the date range,
+   * for one contributor or, without a user, for all contributors.
+   * @param {string} [user] - The contributor login.
+   * @returns {{ summary: Object, periods: Object[] }}
    */
-  renderFileTypeChart(fileTypeStats, chartId) {
-    // Use a deterministic id for each canvas
-    return html`<canvas id="${chartId}" height="80" data-chart="${chartId}"></canvas>`;
+  getCycleTimeStats(user) {
+    const prs = this.getPullRequestsInDateRange().filter(pr => !user || (pr.user?.login || 'unknown') === user);
+    return {
+      summary: getCycleTimeSummary(prs),
+      periods: getCycleTimeSummaryByPeriod(prs, date => getPeriodKey(date, this.granularity))
+    };
   }
 
   /**
-   * After the component is updated, render all charts for visible PRs.
+   * Reloads pull requests when the repository, connection or uncovered date range changes.
    */
   updated(changedProps) {
-    if (changedProps.has('org') || changedProps.has('repo') || changedProps.has('githubToken')) {
+    if (changedProps.has('org') || changedProps.has('repo') || changedProps.has('connection')) {
+      this.loadPullRequests();
+    } else if (changedProps.has('dateFrom') && !this.coversDateRange()) {
       this.loadPullRequests();
     }
-    // Render charts after DOM is updated
-    this.renderCharts();
-  }
-
-  /**
-   * Render all file type charts for visible PRs.
-   */
-  renderCharts() {
-    if (!this.pullRequests) return;
-    if (!this._chartInstances) this._chartInstances = {};
-    setTimeout(() => {
-      for (const pr of this.pullRequests) {
-        if (pr.fileTypeStats && Object.keys(pr.fileTypeStats).length > 0) {
-          // Find the canvas for open and closed PRs by data attribute
-          const openSelector = `canvas[data-chart=chart-open-${pr.number}]`;
-          const closedSelector = `canvas[data-chart=chart-closed-${pr.number}]`;
-          [openSelector, closedSelector].forEach(selector => {
-            // Use this.querySelector to scope to the component
-            const ctx = this.querySelector(selector);
-            if (ctx) {
-              if (this._chartInstances[ctx.id]) {
-                this._chartInstances[ctx.id].destroy();
-                delete this._chartInstances[ctx.id];
-              }
-              const labels = Object.keys(pr.fileTypeStats);
-              const additions = labels.map(ext => pr.fileTypeStats[ext].additions);
-              const deletions = labels.map(ext => pr.fileTypeStats[ext].deletions);
-              this._chartInstances[ctx.id] = new Chart(ctx, {
-                type: 'bar',
-                data: {
-                  labels,
-                  datasets: [
-                    {
-                      label: 'Additions',
-                      data: additions,
-                      backgroundColor: 'rgba(76, 175, 80, 0.7)',
-                    },
-                    {
-                      label: 'Deletions',
-                      data: deletions,
-                      backgroundColor: 'rgba(244, 67, 54, 0.7)',
-                    }
-                  ]
-                },
-                options: {
-                  responsive: true,
-                  plugins: {
-                    legend: { display: true },
-                    title: { display: false }
-                  },
-                  scales: {
-                    x: { title: { display: true, text: 'File Type' } },
-                    y: { title: { display: true, text: 'Lines Changed' }, beginAtZero: true }
-                  }
-                }
-              });
-            }
-          });
-        }
-      }
-    }, 0);
   }
 
   /**
@@ -289,17 +384,17 @@ export class PullRequestList extends LitElement {
    * @returns {string[]}
    */
   getContributors() {
-    const users = new Set(this.pullRequests.map(pr => pr.user?.login || 'unknown'));
+    const users = new Set(this.getPullRequestsInDateRange().map(pr => pr.user?.login || 'unknown'));
     return Array.from(users).sort();
   }
 
   /**
-   * Returns a map of { user: { ext: { additions, deletions, count } } } for all PRs by user.
-   * @returns {Object} { [user]: { [ext]: { additions, deletions, count } } }
+   * Returns a map of { user: { category: { additions, deletions, count } } } for all PRs by user.
+   * @returns {Object} { [user]: { [category]: { additions, deletions, count } } }
    */
   getCombinedFileTypeStatsByUser() {
     const stats = {};
-    for (const pr of this.pullRequests) {
+    for (const pr of this.getPullRequestsInDateRange()) {
       const user = pr.user?.login || 'unknown';
       if (!stats[user]) stats[user] = {};
       if (pr.fileTypeStats) {
@@ -314,6 +409,244 @@ export class PullRequestList extends LitElement {
     return stats;
   }
 
+  /**
+   * Returns the data behind the charts for export, for one contributor or, without a user, for all contributors.
+   * PRs are counted per period of the current granularity, like in the charts.
+   * @param {string} [user] - The contributor login.
+   * @returns {import('../utils/pull-request-export.js').PullRequestExportData}
+   */
+  getExportData(user) {
+    const pullRequests = this.getPullRequestsInDateRange().filter(pr => !user || (pr.user?.login || 'unknown') === user);
+    const periodCounts = countPullRequestsByUserPerPeriod(pullRequests, this.granularity);
+    const fileTypeTotals = this.getCombinedFileTypeStatsByUser();
+    return {
+      pullRequests,
+      periodCounts,
+      granularity: this.granularity,
+      fileTypeTotals: user ? { [user]: fileTypeTotals[user] || {} } : fileTypeTotals
+    };
+  }
+
+  /**
+   * Returns the weekly targets of the selected team, falling back to those of the repository.
+   * @returns {import('../services/weekly-target-service.js').WeeklyTargets}
+   */
+  getWeeklyTargets() {
+    const repositoryScope = getRepositoryTargetScope(this.org, this.repo);
+    return this.team
+      ? getEffectiveWeeklyTargets(getTeamTargetScope(this.org, this.team.slug), repositoryScope)
+      : getEffectiveWeeklyTargets(repositoryScope);
+  }
+
+  /**
+   * Returns the weekly values per contributor of every metric that has a target.
+   * @param {import('../services/weekly-target-service.js').WeeklyTargets} targets - The weekly targets.
+   * @param {string[]} contributors - The contributors, included with zero values where they have none.
+   * @returns {Object} { [metric]: { [user]: Array<{ week: string, count: number }> } }
+   */
+  getTargetProgress(targets, contributors) {
+    const prs = this.getPullRequestsInDateRange();
+    return Object.fromEntries(Object.values(TARGET_METRICS)
+      .filter(metric => targets[metric] !== null)
+      .map(metric => [metric, getWeeklyMetricByUser(prs, metric, contributors)]));
+  }
+
+  /**
+   * Formats a share such as a merge rate as a percentage.
+   * @param {number|null} share - The share between 0 and 1, or `null` if there is nothing to measure.
+   * @returns {string}
+   */
+  formatPercentage(share) {
+    return share === null ? '–' : `${Math.round(share * 100)}%`;
+  }
+
+  /**
+   * Renders the lead-time table and lead-time chart of one contributor or of all contributors.
+   * @param {string} [user] - The contributor login; omit for all contributors.
+   * @returns {import('lit').TemplateResult}
+   */
+  renderCycleTimeChart(user) {
+    const { summary, periods } = this.getCycleTimeStats(user);
+    return html`
+      <contributor-cycle-time-chart
+        .summary=${summary}
+        .periodData=${periods}
+        .granularity=${this.granularity}
+        .contributor=${user || 'all contributors'}
+      ></contributor-cycle-time-chart>
+    `;
+  }
+
+  /**
+   * Renders the reviews given per person and the reviewer→author heatmap for the PRs in the date range.
+   * @returns {import('lit').TemplateResult}
+   */
+  renderReviewSection() {
+    const prs = this.getPullRequestsInDateRange();
+    return html`
+      <h4 class="mdui-typo" style="margin-top:32px;">Reviews</h4>
+      <reviewer-list .org=${this.org} .reviewerStats=${getReviewerStats(prs)}></reviewer-list>
+      <div style="margin-top:16px;">
+        <reviewer-author-heatmap .org=${this.org} .matrix=${getReviewerAuthorMatrix(prs)}></reviewer-author-heatmap>
+      </div>
+    `;
+  }
+
+  /**
+   * Renders how often a contributor reached each weekly target, with their current and longest streak.
+   * @param {string} user - The contributor login.
+   * @param {Object} analytics - { targets, targetProgress }
+   * @returns {import('lit').TemplateResult|string}
+   */
+  renderTargetAttainment(user, { targets, targetProgress }) {
+    const metrics = Object.keys(targetProgress);
+    if (!metrics.length) return '';
+    return html`
+      <ul class="mdui-typo" style="margin:8px 0; color:#666;">
+        ${metrics.map(metric => {
+          const { weeks, weeksOnTarget, attainment, currentStreak, longestStreak } =
+            getTargetAttainment(targetProgress[metric][user] || [], targets[metric]);
+          return html`
+            <li>
+              ${TARGET_METRIC_LABELS[metric]} ≥ ${targets[metric]}:
+              on target ${weeksOnTarget} of ${weeks} weeks (<strong>${this.formatPercentage(attainment)}</strong>),
+              current streak ${currentStreak}, longest ${longestStreak}
+            </li>
+          `;
+        })}
+      </ul>
+    `;
+  }
+
+  /**
+   * Renders the contributors who reached a weekly target in fewer than half of the weeks, per metric.
+   * @param {Object} analytics - { targets, targetProgress }
+   * @returns {import('lit').TemplateResult|string}
+   */
+  renderBelowTargetSummary({ targets, targetProgress }) {
+    const metrics = Object.keys(targetProgress);
+    if (!metrics.length) return '';
+    return html`
+      <h4 class="mdui-typo" style="margin-top:32px;">Consistently below target</h4>
+      <p class="mdui-typo" style="color:#666;">Contributors who reached the weekly target in fewer than half of the weeks.</p>
+      ${metrics.map(metric => {
+        const below = getContributorsBelowTarget(targetProgress[metric], targets[metric]);
+        return html`
+          <div style="margin-bottom:12px;">
+            <strong>${TARGET_METRIC_LABELS[metric]} ≥ ${targets[metric]}:</strong>
+            ${below.length ? below.map(({ user, attainment }, index) => html`
+              ${index ? ', ' : ''}<contributor-link .org=${this.org} .login=${user}></contributor-link>
+              (${this.formatPercentage(attainment)})
+            `) : 'everyone is on target in at least half of the weeks.'}
+          </div>
+        `;
+      })}
+    `;
+  }
+
+  /**
+   * Opens or closes the section of a contributor.
+   * @param {string} user - The contributor login.
+   * @param {Event} event - The toggle event of the section's `details` element.
+   */
+  handleContributorToggle(user, event) {
+    if (event.target.open === this.expandedContributors.has(user)) return;
+    const expanded = new Set(this.expandedContributors);
+    if (event.target.open) {
+      expanded.add(user);
+    } else {
+      expanded.delete(user);
+    }
+    this.expandedContributors = expanded;
+  }
+
+  /**
+   * Renders a collapsible section with the merge rate of one contributor. When open, it shows the
+   * contributor's charts and PRs with a virtualized list per PR state; closed sections render no charts.
+   * @param {string} user - The contributor login.
+   * @param {Object} analytics - { grouped, prsByUserPerPeriod, combinedFileTypeStatsByUser, targets, targetProgress }
+   * @returns {import('lit').TemplateResult}
+   */
+  renderContributorSection(user, analytics) {
+    const { grouped, prsByUserPerPeriod, combinedFileTypeStatsByUser, targets } = analytics;
+    const counts = Object.fromEntries(Object.values(PULL_REQUEST_STATES).map(state => [state, (grouped[state][user] || []).length]));
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const open = this.selectedContributor === user || this.expandedContributors.has(user);
+    return html`
+      <details style="margin-bottom:16px;" ?open=${open} @toggle=${event => this.handleContributorToggle(user, event)}>
+        <summary class="mdui-typo" style="cursor:pointer; margin-bottom:4px;">
+          <span style="font-weight:500; color:#1976d2;"><contributor-link .org=${this.org} .login=${user}></contributor-link></span>
+          <span style="color:#666;">
+            · ${total} PRs · merge rate <strong>${this.formatPercentage(getMergeRate(counts))}</strong>
+            (${counts.merged} merged, ${counts.closed} closed without merge)
+          </span>
+        </summary>
+        ${open ? html`
+          <data-export-menu
+            style="margin:8px 0;"
+            .fileName=${`${this.org}-${this.repo}-${user}`}
+            .getData=${() => this.getExportData(user)}
+          ></data-export-menu>
+          ${this.renderTargetAttainment(user, analytics)}
+          <div style="display:grid; grid-template-columns: repeat(auto-fit, minmax(420px,1fr)); gap:16px;">
+            ${prsByUserPerPeriod[user] && prsByUserPerPeriod[user].length > 0 ? html`
+              <contributor-weekly-pr-chart
+                .periodData=${prsByUserPerPeriod[user]}
+                .granularity=${this.granularity}
+                .contributor=${user}
+                .target=${targets.pullRequests}
+              ></contributor-weekly-pr-chart>
+            ` : ''}
+            ${this.renderCycleTimeChart(user)}
+          </div>
+          ${combinedFileTypeStatsByUser[user] && Object.keys(combinedFileTypeStatsByUser[user]).length > 0 ? html`
+            <contributor-filetype-changes-chart
+              .fileTypeStats=${combinedFileTypeStatsByUser[user]}
+              .contributor=${user}
+            ></contributor-filetype-changes-chart>
+          ` : ''}
+          ${Object.values(PULL_REQUEST_STATES).filter(state => counts[state] > 0).map(state => html`
+            <h3 class="mdui-typo" style="margin-top:16px;">${PULL_REQUEST_STATE_LABELS[state]} (${counts[state]})</h3>
+            <virtual-list
+              class="mdui-list"
+              .items=${grouped[state][user]}
+              .itemHeight=${PULL_REQUEST_ITEM_HEIGHT}
+              .keyFunction=${pr => pr.number}
+              .renderItem=${pr => html`<pull-request-list-item .pr=${pr} state="${state}"></pull-request-list-item>`}
+            ></virtual-list>
+          `)}
+        ` : ''}
+      </details>
+    `;
+  }
+
+  /**
+   * Renders the summary of the selected team: its PR counts per period and line changes per file category.
+   * @param {Object} analytics - { prsByUserPerPeriod }
+   * @returns {import('lit').TemplateResult}
+   */
+  renderTeamSection({ prsByUserPerPeriod }) {
+    const periodData = sumPeriodCounts(prsByUserPerPeriod);
+    const { fileTypeStats } = summarizeRepositoryActivity(this.getPullRequestsInDateRange());
+    return html`
+      <section style="margin-bottom:32px;">
+        <h3 class="mdui-typo">Team ${this.team.name}</h3>
+        <div style="display:grid; grid-template-columns: repeat(auto-fit, minmax(420px,1fr)); gap:16px;">
+          ${periodData.length ? html`
+            <contributor-weekly-pr-chart
+              .periodData=${periodData}
+              .granularity=${this.granularity}
+              .contributor=${this.team.name}
+            ></contributor-weekly-pr-chart>
+          ` : ''}
+          ${Object.keys(fileTypeStats).length ? html`
+            <contributor-filetype-changes-chart .fileTypeStats=${fileTypeStats} .contributor=${this.team.name}></contributor-filetype-changes-chart>
+          ` : ''}
+        </div>
+      </section>
+    `;
+  }
+
   /**
    * Renders the list of pull requests.
    * @returns {import('lit').TemplateResult}
@@ -326,94 +659,94 @@ export class PullRequestList extends LitElement {
       return html`<div class="mdui-typo">Select a repository to view its pull requests.</div>`;
     }
     if (!this.pullRequests.length) {
+      if (this.loading) {
+        return html`<div class="mdui-typo">Loading pull requests...</div>`;
+      }
       return html`<div class="mdui-typo">No pull requests found for this repository.</div>`;
     }
-    const grouped = this.getGroupedPRs();
-    const closedCounts = this.getClosedPRCountsByUser();
-    const prsByUserPerWeek = this.getPRsByUserPerWeek();
+    if (this.reportMode) {
+      return html`
+        ${this.analysisProgress ? html`
+          <analysis-progress-indicator
+            .completed=${this.analysisProgress.completed}
+            .total=${this.analysisProgress.total}
+            @analysis-cancel=${this.cancelAnalysis}
+          ></analysis-progress-indicator>
+        ` : ''}
+        <repository-report
+          .org=${this.org}
+          .repo=${this.repo}
+          .reportTitle=${this.reportTitle}
+          .pullRequests=${this.getPullRequestsInDateRange()}
+          .dateFrom=${this.dateFrom}
+          .dateTo=${this.dateTo}
+          .dateBasis=${this.dateBasis}
+          .granularity=${this.granularity}
+          .weeklyTarget=${this.getWeeklyTargets().pullRequests}
+        ></repository-report>
+      `;
+    }
     const contributors = this.getContributors();
+    const targets = this.getWeeklyTargets();
+    const analytics = {
+      grouped: this.getGroupedPRs(),
+      prsByUserPerPeriod: this.getPRsByUserPerPeriod(),
+      combinedFileTypeStatsByUser: this.getCombinedFileTypeStatsByUser(),
+      targets,
+      targetProgress: this.getTargetProgress(targets, contributors)
+    };
+    const decidedCounts = this.getDecidedPRCountsByUser();
     const selected = this.selectedContributor;
-    const combinedFileTypeStatsByUser = this.getCombinedFileTypeStatsByUser();
     return html`
+      ${this.analysisProgress ? html`
+        <analysis-progress-indicator
+          .completed=${this.analysisProgress.completed}
+          .total=${this.analysisProgress.total}
+          @analysis-cancel=${this.cancelAnalysis}
+        ></analysis-progress-indicator>
+      ` : ''}
       <section class="mdui-list">
+        ${contributors.length ? '' : html`
+          <div class="mdui-typo" style="margin-bottom:16px;">No pull requests in the selected date range.</div>
+        `}
+        <churn-filter-toggle></churn-filter-toggle>
+        <bot-filter-toggle></bot-filter-toggle>
         <div style="margin-bottom:16px;">
           <label for="contributor-select" class="mdui-typo" style="font-weight:500;">Select Contributor:</label>
-          <select id="contributor-select" class="mdui-select" @change=${e => { this.selectedContributor = e.target.value; }}>
+          <select id="contributor-select" class="mdui-select" @change=${this.handleContributorChange}>
             <option value="">-- All Contributors --</option>
             ${contributors.map(user => html`<option value="${user}" ?selected=${selected === user}>${user}</option>`)}
           </select>
         </div>
+        ${this.team && !selected && contributors.length ? this.renderTeamSection(analytics) : ''}
+        ${selected || !contributors.length ? '' : html`
+          <div style="margin-bottom:32px;">${this.renderCycleTimeChart()}</div>
+        `}
+        ${selected || contributors.length < 2 ? '' : html`
+          <div style="margin-bottom:32px;">
+            <contributor-timeline-chart
+              .periodDataByUser=${analytics.prsByUserPerPeriod}
+              .granularity=${this.granularity}
+            ></contributor-timeline-chart>
+          </div>
+        `}
         ${selected
-          ? html`
-            <div style="margin-bottom:12px;">
-              <div class="mdui-typo" style="font-weight:500; color:#1976d2; margin-bottom:4px;">${selected}</div>
-              ${prsByUserPerWeek[selected] && prsByUserPerWeek[selected].length > 0 ? html`
-                <contributor-weekly-pr-chart
-                  .weeklyData=${prsByUserPerWeek[selected]}
-                  .contributor=${selected}
-                ></contributor-weekly-pr-chart>
-              ` : ''}
-              ${combinedFileTypeStatsByUser[selected] && Object.keys(combinedFileTypeStatsByUser[selected]).length > 0 ? html`
-                <contributor-filetype-changes-chart
-                  .fileTypeStats=${combinedFileTypeStatsByUser[selected]}
-                  .contributor=${selected}
-                ></contributor-filetype-changes-chart>
-              ` : ''}
-              <h4 class="mdui-typo" style="margin-top:8px;">Open Pull Requests</h4>
-              <ul class="mdui-list" style="margin:0;">
-                ${(grouped.open[selected] || []).map(pr => html`
-                  <pull-request-list-item .pr=${pr} state="open"></pull-request-list-item>
-                `)}
-              </ul>
-              <h4 class="mdui-typo" style="margin-top:16px;">Closed Pull Requests</h4>
-              <ul class="mdui-list" style="margin:0;">
-                ${(grouped.closed[selected] || []).map(pr => html`
-                  <pull-request-list-item .pr=${pr} state="closed"></pull-request-list-item>
-                `)}
-              </ul>
-            </div>
-          `
-          : html`
-            ${contributors.map(user => html`
-              <div style="margin-bottom:32px;">
-                <div class="mdui-typo" style="font-weight:500; color:#1976d2; margin-bottom:4px;">${user}</div>
-                ${prsByUserPerWeek[user] && prsByUserPerWeek[user].length > 0 ? html`
-                  <contributor-weekly-pr-chart
-                    .weeklyData=${prsByUserPerWeek[user]}
-                    .contributor=${user}
-                  ></contributor-weekly-pr-chart>
-                ` : ''}
-                ${combinedFileTypeStatsByUser[user] && Object.keys(combinedFileTypeStatsByUser[user]).length > 0 ? html`
-                  <contributor-filetype-changes-chart
-                    .fileTypeStats=${combinedFileTypeStatsByUser[user]}
-                    .contributor=${user}
-                  ></contributor-filetype-changes-chart>
-                ` : ''}
-                <h3 class="mdui-typo" style="margin-top:16px;">Open Pull Requests</h3>
-                <ul class="mdui-list" style="margin:0;">
-                  ${(grouped.open[user] || []).map(pr => html`
-                    <pull-request-list-item .pr=${pr} state="open"></pull-request-list-item>
-                  `)}
-                </ul>
-                <h3 class="mdui-typo" style="margin-top:16px;">Closed Pull Requests</h3>
-                <ul class="mdui-list" style="margin:0;">
-                  ${(grouped.closed[user] || []).map(pr => html`
-                    <pull-request-list-item .pr=${pr} state="closed"></pull-request-list-item>
-                  `)}
-                </ul>
-              </div>
-            `)}
-          `}
-        <h4 class="mdui-typo" style="margin-top:32px;">Closed PRs by Initiator</h4>
+          ? this.renderContributorSection(selected, analytics)
+          : contributors.map(user => this.renderContributorSection(user, analytics))}
+        <h4 class="mdui-typo" style="margin-top:32px;">Merged and Closed PRs by Initiator</h4>
         <div style="display:grid; grid-template-columns: repeat(auto-fit, minmax(180px,1fr)); gap:12px; margin-bottom:24px;">
-          ${closedCounts.map(({ user, count }) => html`
+          ${decidedCounts.map(({ user, counts, mergeRate }) => html`
             <div style="background:#f5f5f5; border-radius:6px; padding:12px; text-align:center;">
-              <div style="font-weight:600; color:#1976d2;">${user}</div>
-              <div style="font-size:1.3em; font-weight:700; margin-top:4px;">${count}</div>
-              <div style="font-size:0.95em; color:#888;">closed PRs</div>
+              <div style="font-weight:600; color:#1976d2;"><contributor-link .org=${this.org} .login=${user}></contributor-link></div>
+              <div style="font-size:1.3em; font-weight:700; margin-top:4px;">${counts.merged}</div>
+              <div style="font-size:0.95em; color:#888;">merged PRs</div>
+              <div style="margin-top:4px;">${counts.closed} closed without merge</div>
+              <div style="font-size:0.95em; color:#888;">${this.formatPercentage(mergeRate)} merge rate</div>
             </div>
           `)}
         </div>
+        ${this.renderBelowTargetSummary(analytics)}
+        ${this.renderReviewSection()}
       </section>
     `;
   }
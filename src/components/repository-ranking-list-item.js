@@ -0,0 +1,81 @@
+import { LitElement, html, css } from 'lit';
+
+/**
+ * Web component for displaying the pull request activity of a single repository in the organization ranking.
+ * Clicking the item opens the repository.
+ *
+ * @element repository-ranking-list-item
+ * @property {Number} rank - The position of the repository in the ranking, starting at 1.
+ * @property {Object} repository - The repository object.
+ * @property {Object} summary - { pullRequests, merged, contributors, fileTypeStats } of the repository.
+ */
+export class RepositoryRankingListItem extends LitElement {
+  static properties = {
+    rank: { type: Number },
+    repository: { type: Object },
+    summary: { type: Object }
+  };
+
+  static styles = [
+    css`
+      :host {
+        display: block;
+      }
+      .ranking-row {
+        display: grid;
+        grid-template-areas: 'rank repo-name pull-requests merged contributors';
+        grid-template-columns: 40px 1fr repeat(3, 110px);
+        align-items: center;
+        gap: 8px;
+        padding: 8px 12px;
+        border-bottom: 1px solid #eee;
+        cursor: pointer;
+      }
+      .ranking-row:hover, .ranking-row:focus {
+        background: var(--mdui-color-primary-light, #e3f2fd);
+      }
+      .rank {
+        grid-area: rank;
+        color: var(--mdui-color-on-surface-variant, #888);
+      }
+      .repo-name {
+        grid-area: repo-name;
+        font-weight: 500;
+        color: var(--mdui-color-primary, #1976d2);
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+      .pull-requests { grid-area: pull-requests; }
+      .merged { grid-area: merged; }
+      .contributors { grid-area: contributors; }
+    `
+  ];
+
+  handleClick() {
+    this.dispatchEvent(new CustomEvent('repo-selected', {
+      detail: { repo: this.repository.name },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  render() {
+    const { summary } = this;
+    return html`
+      <section class="ranking-row" tabindex="0" role="button" @click=${this.handleClick}>
+        <span class="rank">${this.rank}.</span>
+        <span class="repo-name">${this.repository.name}</span>
+        <span class="pull-requests">${summary ? summary.pullRequests : '…'} PRs</span>
+        <span class="merged">${summary ? summary.merged : '…'} merged</span>
+        <span class="contributors">${summary ? summary.contributors.length : '…'} contributors</span>
+      </section>
+    `;
+  }
+
+  createRenderRoot() {
+    return this;
+  }
+}
+
+customElements.define('repository-ranking-list-item', RepositoryRankingListItem);
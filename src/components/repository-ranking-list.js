@@ -0,0 +1,89 @@
+import { LitElement, html, css } from 'lit';
+import './repository-ranking-list-item.js';
+
+/**
+ * Ranking criteria of the repository ranking.
+ * @enum {string}
+ */
+export const REPOSITORY_RANKING_CRITERIA = {
+  PULL_REQUESTS: 'pullRequests',
+  MERGED: 'merged',
+  CONTRIBUTORS: 'contributors'
+};
+
+/**
+ * Web component ranking the repositories of an organization by pull request activity.
+ * Repositories that are still being analysed are listed last.
+ *
+ * @element repository-ranking-list
+ * @property {Array} repositories - The repository objects to rank.
+ * @property {Object} summaries - { [repoName]: { pullRequests, merged, contributors, fileTypeStats } }
+ * @property {String} rankBy - One of REPOSITORY_RANKING_CRITERIA.
+ */
+export class RepositoryRankingList extends LitElement {
+  static properties = {
+    repositories: { type: Array },
+    summaries: { type: Object },
+    rankBy: { type: String }
+  };
+
+  static styles = [
+    css`
+      :host {
+        display: block;
+      }
+      .ranking-list {
+        list-style: none;
+        padding: 0;
+        margin: 0;
+      }
+    `
+  ];
+
+  constructor() {
+    super();
+    this.repositories = [];
+    this.summaries = {};
+    this.rankBy = REPOSITORY_RANKING_CRITERIA.PULL_REQUESTS;
+  }
+
+  /**
+   * Returns the ranking value of a repository summary.
+   * @param {Object|undefined} summary
+   * @returns {number}
+   */
+  getRankingValue(summary) {
+    if (!summary) return -1;
+    if (this.rankBy === REPOSITORY_RANKING_CRITERIA.CONTRIBUTORS) return summary.contributors.length;
+    return summary[this.rankBy];
+  }
+
+  /**
+   * Renders the ranked repositories.
+   * @returns {import('lit').TemplateResult}
+   */
+  render() {
+    const ranked = [...this.repositories].sort((a, b) =>
+      this.getRankingValue(this.summaries[b.name]) - this.getRankingValue(this.summaries[a.name]) || a.name.localeCompare(b.name)
+    );
+    return html`
+      <ul class="ranking-list">
+        ${ranked.map((repository, index) => html`
+          <li>
+            <repository-ranking-list-item
+              .rank=${index + 1}
+              .repository=${repository}
+              .summary=${this.summaries[repository.name]}
+            ></repository-ranking-list-item>
+          </li>
+        `)}
+      </ul>
+    `;
+  }
+
+  createRenderRoot() {
+    return this;
+  }
+}
+
+customElements.define('repository-ranking-list', RepositoryRankingList);
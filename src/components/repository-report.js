@@ -0,0 +1,291 @@
+import { LitElement, html, css } from 'lit';
+import './contributor-weekly-pr-chart.js';
+import './contributor-filetype-changes-chart.js';
+import { countPullRequestsByState, getMergeRate, getPullRequestState, PULL_REQUEST_STATE_LABELS } from '../utils/pull-request-state.js';
+import { countPullRequestsByUserPerPeriod } from '../utils/weekly-pull-request-counts.js';
+import { TIME_GRANULARITIES } from '../utils/time-periods.js';
+import { summarizeRepositoryActivity } from '../utils/organization-analytics.js';
+import { getCycleTimeSummary, formatDuration } from '../utils/cycle-time.js';
+import { getPullRequestLineTotals } from '../utils/pull-request-lines.js';
+import { DATE_RANGE_BASES } from '../utils/date-range.js';
+
+/** Number of pull requests listed under "Top pull requests". */
+const TOP_PULL_REQUEST_COUNT = 10;
+
+/**
+ * Web component rendering a print-optimized report of a repository's pull requests: summary stats,
+ * the weekly PR and file type charts of every contributor as static images, the largest pull requests
+ * and the merged and closed PRs by initiator. Printing it lets the browser save it as PDF.
+ *
+ * @element repository-report
+ * @property {String} org - The organization login name.
+ * @property {String} repo - The repository name.
+ * @property {String} reportTitle - Title shown at the top of the report.
+ * @property {Array} pullRequests - The pull requests in the date range.
+ * @property {String} dateFrom - Start of the date range (YYYY-MM-DD).
+ * @property {String} dateTo - End of the date range (YYYY-MM-DD).
+ * @property {String} dateBasis - Which pull request date the range applies to.
+ * @property {String} granularity - Period size of the PR count charts: 'day', 'week' (default), 'month' or 'quarter'.
+ * @property {Number} weeklyTarget - Weekly PR target drawn on the weekly charts; `null` for none.
+ */
+export class RepositoryReport extends LitElement {
+  static properties = {
+    org: { type: String },
+    repo: { type: String },
+    reportTitle: { type: String },
+    pullRequests: { type: Array },
+    dateFrom: { type: String },
+    dateTo: { type: String },
+    dateBasis: { type: String },
+    granularity: { type: String },
+    weeklyTarget: { type: Number }
+  };
+
+  static styles = [
+    css`
+      :host {
+        display: block;
+        color: #222;
+        background: #fff;
+      }
+      h1 {
+        font-size: 1.6rem;
+        margin: 0 0 4px;
+      }
+      h2 {
+        font-size: 1.2rem;
+        margin: 24px 0 8px;
+        border-bottom: 1px solid #ccc;
+        padding-bottom: 4px;
+      }
+      h3 {
+        font-size: 1rem;
+        margin: 0 0 8px;
+      }
+      .subtitle {
+        color: #666;
+      }
+      .totals {
+        display: grid;
+        grid-template-columns: repeat(4, 1fr);
+        gap: 8px;
+      }
+      .total {
+        border: 1px solid #ddd;
+        border-radius: 6px;
+        padding: 8px;
+        text-align: center;
+      }
+      .total-value {
+        font-size: 1.4em;
+        font-weight: 700;
+      }
+      .total-label {
+        color: #666;
+        font-size: 0.9em;
+      }
+      .contributor {
+        break-inside: avoid;
+        margin-bottom: 16px;
+      }
+      .charts {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 8px;
+      }
+      table {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 0.95em;
+      }
+      th, td {
+        text-align: left;
+        padding: 4px 8px;
+        border-bottom: 1px solid #eee;
+      }
+      td.number, th.number {
+        text-align: right;
+      }
+      tr {
+        break-inside: avoid;
+      }
+      @media print {
+        h2 {
+          break-after: avoid;
+        }
+      }
+    `
+  ];
+
+  constructor() {
+    super();
+    this.org = '';
+    this.repo = '';
+    this.reportTitle = '';
+    this.pullRequests = [];
+    this.dateFrom = '';
+    this.dateTo = '';
+    this.dateBasis = DATE_RANGE_BASES.CREATED;
+    this.granularity = TIME_GRANULARITIES.WEEK;
+    this.weeklyTarget = null;
+  }
+
+  /**
+   * Describes the date range of the report, e.g. "created 2025-01-01 – 2025-03-31".
+   * @returns {string}
+   */
+  describeDateRange() {
+    if (!this.dateFrom && !this.dateTo) return 'all time';
+    return `${this.dateBasis} ${this.dateFrom || '…'} – ${this.dateTo || 'today'}`;
+  }
+
+  /**
+   * Renders the summary stats of all pull requests in the report.
+   * @returns {import('lit').TemplateResult}
+   */
+  renderSummary() {
+    const counts = countPullRequestsByState(this.pullRequests);
+    const mergeRate = getMergeRate(counts);
+    const { contributors } = summarizeRepositoryActivity(this.pullRequests);
+    const { timeToMerge, cycleTime } = getCycleTimeSummary(this.pullRequests);
+    const totals = [
+      [this.pullRequests.length, 'pull requests'],
+      [counts.merged, 'merged'],
+      [counts.closed, 'closed without merge'],
+      [counts.open + counts.draft, 'open (incl. drafts)'],
+      [mergeRate === null ? '–' : `${Math.round(mergeRate * 100)}%`, 'merge rate'],
+      [contributors.length, 'contributors'],
+      [formatDuration(timeToMerge.median), 'median time to merge'],
+      [formatDuration(cycleTime.median), 'median cycle time']
+    ];
+    return html`
+      <section class="totals">
+        ${totals.map(([value, label]) => html`
+          <div class="total"><div class="total-value">${value}</div><div class="total-label">${label}</div></div>
+        `)}
+      </section>
+    `;
+  }
+
+  /**
+   * Renders the weekly PR and file type charts of every contributor as static images.
+   * @returns {import('lit').TemplateResult}
+   */
+  renderContributorCharts() {
+    const periodCounts = countPullRequestsByUserPerPeriod(this.pullRequests, this.granularity);
+    return html`
+      ${Object.keys(periodCounts).sort().map(user => {
+        const { fileTypeStats } = summarizeRepositoryActivity(
+          this.pullRequests.filter(pr => (pr.user?.login || 'unknown') === user)
+        );
+        return html`
+          <section class="contributor">
+            <h3>${user}</h3>
+            <div class="charts">
+              <contributor-weekly-pr-chart
+                static-image
+                .periodData=${periodCounts[user]}
+                .granularity=${this.granularity}
+                .contributor=${user}
+                .target=${this.weeklyTarget}
+              ></contributor-weekly-pr-chart>
+              ${Object.keys(fileTypeStats).length ? html`
+                <contributor-filetype-changes-chart static-image .fileTypeStats=${fileTypeStats} .contributor=${user}></contributor-filetype-changes-chart>
+              ` : ''}
+            </div>
+          </section>
+        `;
+      })}
+    `;
+  }
+
+  /**
+   * Renders the largest pull requests by changed lines.
+   * @returns {import('lit').TemplateResult}
+   */
+  renderTopPullRequests() {
+    const topPullRequests = this.pullRequests
+      .map(pr => {
+        const { additions, deletions } = getPullRequestLineTotals(pr);
+        return { pr, additions: additions || 0, deletions: deletions || 0 };
+      })
+      .sort((a, b) => (b.additions + b.deletions) - (a.additions + a.deletions))
+      .slice(0, TOP_PULL_REQUEST_COUNT);
+    return html`
+      <table>
+        <thead>
+          <tr><th>PR</th><th>Title</th><th>Author</th><th>State</th><th class="number">Additions</th><th class="number">Deletions</th></tr>
+        </thead>
+        <tbody>
+          ${topPullRequests.map(({ pr, additions, deletions }) => html`
+            <tr>
+              <td>#${pr.number}</td>
+              <td>${pr.title}</td>
+              <td>${pr.user?.login || 'unknown'}</td>
+              <td>${PULL_REQUEST_STATE_LABELS[getPullRequestState(pr)]}</td>
+              <td class="number">${additions.toLocaleString()}</td>
+              <td class="number">${deletions.toLocaleString()}</td>
+            </tr>
+          `)}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Renders the merged and closed-without-merge PRs of every initiator that had PRs decided.
+   * @returns {import('lit').TemplateResult}
+   */
+  renderClosedByInitiator() {
+    const prsByUser = {};
+    for (const pr of this.pullRequests) {
+      const user = pr.user?.login || 'unknown';
+      if (!prsByUser[user]) prsByUser[user] = [];
+      prsByUser[user].push(pr);
+    }
+    const rows = Object.entries(prsByUser)
+      .map(([user, prs]) => ({ user, counts: countPullRequestsByState(prs) }))
+      .filter(({ counts }) => counts.merged + counts.closed > 0)
+      .sort((a, b) => (b.counts.merged + b.counts.closed) - (a.counts.merged + a.counts.closed));
+    return html`
+      <table>
+        <thead>
+          <tr><th>Initiator</th><th class="number">Merged</th><th class="number">Closed without merge</th><th class="number">Merge rate</th></tr>
+        </thead>
+        <tbody>
+          ${rows.map(({ user, counts }) => html`
+            <tr>
+              <td>${user}</td>
+              <td class="number">${counts.merged}</td>
+              <td class="number">${counts.closed}</td>
+              <td class="number">${Math.round(getMergeRate(counts) * 100)}%</td>
+            </tr>
+          `)}
+        </tbody>
+      </table>
+    `;
+  }
+
+  render() {
+    return html`
+      <article>
+        <header>
+          <h1>${this.reportTitle || `${this.org}/${this.repo} pull request report`}</h1>
+          <div class="subtitle">
+            ${this.org}/${this.repo} · ${this.describeDateRange()} · generated ${new Date().toLocaleDateString()}
+          </div>
+        </header>
+        <h2>Summary</h2>
+        ${this.renderSummary()}
+        <h2>Contributors</h2>
+        ${this.renderContributorCharts()}
+        <h2>Top pull requests</h2>
+        ${this.renderTopPullRequests()}
+        <h2>Merged and closed PRs by initiator</h2>
+        ${this.renderClosedByInitiator()}
+      </article>
+    `;
+  }
+}
+
+customElements.define('repository-report', RepositoryReport);
@@ -0,0 +1,95 @@
+import { LitElement, html, css } from 'lit';
+import './contributor-link.js';
+
+/**
+ * Web component showing how many pull requests of each author (columns) every reviewer (rows) reviewed,
+ * as a table whose cells are shaded by count.
+ *
+ * @element reviewer-author-heatmap
+ * @property {String} org - The organization login name.
+ * @property {Object} matrix - { reviewers, authors, counts, max } from the review analytics utility.
+ */
+export class ReviewerAuthorHeatmap extends LitElement {
+  static properties = {
+    org: { type: String },
+    matrix: { type: Object }
+  };
+
+  static styles = [
+    css`
+      :host {
+        display: block;
+        overflow-x: auto;
+      }
+      table {
+        border-collapse: collapse;
+        font-size: 0.9em;
+      }
+      th, td {
+        padding: 4px 8px;
+        text-align: center;
+        border: 1px solid #fff;
+      }
+      thead th {
+        writing-mode: vertical-rl;
+        transform: rotate(180deg);
+        font-weight: 500;
+      }
+      tbody th {
+        text-align: left;
+        font-weight: 500;
+        white-space: nowrap;
+      }
+    `
+  ];
+
+  constructor() {
+    super();
+    this.org = '';
+    this.matrix = null;
+  }
+
+  /**
+   * Returns the cell style for a count, from white (none) to the primary color (maximum).
+   * @param {number} count
+   * @returns {string}
+   */
+  getCellStyle(count) {
+    if (!count) return 'background:#fafafa; color:#bbb;';
+    const intensity = count / Math.max(this.matrix.max, 1);
+    return `background:rgba(25, 118, 210, ${(0.15 + 0.85 * intensity).toFixed(2)}); color:${intensity > 0.5 ? '#fff' : '#222'};`;
+  }
+
+  /**
+   * Renders the reviewer→author table.
+   * @returns {import('lit').TemplateResult}
+   */
+  render() {
+    if (!this.matrix || !this.matrix.reviewers.length) return html``;
+    const { reviewers, authors, counts } = this.matrix;
+    return html`
+      <table>
+        <caption class="mdui-typo">Reviewed PRs by reviewer (rows) and author (columns)</caption>
+        <thead>
+          <tr>
+            <td></td>
+            ${authors.map(author => html`<th scope="col"><contributor-link .org=${this.org} .login=${author}></contributor-link></th>`)}
+          </tr>
+        </thead>
+        <tbody>
+          ${reviewers.map(reviewer => html`
+            <tr>
+              <th scope="row"><contributor-link .org=${this.org} .login=${reviewer}></contributor-link></th>
+              ${authors.map(author => {
+                const count = counts[reviewer][author] || 0;
+                return html`<td style="${this.getCellStyle(count)}" title="${reviewer} reviewed ${count} PRs of ${author}">${count}</td>`;
+              })}
+            </tr>
+          `)}
+        </tbody>
+      </table>
+    `;
+  }
+}
+
+customElements.define('reviewer-author-heatmap', ReviewerAuthorHeatmap);
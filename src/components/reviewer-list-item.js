@@ -0,0 +1,94 @@
+import { LitElement, html, css } from 'lit';
+import './contributor-link.js';
+
+/**
+ * Web component for displaying the review activity of a single reviewer, including a bar
+ * showing the share of all reviewed pull requests this reviewer reviewed.
+ *
+ * @element reviewer-list-item
+ * @property {String} org - The organization login name.
+ * @property {Object} stats - { reviewer, reviews, approvals, changesRequested, commented, comments, pullRequestsReviewed, loadShare }
+ */
+export class ReviewerListItem extends LitElement {
+  static properties = {
+    org: { type: String },
+    stats: { type: Object }
+  };
+
+  static styles = [
+    css`
+      :host {
+        display: block;
+      }
+      .reviewer-row {
+        display: grid;
+        grid-template-areas:
+          'reviewer share'
+          'counts counts'
+          'load load';
+        grid-template-columns: 1fr auto;
+        row-gap: 4px;
+        padding: 8px 12px;
+        border-bottom: 1px solid #eee;
+      }
+      .reviewer {
+        grid-area: reviewer;
+        font-weight: 600;
+        color: var(--mdui-color-primary, #1976d2);
+      }
+      .share {
+        grid-area: share;
+        font-weight: 500;
+      }
+      .counts {
+        grid-area: counts;
+        font-size: 0.95em;
+        color: var(--mdui-color-on-surface-variant, #666);
+      }
+      .approvals {
+        color: #388e3c;
+      }
+      .changes-requested {
+        color: var(--mdui-color-error, #d32f2f);
+      }
+      .load {
+        grid-area: load;
+        height: 6px;
+        border-radius: 3px;
+        background: #eee;
+      }
+      .load-bar {
+        height: 100%;
+        border-radius: 3px;
+        background: var(--mdui-color-primary, #1976d2);
+      }
+    `
+  ];
+
+  /**
+   * Renders the reviewer with review counts and load share.
+   * @returns {import('lit').TemplateResult}
+   */
+  render() {
+    const { stats } = this;
+    if (!stats) return html``;
+    const sharePercent = Math.round(stats.loadShare * 100);
+    return html`
+      <div class="reviewer-row">
+        <span class="reviewer"><contributor-link .org=${this.org} .login=${stats.reviewer}></contributor-link></span>
+        <span class="share" title="Share of reviewed PRs">${sharePercent}% of reviewed PRs</span>
+        <span class="counts">
+          ${stats.reviews} reviews on ${stats.pullRequestsReviewed} PRs:
+          <span class="approvals">${stats.approvals} approvals</span>,
+          <span class="changes-requested">${stats.changesRequested} change requests</span>,
+          ${stats.commented} comment-only reviews, ${stats.comments} review comments
+        </span>
+        <div class="load" role="meter" aria-label="Review load" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${sharePercent}">
+          <div class="load-bar" style="width:${sharePercent}%"></div>
+        </div>
+      </div>
+    `;
+  }
+}
+
+customElements.define('reviewer-list-item', ReviewerListItem);
@@ -0,0 +1,60 @@
+import { LitElement, html, css } from 'lit';
+import './reviewer-list-item.js';
+
+/**
+ * Web component listing the review activity of every reviewer, busiest reviewer first.
+ *
+ * @element reviewer-list
+ * @property {String} org - The organization login name, used to link reviewers to their contributor page.
+ * @property {Array} reviewerStats - Reviewer statistics from the review analytics utility.
+ */
+export class ReviewerList extends LitElement {
+  static properties = {
+    org: { type: String },
+    reviewerStats: { type: Array }
+  };
+
+  static styles = [
+    css`
+      :host {
+        display: block;
+      }
+      .reviewer-list {
+        list-style: none;
+        padding: 0;
+        margin: 0;
+      }
+    `
+  ];
+
+  constructor() {
+    super();
+    this.org = '';
+    this.reviewerStats = [];
+  }
+
+  /**
+   * Renders one item per reviewer.
+   * @returns {import('lit').TemplateResult}
+   */
+  render() {
+    if (!this.reviewerStats.length) {
+      return html`<div class="mdui-typo">No reviews in the selected date range.</div>`;
+    }
+    return html`
+      <ul class="reviewer-list">
+        ${this.reviewerStats.map(stats => html`
+          <li>
+            <reviewer-list-item .org=${this.org} .stats=${stats}></reviewer-list-item>
+          </li>
+        `)}
+      </ul>
+    `;
+  }
+
+  createRenderRoot() {
+    return this;
+  }
+}
+
+customElements.define('reviewer-list', ReviewerList);
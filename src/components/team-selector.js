@@ -0,0 +1,161 @@
+import { LitElement, html, css } from 'lit';
+import { loadOrganizationTeams, onTeamsChange } from '../services/team-service.js';
+import { diagnoseAccessError } from '../services/github-token-scope-service.js';
+import './manual-team-editor.js';
+
+/**
+ * Web component for choosing the team metrics are rolled up by. Lists the organization's GitHub teams
+ * and manually defined teams; when the token cannot read team membership, it says why and offers
+ * the manual team editor instead.
+ *
+ * @element team-selector
+ * @property {String} org - The organization login name.
+ * @property {Object} connection - The active GitHub connection (API base URL and token).
+ * @property {String} selectedTeam - Slug of the selected team, or '' for all contributors.
+ * @fires team-change - When a team is selected or the selected team changed; `detail.team` is the team or `null`.
+ */
+export class TeamSelector extends LitElement {
+  static properties = {
+    org: { type: String },
+    connection: { type: Object },
+    selectedTeam: { type: String },
+    teams: { type: Array },
+    githubError: { type: Object },
+    loading: { type: Boolean },
+    showEditor: { type: Boolean }
+  };
+
+  static styles = [
+    css`
+      :host {
+        display: block;
+        margin-bottom: 16px;
+      }
+      .selector {
+        display: grid;
+        grid-auto-flow: column;
+        justify-content: start;
+        align-items: center;
+        gap: 8px;
+      }
+      .notice {
+        margin: 4px 0 0;
+        color: var(--mdui-color-on-surface-variant, #666);
+      }
+      .edit-btn {
+        background: none;
+        border: none;
+        padding: 0;
+        color: var(--mdui-color-primary, #1976d2);
+        cursor: pointer;
+      }
+    `
+  ];
+
+  constructor() {
+    super();
+    this.org = '';
+    this.connection = null;
+    this.selectedTeam = '';
+    this.teams = [];
+    this.githubError = null;
+    this.loading = false;
+    this.showEditor = false;
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this._removeTeamsListener = onTeamsChange(() => this.loadTeams());
+  }
+
+  disconnectedCallback() {
+    this._removeTeamsListener?.();
+    this._removeTeamsListener = null;
+    super.disconnectedCallback();
+  }
+
+  updated(changedProps) {
+    if (changedProps.has('org') || changedProps.has('connection')) {
+      this.loadTeams();
+    }
+  }
+
+  /**
+   * Loads the teams of the organization. If the selected team changed or no longer exists,
+   * listeners are notified with its new state.
+   * @returns {Promise<void>}
+   */
+  async loadTeams() {
+    if (!this.org || !this.connection?.token) {
+      this.teams = [];
+      this.githubError = null;
+      return;
+    }
+    const { org, connection } = this;
+    this.loading = true;
+    const { teams, githubError } = await loadOrganizationTeams(org, connection);
+    if (this.org !== org || this.connection !== connection) return;
+    this.loading = false;
+    this.teams = teams;
+    this.githubError = githubError;
+    if (this.selectedTeam) {
+      this.dispatchTeamChange(teams.find(team => team.slug === this.selectedTeam) || null);
+    }
+  }
+
+  /**
+   * Notifies listeners about the selected team.
+   * @param {import('../services/github-team-service.js').Team|null} team - The team, or `null` for all contributors.
+   */
+  dispatchTeamChange(team) {
+    this.selectedTeam = team?.slug || '';
+    this.dispatchEvent(new CustomEvent('team-change', {
+      detail: { team },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Selects the team chosen in the select box.
+   * @param {Event} event - The change event of the select box.
+   */
+  handleTeamChange(event) {
+    this.dispatchTeamChange(this.teams.find(team => team.slug === event.target.value) || null);
+  }
+
+  /**
+   * Renders why GitHub teams are unavailable.
+   * @returns {import('lit').TemplateResult|string}
+   */
+  renderGithubError() {
+    if (!this.githubError) return '';
+    const reason = diagnoseAccessError(this.githubError)?.message || this.githubError.message;
+    return html`<p class="notice">GitHub teams are unavailable: ${reason} You can define teams manually instead.</p>`;
+  }
+
+  render() {
+    return html`
+      <div class="selector">
+        <label for="team-select">Team:</label>
+        <select id="team-select" class="mdui-select" ?disabled=${this.loading} @change=${this.handleTeamChange}>
+          <option value="" .selected=${!this.selectedTeam}>-- All Contributors --</option>
+          ${this.teams.map(team => html`
+            <option value="${team.slug}" .selected=${this.selectedTeam === team.slug}>
+              ${team.name}${team.manual ? ' (manual)' : ''} · ${team.members.length} members
+            </option>
+          `)}
+        </select>
+        <button
+          class="edit-btn"
+          aria-expanded=${this.showEditor ? 'true' : 'false'}
+          @click=${() => { this.showEditor = !this.showEditor; }}
+        >${this.showEditor ? 'Hide manual teams' : 'Edit manual teams'}</button>
+      </div>
+      ${this.renderGithubError()}
+      ${this.showEditor ? html`<manual-team-editor .org=${this.org}></manual-team-editor>` : ''}
+    `;
+  }
+}
+
+customElements.define('team-selector', TeamSelector);
@@ -0,0 +1,94 @@
+import { LitElement, html, css } from 'lit';
+import '@mdui/icons/check-circle.js';
+import '@mdui/icons/cancel.js';
+import '@mdui/icons/help-outline.js';
+
+/**
+ * Web component for displaying whether the current token grants the access a single dashboard feature needs.
+ *
+ * @element token-scope-list-item
+ * @property {Object} requirement - { feature, scopes, permission, status } from the token scope service.
+ */
+export class TokenScopeListItem extends LitElement {
+  static properties = {
+    requirement: { type: Object }
+  };
+
+  static styles = [
+    css`
+      :host {
+        display: block;
+      }
+      .scope-row {
+        display: grid;
+        grid-template-areas:
+          'status feature'
+          'status needs';
+        grid-template-columns: auto 1fr;
+        column-gap: 10px;
+        align-items: center;
+        padding: 6px 12px;
+      }
+      .scope-status {
+        grid-area: status;
+        font-size: 22px;
+      }
+      .scope-status.granted {
+        color: #388e3c;
+      }
+      .scope-status.missing {
+        color: var(--mdui-color-error, #d32f2f);
+      }
+      .scope-status.unknown {
+        color: var(--mdui-color-on-surface-variant, #888);
+      }
+      .scope-feature {
+        grid-area: feature;
+        font-weight: 500;
+      }
+      .scope-needs {
+        grid-area: needs;
+        font-size: 0.9em;
+        color: var(--mdui-color-on-surface-variant, #666);
+      }
+    `
+  ];
+
+  /**
+   * Renders the icon matching the requirement status.
+   * @returns {import('lit').TemplateResult}
+   */
+  renderStatusIcon() {
+    const { status } = this.requirement;
+    if (status === 'granted') {
+      return html`<mdui-icon-check-circle class="scope-status granted" aria-label="Granted"></mdui-icon-check-circle>`;
+    }
+    if (status === 'missing') {
+      return html`<mdui-icon-cancel class="scope-status missing" aria-label="Missing"></mdui-icon-cancel>`;
+    }
+    return html`<mdui-icon-help-outline class="scope-status unknown" aria-label="Unknown"></mdui-icon-help-outline>`;
+  }
+
+  render() {
+    if (!this.requirement) return html``;
+    const { feature, scopes, permission } = this.requirement;
+    return html`
+      <section class="scope-row">
+        ${this.renderStatusIcon()}
+        <span class="scope-feature">${feature}</span>
+        <span class="scope-needs">
+          Needs ${scopes.length
+            ? html`scope ${scopes.map((scope, index) => html`${index > 0 ? ' or ' : ''}<code>${scope}</code>`)}`
+            : 'no scope'}
+          (fine-grained: ${permission})
+        </span>
+      </section>
+    `;
+  }
+
+  createRenderRoot() {
+    return this;
+  }
+}
+
+customElements.define('token-scope-list-item', TokenScopeListItem);
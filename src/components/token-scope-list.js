@@ -0,0 +1,154 @@
+import { LitElement, html, css } from 'lit';
+import {
+  fetchTokenScopeInfo,
+  getFeatureScopeStatus,
+  diagnoseAccessError
+} from '../services/github-token-scope-service.js';
+import './token-scope-list-item.js';
+
+/**
+ * Web component listing the scopes of the current GitHub token against the scopes each dashboard feature needs.
+ * When an access error is passed, it explains which scope or SSO authorization is missing.
+ *
+ * @element token-scope-list
+ * @property {Object} connection - The active GitHub connection whose token is inspected.
+ * @property {Error} accessError - Optional error of a failed request to diagnose.
+ */
+export class TokenScopeList extends LitElement {
+  static properties = {
+    connection: { type: Object },
+    accessError: { type: Object },
+    scopeInfo: { type: Object },
+    error: { type: String }
+  };
+
+  static styles = [
+    css`
+      :host {
+        display: block;
+      }
+      .diagnosis {
+        padding: 12px;
+        margin-bottom: 12px;
+        border-radius: 4px;
+        background: var(--mdui-color-error-container, #fde7e7);
+        color: var(--mdui-color-on-error-container, #5f1412);
+      }
+      .token-summary {
+        margin: 8px 0;
+        color: var(--mdui-color-on-surface-variant, #666);
+      }
+      .scope-list {
+        list-style: none;
+        padding: 0;
+        margin: 0;
+      }
+      .error {
+        color: var(--mdui-color-error, #d32f2f);
+      }
+    `
+  ];
+
+  constructor() {
+    super();
+    this.connection = null;
+    this.accessError = null;
+    this.scopeInfo = null;
+    this.error = '';
+  }
+
+  updated(changedProps) {
+    if (changedProps.has('connection')) {
+      this.loadScopeInfo();
+    }
+  }
+
+  /**
+   * Loads the scope information of the current token.
+   * @returns {Promise<void>}
+   */
+  async loadScopeInfo() {
+    if (!this.connection?.token) {
+      this.scopeInfo = null;
+      this.error = '';
+      return;
+    }
+    const connection = this.connection;
+    try {
+      const scopeInfo = await fetchTokenScopeInfo(connection);
+      if (this.connection !== connection) return;
+      this.scopeInfo = scopeInfo;
+      this.error = '';
+    } catch (err) {
+      if (this.connection !== connection) return;
+      this.scopeInfo = null;
+      this.error = err.message;
+    }
+  }
+
+  /**
+   * Renders the explanation of the access error, if any.
+   * @returns {import('lit').TemplateResult|string}
+   */
+  renderDiagnosis() {
+    if (!this.accessError) return '';
+    const diagnosis = diagnoseAccessError(this.accessError, this.scopeInfo?.scopes);
+    if (!diagnosis) return '';
+    return html`
+      <section class="diagnosis" role="alert">
+        ${diagnosis.message}
+        ${diagnosis.ssoUrl ? html` <a href="${diagnosis.ssoUrl}" target="_blank" rel="noopener">Authorize token</a>` : ''}
+      </section>
+    `;
+  }
+
+  /**
+   * Renders a one-line summary of the token type and its scopes.
+   * @returns {import('lit').TemplateResult}
+   */
+  renderTokenSummary() {
+    const { tokenType, scopes, scopesKnown, expiresAt } = this.scopeInfo;
+    let scopeText;
+    if (!scopesKnown) {
+      scopeText = 'GitHub does not report permissions for this token; missing permissions are shown when a request fails.';
+    } else {
+      scopeText = scopes.length ? `Scopes: ${scopes.join(', ')}` : 'This token has no scopes.';
+    }
+    return html`
+      <p class="token-summary">
+        Token type: <strong>${tokenType}</strong>. ${scopeText}
+        ${expiresAt ? html` Expires ${expiresAt}.` : ''}
+      </p>
+    `;
+  }
+
+  /**
+   * Renders the diagnosis and the list of features with their scope status.
+   * @returns {import('lit').TemplateResult}
+   */
+  render() {
+    if (this.error) {
+      return html`${this.renderDiagnosis()}<div class="error">${this.error}</div>`;
+    }
+    if (!this.scopeInfo) {
+      return html`${this.renderDiagnosis()}`;
+    }
+    return html`
+      ${this.renderDiagnosis()}
+      ${this.renderTokenSummary()}
+      <ul class="scope-list">
+        ${getFeatureScopeStatus(this.scopeInfo).map(requirement => html`
+          <li>
+            <token-scope-list-item .requirement=${requirement}></token-scope-list-item>
+          </li>
+        `)}
+      </ul>
+    `;
+  }
+
+  createRenderRoot() {
+    return this;
+  }
+}
+
+customElements.define('token-scope-list', TokenScopeList);
@@ -10,6 +10,7 @@ import { fetchUserRepositories } from '../services/github-api-service.js';
 export class UserRepoList extends LitElement {
   static properties = {
     username: { type: String },
+    connection: { type: Object },
     repositories: { type: Array },
     error: { type: String }
   };
@@ -35,33 +36,34 @@ export class UserRepoList extends LitElement {
     super();
     // Use the username from the environment variable as default
     this.username = import.meta.env.VITE_GITHUB_USERNAME || '';
+    this.connection = null;
     this.repositories = [];
     this.error = '';
   }
 
   /**
-   * Fetch repositories when username changes.
+   * Fetch repositories when username or token changes.
    * @param {Map} changedProps - The changed properties.
    */
   updated(changedProps) {
-    if (changedProps.has('username')) {
+    if (changedProps.has('username') || changedProps.has('connection')) {
       this.loadRepositories();
     }
   }
 
   /**
    * Loads the repositories of the user via the service.
-   * Uses the GitHub token from the environment variable.
+   * Uses the GitHub connection passed as a property.
    * @returns {Promise<void>}
    */
   async loadRepositories() {
-    if (!this.username || !import.meta.env.VITE_GITHUB_TOKEN) {
+    if (!this.username || !this.connection?.token) {
       this.repositories = [];
       this.error = '';
       return;
     }
     try {
-      this.repositories = await fetchUserRepositories(this.username, import.meta.env.VITE_GITHUB_TOKEN);
+      this.repositories = await fetchUserRepositories(this.username, this.connection);
       this.error = '';
     } catch (err) {
       this.repositories = [];
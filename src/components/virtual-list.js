@@ -0,0 +1,180 @@
+import { LitElement, html, css } from 'lit';
+import { repeat } from 'lit/directives/repeat.js';
+
+/** Number of items rendered above and below the visible window, so fast scrolling shows no gaps. */
+const OVERSCAN_ITEMS = 3;
+
+/**
+ * Web component rendering only the visible window of a long list as a `<ul>`. Items are positioned by their
+ * measured heights; items not rendered yet count with the estimated `itemHeight`. The list scrolls within a box
+ * of at most `maxHeight` pixels. Lists that fit the box render all items.
+ *
+ * @element virtual-list
+ * @property {Array} items - The items to render.
+ * @property {Number} itemHeight - Estimated height of an item in pixels, used until the item has been rendered.
+ * @property {Number} maxHeight - Maximum height of the scroll box in pixels.
+ * @property {Function} renderItem - Renders the content of an item's `<li>`: `(item, index) => TemplateResult`.
+ * @property {Function} keyFunction - Returns a stable key of an item, so rendered items are reused while scrolling.
+ */
+export class VirtualList extends LitElement {
+  static properties = {
+    items: { type: Array },
+    itemHeight: { type: Number },
+    maxHeight: { type: Number },
+    renderItem: { type: Function },
+    keyFunction: { type: Function },
+    _scrollOffset: { state: true }
+  };
+
+  static styles = [
+    css`
+      :host {
+        display: block;
+      }
+      .viewport {
+        overflow-y: auto;
+        overscroll-behavior: contain;
+      }
+      .spacer {
+        position: relative;
+      }
+      .window {
+        position: absolute;
+        top: 0;
+        left: 0;
+        right: 0;
+        margin: 0;
+        padding: 0;
+        list-style: none;
+      }
+      .item {
+        box-sizing: border-box;
+      }
+    `
+  ];
+
+  constructor() {
+    super();
+    this.items = [];
+    this.itemHeight = 48;
+    this.maxHeight = 600;
+    this.renderItem = item => html`${item}`;
+    this.keyFunction = (item, index) => index;
+    this._scrollOffset = 0;
+    this._scrollFrame = null;
+    /** Measured heights of rendered items by key. */
+    this._measuredHeights = new Map();
+    this._resizeObserver = new ResizeObserver(entries => this.handleItemResize(entries));
+  }
+
+  disconnectedCallback() {
+    cancelAnimationFrame(this._scrollFrame);
+    this._resizeObserver.disconnect();
+    super.disconnectedCallback();
+  }
+
+  /**
+   * Returns the top offset of every item and, as last entry, the total height of the list.
+   * @returns {number[]}
+   */
+  getItemOffsets() {
+    const offsets = [0];
+    this.items.forEach((item, index) => {
+      const height = this._measuredHeights.get(this.keyFunction(item, index)) ?? this.itemHeight;
+      offsets.push(offsets[index] + height);
+    });
+    return offsets;
+  }
+
+  willUpdate(changedProps) {
+    this._offsets = this.getItemOffsets();
+    // A shorter list may end above the current scroll position
+    if (changedProps.has('items')) {
+      this._scrollOffset = Math.min(this._scrollOffset, Math.max(0, this._offsets[this.items.length] - this.maxHeight));
+    }
+  }
+
+  updated() {
+    for (const element of this.renderRoot.querySelectorAll('.item')) {
+      this._resizeObserver.observe(element);
+    }
+  }
+
+  /**
+   * Stores the heights of resized items and re-renders when an item's height changed.
+   * @param {ResizeObserverEntry[]} entries
+   */
+  handleItemResize(entries) {
+    let changed = false;
+    for (const { target } of entries) {
+      if (!target.isConnected) {
+        this._resizeObserver.unobserve(target);
+        continue;
+      }
+      const index = Number(target.dataset.index);
+      if (index >= this.items.length) continue;
+      const key = this.keyFunction(this.items[index], index);
+      const height = target.getBoundingClientRect().height;
+      if (height > 0 && this._measuredHeights.get(key) !== height) {
+        this._measuredHeights.set(key, height);
+        changed = true;
+      }
+    }
+    if (changed) this.requestUpdate();
+  }
+
+  /**
+   * Re-renders the visible window at most once per animation frame while scrolling.
+   * @param {Event} event
+   */
+  handleScroll(event) {
+    const { scrollTop } = event.target;
+    cancelAnimationFrame(this._scrollFrame);
+    this._scrollFrame = requestAnimationFrame(() => { this._scrollOffset = scrollTop; });
+  }
+
+  /**
+   * Returns the index of the item at a vertical position of the list.
+   * @param {number} position - Distance from the top of the list in pixels.
+   * @returns {number}
+   */
+  getIndexAt(position) {
+    let low = 0;
+    let high = this.items.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this._offsets[middle] <= position) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low;
+  }
+
+  render() {
+    const offsets = this._offsets;
+    const totalHeight = offsets[this.items.length];
+    const viewportHeight = Math.min(totalHeight, this.maxHeight);
+    const start = Math.max(0, this.getIndexAt(this._scrollOffset) - OVERSCAN_ITEMS);
+    const end = Math.min(this.items.length, this.getIndexAt(this._scrollOffset + viewportHeight) + 1 + OVERSCAN_ITEMS);
+    const visibleItems = this.items.slice(start, end);
+    return html`
+      <div class="viewport" style="height:${viewportHeight}px" @scroll=${this.handleScroll}>
+        <div class="spacer" style="height:${totalHeight}px">
+          <ul class="window" style="transform: translateY(${offsets[start]}px)">
+            ${repeat(
+              visibleItems,
+              (item, index) => this.keyFunction(item, start + index),
+              (item, index) => html`
+                <li class="item" data-index="${start + index}">${this.renderItem(item, start + index)}</li>
+              `
+            )}
+          </ul>
+        </div>
+      </div>
+    `;
+  }
+}
+
+customElements.define('virtual-list', VirtualList);
@@ -0,0 +1,102 @@
+import { LitElement, html, css } from 'lit';
+import { getWeeklyTargets, saveWeeklyTargets } from '../services/weekly-target-service.js';
+import { TARGET_METRICS, TARGET_METRIC_LABELS } from '../utils/weekly-targets.js';
+
+/**
+ * Web component for editing the weekly targets of a repository or team. An empty field means no target
+ * for that metric; saving stores the targets locally and updates all charts.
+ *
+ * @element weekly-target-editor
+ * @property {String} scope - The repository or team scope, see the weekly target service.
+ * @property {String} scopeLabel - Name of the repository or team shown in the heading.
+ */
+export class WeeklyTargetEditor extends LitElement {
+  static properties = {
+    scope: { type: String },
+    scopeLabel: { type: String },
+    targets: { type: Object },
+    dirty: { type: Boolean }
+  };
+
+  static styles = [
+    css`
+      :host {
+        display: block;
+        margin: 16px 0;
+      }
+      .targets {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+        gap: 12px;
+      }
+      label {
+        display: grid;
+        gap: 4px;
+      }
+      .actions {
+        margin-top: 8px;
+      }
+    `
+  ];
+
+  constructor() {
+    super();
+    this.scope = '';
+    this.scopeLabel = '';
+    this.targets = {};
+    this.dirty = false;
+  }
+
+  willUpdate(changedProps) {
+    if (changedProps.has('scope')) {
+      this.targets = getWeeklyTargets(this.scope);
+      this.dirty = false;
+    }
+  }
+
+  /**
+   * Changes the target of one metric.
+   * @param {string} metric - One of the target metrics.
+   * @param {string} value - The entered target; empty for none.
+   */
+  updateTarget(metric, value) {
+    this.targets = { ...this.targets, [metric]: value };
+    this.dirty = true;
+  }
+
+  /**
+   * Saves the targets.
+   */
+  handleSave() {
+    saveWeeklyTargets(this.scope, this.targets);
+    this.targets = getWeeklyTargets(this.scope);
+    this.dirty = false;
+  }
+
+  render() {
+    return html`
+      <section>
+        <h3 class="mdui-typo">Weekly targets for ${this.scopeLabel}</h3>
+        <div class="targets">
+          ${Object.values(TARGET_METRICS).map(metric => html`
+            <label>
+              ${TARGET_METRIC_LABELS[metric]}
+              <input
+                type="number"
+                min="1"
+                placeholder="No target"
+                .value=${this.targets[metric] ?? ''}
+                @input=${event => this.updateTarget(metric, event.target.value)}
+              >
+            </label>
+          `)}
+        </div>
+        <div class="actions">
+          <button @click=${this.handleSave} ?disabled=${!this.dirty}>Save</button>
+        </div>
+      </section>
+    `;
+  }
+}
+
+customElements.define('weekly-target-editor', WeeklyTargetEditor);
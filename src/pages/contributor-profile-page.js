@@ -0,0 +1,338 @@
+import { LitElement, html, css } from 'lit';
+import 'mdui/components/icon.js';
+import '@mdui/icons/backspace.js';
+import '../components/date-range-picker.js';
+import '../components/analysis-progress-indicator.js';
+import '../components/contributor-weekly-pr-chart.js';
+import '../components/contributor-filetype-changes-chart.js';
+import '../components/churn-filter-toggle.js';
+import '../components/bot-filter-toggle.js';
+import { loadContributorActivity, reclassifyPullRequests } from '../services/pull-request-analysis-service.js';
+import { onClassificationRulesChange } from '../services/file-classification-service.js';
+import { onFileExclusionChange } from '../services/file-exclusion-service.js';
+import {
+  applyContributorIdentities,
+  resolveContributor,
+  getContributorLogins,
+  onContributorIdentityChange
+} from '../services/contributor-identity-service.js';
+import { DATE_RANGE_BASES, filterPullRequestsByDateRange, getDateRangeStart } from '../utils/date-range.js';
+import { countPullRequestsByState, getMergeRate } from '../utils/pull-request-state.js';
+import { countPullRequestsByUserPerPeriod } from '../utils/weekly-pull-request-counts.js';
+import { summarizeRepositoryActivity } from '../utils/organization-analytics.js';
+import { getReviewerStats } from '../utils/review-analytics.js';
+import { buildRouteHash } from '../utils/hash-router.js';
+
+/**
+ * Page component showing a contributor's activity across all repositories of an organization:
+ * weekly PR chart, file type changes, merge rate, PRs per repository and the reviews they gave.
+ * Pull requests are found through the search API, or in the cache when search is unavailable.
+ *
+ * @element contributor-profile-page
+ * @property {String} org - The organization login name.
+ * @property {String} login - The contributor login.
+ * @property {Object} connection - The active GitHub connection (API base URL and token).
+ * @property {String} dateFrom - Start of the date range (YYYY-MM-DD).
+ * @property {String} dateTo - End of the date range (YYYY-MM-DD).
+ * @property {String} dateBasis - Which pull request date the range applies to.
+ * @property {Function} onBack - Callback for back navigation.
+ */
+export class ContributorProfilePage extends LitElement {
+  static properties = {
+    org: { type: String },
+    login: { type: String },
+    connection: { type: Object },
+    dateFrom: { type: String },
+    dateTo: { type: String },
+    dateBasis: { type: String },
+    onBack: { type: Function },
+    activity: { type: Object },
+    progress: { type: Object },
+    error: { type: String }
+  };
+
+  static styles = [
+    css`
+      :host {
+        display: block;
+        padding: 24px;
+      }
+      .header {
+        display: grid;
+        grid-template-areas: 'back title';
+        grid-template-columns: auto 1fr;
+        align-items: center;
+        gap: 16px;
+        margin-bottom: 24px;
+      }
+      .back-btn {
+        grid-area: back;
+        background: none;
+        border: none;
+        cursor: pointer;
+        padding: 8px;
+        border-radius: 50%;
+      }
+      .title {
+        grid-area: title;
+        font-size: 1.5rem;
+        font-weight: 600;
+        color: var(--mdui-color-primary, #1976d2);
+      }
+      .totals {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(160px, 1fr));
+        gap: 12px;
+        margin: 24px 0;
+      }
+      .total {
+        background: #f5f5f5;
+        border-radius: 6px;
+        padding: 12px;
+        text-align: center;
+      }
+      .total-value {
+        font-size: 1.6em;
+        font-weight: 700;
+      }
+      .total-label {
+        color: #888;
+      }
+      .charts {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(420px, 1fr));
+        gap: 16px;
+      }
+      .notice {
+        color: var(--mdui-color-on-surface-variant, #666);
+      }
+      .error {
+        color: var(--mdui-color-error, #d32f2f);
+      }
+    `
+  ];
+
+  constructor() {
+    super();
+    this.org = '';
+    this.login = '';
+    this.connection = null;
+    this.dateFrom = '';
+    this.dateTo = '';
+    this.dateBasis = DATE_RANGE_BASES.CREATED;
+    this.activity = null;
+    this.progress = null;
+    this.error = '';
+    this._loadAbortController = null;
+    this._loadedSince = '';
+    this._loadedLogins = '';
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    const reclassify = () => {
+      if (this.activity) {
+        this.activity = { ...this.activity, pullRequests: reclassifyPullRequests(this.activity.pullRequests) };
+      }
+    };
+    this._removeClassificationListener = onClassificationRulesChange(reclassify);
+    this._removeExclusionListener = onFileExclusionChange(reclassify);
+    this._removeIdentityListener = onContributorIdentityChange(() => {
+      // Aliases may add or remove logins of the person, whose pull requests then need to be searched
+      if (this._loadedLogins && getContributorLogins(this.login).join('|') !== this._loadedLogins) {
+        this.loadActivity();
+      } else {
+        this.requestUpdate();
+      }
+    });
+  }
+
+  disconnectedCallback() {
+    this.cancelAnalysis();
+    this._removeClassificationListener?.();
+    this._removeClassificationListener = null;
+    this._removeExclusionListener?.();
+    this._removeExclusionListener = null;
+    this._removeIdentityListener?.();
+    this._removeIdentityListener = null;
+    super.disconnectedCallback();
+  }
+
+  updated(changedProps) {
+    if (changedProps.has('org') || changedProps.has('login') || changedProps.has('connection')) {
+      this.loadActivity();
+    } else if (changedProps.has('dateFrom')) {
+      const updatedSince = getDateRangeStart({ from: this.dateFrom });
+      if (this._loadedSince && (!updatedSince || updatedSince < this._loadedSince)) {
+        this.loadActivity();
+      }
+    }
+  }
+
+  /**
+   * Cancels the running analysis.
+   */
+  cancelAnalysis() {
+    this._loadAbortController?.abort();
+    this._loadAbortController = null;
+    this.progress = null;
+  }
+
+  /**
+   * Loads the pull requests and reviews of the contributor across the organization, for all logins
+   * that are counted as the same person.
+   * @returns {Promise<void>}
+   */
+  async loadActivity() {
+    this.cancelAnalysis();
+    this.activity = null;
+    this.error = '';
+    if (!this.org || !this.login || !this.connection?.token) return;
+    const abortController = new AbortController();
+    this._loadAbortController = abortController;
+    const { signal } = abortController;
+    const updatedSince = getDateRangeStart({ from: this.dateFrom });
+    this._loadedSince = updatedSince;
+    const logins = getContributorLogins(this.login);
+    this._loadedLogins = logins.join('|');
+    this.progress = { completed: 0, total: 0 };
+    try {
+      const activity = await loadContributorActivity(this.org, logins, this.connection, {
+        updatedSince,
+        signal,
+        onProgress: progress => { this.progress = progress; }
+      });
+      if (signal.aborted) return;
+      this.activity = activity;
+      this.cancelAnalysis();
+    } catch (err) {
+      if (signal.aborted) return;
+      this.cancelAnalysis();
+      this.error = err.message;
+    }
+  }
+
+  /**
+   * Applies a new date range. The event keeps bubbling, so the page can also store it in the URL.
+   * @param {CustomEvent} event
+   */
+  handleDateRangeChange(event) {
+    this.dateFrom = event.detail.from;
+    this.dateTo = event.detail.to;
+    this.dateBasis = event.detail.basis;
+  }
+
+  /**
+   * Handles the back button click event.
+   */
+  handleBack() {
+    if (typeof this.onBack === 'function') {
+      this.onBack();
+    } else {
+      this.dispatchEvent(new CustomEvent('navigate-back', { bubbles: true, composed: true }));
+    }
+  }
+
+  /**
+   * Renders the number of pull requests per repository, linking to the contributor within each repository.
+   * @param {Object[]} pullRequests - The contributor's pull requests in the date range.
+   * @returns {import('lit').TemplateResult}
+   */
+  renderRepositoryBreakdown(pullRequests) {
+    const counts = {};
+    for (const pr of pullRequests) {
+      counts[pr.repository] = (counts[pr.repository] || 0) + 1;
+    }
+    const repositories = Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+    return html`
+      <h3 class="mdui-typo">Pull requests per repository</h3>
+      <ul>
+        ${repositories.map(repo => html`
+          <li>
+            <a href="${buildRouteHash({ org: this.org, repo, contributor: this.login, from: this.dateFrom, to: this.dateTo })}">${repo}</a>:
+            ${counts[repo]} PRs
+          </li>
+        `)}
+      </ul>
+    `;
+  }
+
+  /**
+   * Renders the contributor's totals, charts, repository breakdown and review activity.
+   * Aliases are applied, so the statistics are keyed by the person the login belongs to.
+   * @returns {import('lit').TemplateResult}
+   */
+  renderActivity() {
+    const range = { from: this.dateFrom, to: this.dateTo, basis: this.dateBasis };
+    const person = resolveContributor(this.login);
+    const pullRequests = applyContributorIdentities(filterPullRequestsByDateRange(this.activity.pullRequests, range));
+    const reviewedPullRequests = applyContributorIdentities(filterPullRequestsByDateRange(this.activity.reviewedPullRequests, range));
+    const counts = countPullRequestsByState(pullRequests);
+    const mergeRate = getMergeRate(counts);
+    const weeklyData = countPullRequestsByUserPerPeriod(pullRequests)[person] || [];
+    const { fileTypeStats } = summarizeRepositoryActivity(pullRequests);
+    const reviewStats = getReviewerStats(reviewedPullRequests).find(stats => stats.reviewer === person);
+    return html`
+      ${this.activity.fromCache ? html`
+        <p class="notice">The search API is unavailable; showing pull requests from previously analysed repositories only.</p>
+      ` : ''}
+      <section class="totals">
+        <div class="total"><div class="total-value">${pullRequests.length}</div><div class="total-label">PRs opened</div></div>
+        <div class="total"><div class="total-value">${counts.merged}</div><div class="total-label">merged</div></div>
+        <div class="total">
+          <div class="total-value">${mergeRate === null ? '–' : `${Math.round(mergeRate * 100)}%`}</div>
+          <div class="total-label">merge rate</div>
+        </div>
+        <div class="total"><div class="total-value">${reviewStats?.reviews || 0}</div><div class="total-label">reviews given</div></div>
+        <div class="total"><div class="total-value">${reviewStats?.approvals || 0}</div><div class="total-label">approvals</div></div>
+        <div class="total"><div class="total-value">${reviewStats?.changesRequested || 0}</div><div class="total-label">change requests</div></div>
+      </section>
+      <churn-filter-toggle></churn-filter-toggle>
+      <bot-filter-toggle></bot-filter-toggle>
+      <section class="charts">
+        ${weeklyData.length ? html`
+          <contributor-weekly-pr-chart .periodData=${weeklyData} .contributor=${person}></contributor-weekly-pr-chart>
+        ` : ''}
+        ${Object.keys(fileTypeStats).length ? html`
+          <contributor-filetype-changes-chart .fileTypeStats=${fileTypeStats} .contributor=${person}></contributor-filetype-changes-chart>
+        ` : ''}
+      </section>
+      ${this.renderRepositoryBreakdown(pullRequests)}
+      <h3 class="mdui-typo">Review activity</h3>
+      <p>
+        Reviewed ${reviewStats?.pullRequestsReviewed || 0} PRs in ${new Set(reviewedPullRequests.map(pr => pr.repository)).size} repositories,
+        leaving ${reviewStats?.comments || 0} review comments and ${reviewStats?.commented || 0} comment-only reviews.
+      </p>
+    `;
+  }
+
+  render() {
+    return html`
+      <main>
+        <section class="header">
+          <button class="back-btn mdui-btn mdui-btn-icon" @click="${this.handleBack}" aria-label="Back">
+            <mdui-icon-backspace></mdui-icon-backspace>
+          </button>
+          <span class="title">${this.login} in ${this.org}</span>
+        </section>
+        <date-range-picker
+          .from=${this.dateFrom}
+          .to=${this.dateTo}
+          .basis=${this.dateBasis}
+          @date-range-change=${this.handleDateRangeChange}
+        ></date-range-picker>
+        ${this.error ? html`<div class="error">${this.error}</div>` : ''}
+        ${this.progress ? html`
+          <analysis-progress-indicator
+            .completed=${this.progress.completed}
+            .total=${this.progress.total}
+            @analysis-cancel=${this.cancelAnalysis}
+          ></analysis-progress-indicator>
+        ` : ''}
+        ${this.activity ? this.renderActivity() : ''}
+      </main>
+    `;
+  }
+}
+
+customElements.define('contributor-profile-page', ContributorProfilePage);
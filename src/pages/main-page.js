@@ -2,7 +2,16 @@
 import { LitElement, html, css } from 'lit';
 import '../components/organization-repo-list.js';
 import '../components/organization-list.js';
+import '../components/token-scope-list.js';
+import '../components/connection-profile-switcher.js';
 import '../pages/repository-detail-page.js';
+import '../pages/organization-overview-page.js';
+import '../pages/contributor-profile-page.js';
+import '../pages/sign-in-page.js';
+import { signOut } from '../services/github-auth-service.js';
+import { getActiveConnection, onActiveConnectionChange } from '../services/connection-profile-service.js';
+import { getCurrentRoute, navigateTo, onRouteChange } from '../utils/hash-router.js';
+import { DATE_RANGE_BASES } from '../utils/date-range.js';
 
 /**
  * Header component for displaying the selected organization and repository.
@@ -44,6 +53,8 @@ customElements.define('selection-header', SelectionHeader);
 
 /**
  * Main page component responsible for rendering the organization selection and repository list.
+ * Shows the sign-in page while the active connection profile has no token for the session.
+ * The selection is kept in the URL hash, so it survives a refresh and can be shared as a link.
  *
  * @element main-page
  */
@@ -51,7 +62,12 @@ export class MainPage extends LitElement {
   static properties = {
     selectedOrg: { type: String },
     selectedRepo: { type: String },
-    githubToken: { type: String },
+    selectedContributor: { type: String },
+    selectedView: { type: String },
+    dateFrom: { type: String },
+    dateTo: { type: String },
+    dateBasis: { type: String },
+    connection: { type: Object },
     showRepoDetail: { type: Boolean }
   };
 
@@ -82,12 +98,39 @@ export class MainPage extends LitElement {
       max-width: 420px;
     }
     header {
+      display: grid;
+      grid-template-areas:
+        'profile-switcher profile-switcher'
+        'sidebar-title sign-out';
+      grid-template-columns: 1fr auto;
+      row-gap: 12px;
+      align-items: center;
       padding: 20px 16px 8px 16px;
       font-size: 1.2rem;
       font-weight: 500;
       color: var(--mdui-color-primary, #1976d2);
       border-bottom: 1px solid #eee;
     }
+    connection-profile-switcher {
+      grid-area: profile-switcher;
+      font-size: 0.95rem;
+      font-weight: normal;
+      color: initial;
+    }
+    .sidebar-title {
+      grid-area: sidebar-title;
+    }
+    .sign-out-btn {
+      grid-area: sign-out;
+      background: none;
+      border: none;
+      cursor: pointer;
+      font-size: 0.9rem;
+      color: var(--mdui-color-on-surface-variant, #666);
+    }
+    .sign-out-btn:hover {
+      color: var(--mdui-color-primary, #1976d2);
+    }
     section {
       grid-area: main-content;
       padding: 32px 24px;
@@ -97,6 +140,9 @@ export class MainPage extends LitElement {
       grid-auto-rows: min-content;
       row-gap: 16px;
     }
+    .overview-btn {
+      justify-self: start;
+    }
     h2 {
       font-size: 1.5rem;
       font-weight: 500;
@@ -107,10 +153,60 @@ export class MainPage extends LitElement {
 
   constructor() {
     super();
-    this.selectedOrg = '';
-    this.selectedRepo = '';
-    this.githubToken = import.meta.env.VITE_GITHUB_TOKEN || '';
-    this.showRepoDetail = false;
+    this.connection = getActiveConnection();
+    this.applyRoute(getCurrentRoute());
+    this._removeConnectionListener = null;
+    this._removeRouteListener = null;
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this._removeConnectionListener = onActiveConnectionChange(connection => this.handleConnectionChange(connection));
+    this._removeRouteListener = onRouteChange(route => this.applyRoute(route));
+  }
+
+  disconnectedCallback() {
+    this._removeConnectionListener?.();
+    this._removeConnectionListener = null;
+    this._removeRouteListener?.();
+    this._removeRouteListener = null;
+    super.disconnectedCallback();
+  }
+
+  /**
+   * Restores the selection from a route, on load and on every URL change.
+   * @param {import('../utils/hash-router.js').Route} route
+   */
+  applyRoute(route) {
+    this.selectedOrg = route.org;
+    this.selectedRepo = route.repo;
+    this.selectedContributor = route.contributor;
+    this.selectedView = route.view;
+    this.dateFrom = route.from;
+    this.dateTo = route.to;
+    this.dateBasis = route.basis;
+    this.showRepoDetail = Boolean(route.org && route.repo);
+  }
+
+  /**
+   * Handles profile switches, sign-in and sign-out. On a profile switch or sign-out the selection
+   * is reset because another account or server may not have access to the selected organization.
+   * Signing in keeps the selection so shared links still open after authentication.
+   * @param {Object} connection - The new active connection; its token is empty after sign-out.
+   */
+  handleConnectionChange(connection) {
+    const profileSwitched = connection.id !== this.connection.id;
+    this.connection = connection;
+    if (profileSwitched || !connection.token) {
+      navigateTo({});
+    }
+  }
+
+  /**
+   * Signs out of the current session.
+   */
+  handleSignOut() {
+    signOut();
   }
 
   /**
@@ -118,8 +214,14 @@ export class MainPage extends LitElement {
    * @param {CustomEvent} event
    */
   handleOrgSelected(event) {
-    this.selectedOrg = event.detail.org;
-    this.selectedRepo = '';
+    navigateTo({ org: event.detail.org });
+  }
+
+  /**
+   * Opens the overview of the selected organization.
+   */
+  handleShowOverview() {
+    navigateTo({ ...this.getDateRangeRoute(), org: this.selectedOrg, view: 'overview' });
   }
 
   /**
@@ -127,12 +229,53 @@ export class MainPage extends LitElement {
    * @param {CustomEvent} event
    */
   handleRepoSelected(event) {
-    this.selectedRepo = event.detail.repo;
-    this.showRepoDetail = true;
+    navigateTo({ ...this.getDateRangeRoute(), org: this.selectedOrg, repo: event.detail.repo });
   }
 
+  /**
+   * Returns the route properties of the selected date range, which is kept while navigating between repositories.
+   * @returns {Partial<import('../utils/hash-router.js').Route>}
+   */
+  getDateRangeRoute() {
+    return { from: this.dateFrom, to: this.dateTo, basis: this.dateBasis };
+  }
+
+  /**
+   * Handles contributor selection from the pull-request-list component.
+   * @param {CustomEvent} event
+   */
+  handleContributorSelected(event) {
+    navigateTo({
+      ...this.getDateRangeRoute(),
+      org: this.selectedOrg,
+      repo: this.selectedRepo,
+      contributor: event.detail.contributor
+    });
+  }
+
+  /**
+   * Handles date range changes from the date-range-picker component.
+   * @param {CustomEvent} event
+   */
+  handleDateRangeChange(event) {
+    const { from, to, basis } = event.detail;
+    navigateTo({
+      org: this.selectedOrg,
+      repo: this.selectedRepo,
+      contributor: this.selectedContributor,
+      view: this.selectedView,
+      from,
+      to,
+      // The default basis is left out of the URL
+      basis: basis === DATE_RANGE_BASES.CREATED ? '' : basis
+    });
+  }
+
+  /**
+   * Returns from the repository detail, organization overview or contributor page to the organization's repository list.
+   */
   handleBackFromDetail() {
-    this.showRepoDetail = false;
+    navigateTo({ org: this.selectedOrg });
   }
 
   /**
@@ -140,35 +283,83 @@ export class MainPage extends LitElement {
    * @returns {import('lit').TemplateResult}
    */
   render() {
+    if (!this.connection.token) {
+      return html`<sign-in-page .connection=${this.connection}></sign-in-page>`;
+    }
     if (this.showRepoDetail && this.selectedOrg && this.selectedRepo) {
       return html`
         <repository-detail-page
           .org=${this.selectedOrg}
           .repo=${this.selectedRepo}
-          .githubToken=${this.githubToken}
+          .connection=${this.connection}
+          .selectedContributor=${this.selectedContributor}
+          .dateFrom=${this.dateFrom}
+          .dateTo=${this.dateTo}
+          .dateBasis=${this.dateBasis || DATE_RANGE_BASES.CREATED}
           .onBack=${this.handleBackFromDetail.bind(this)}
+          @contributor-selected=${this.handleContributorSelected}
+          @date-range-change=${this.handleDateRangeChange}
         ></repository-detail-page>
       `;
     }
+    if (this.selectedOrg && this.selectedContributor) {
+      return html`
+        <contributor-profile-page
+          .org=${this.selectedOrg}
+          .login=${this.selectedContributor}
+          .connection=${this.connection}
+          .dateFrom=${this.dateFrom}
+          .dateTo=${this.dateTo}
+          .dateBasis=${this.dateBasis || DATE_RANGE_BASES.CREATED}
+          .onBack=${this.handleBackFromDetail.bind(this)}
+          @date-range-change=${this.handleDateRangeChange}
+        ></contributor-profile-page>
+      `;
+    }
+    if (this.selectedView === 'overview' && this.selectedOrg) {
+      return html`
+        <organization-overview-page
+          .org=${this.selectedOrg}
+          .connection=${this.connection}
+          .dateFrom=${this.dateFrom}
+          .dateTo=${this.dateTo}
+          .dateBasis=${this.dateBasis || DATE_RANGE_BASES.CREATED}
+          .onBack=${this.handleBackFromDetail.bind(this)}
+          @repo-selected=${this.handleRepoSelected}
+          @date-range-change=${this.handleDateRangeChange}
+        ></organization-overview-page>
+      `;
+    }
     return html`
       <main>
         <aside>
-          <header>Organizations</header>
+          <header>
+            <connection-profile-switcher .connection=${this.connection}></connection-profile-switcher>
+            <span class="sidebar-title">Organizations</span>
+            <button class="sign-out-btn" @click=${this.handleSignOut}>Sign out</button>
+          </header>
           <organization-list
             .selectedOrg=${this.selectedOrg}
-            .githubToken=${this.githubToken}
+            .connection=${this.connection}
             @org-selected=${this.handleOrgSelected}
           ></organization-list>
         </aside>
         <section>
           <selection-header .org=${this.selectedOrg} .repo=${this.selectedRepo}></selection-header>
           <h2>Repositories</h2>
+          ${this.selectedOrg ? html`
+            <button class="overview-btn mdui-btn" @click=${this.handleShowOverview}>Organization overview</button>
+          ` : ''}
           <organization-repo-list
             .org=${this.selectedOrg}
-            .githubToken=${this.githubToken}
+            .connection=${this.connection}
             .selectedRepo=${this.selectedRepo}
             @repo-selected=${this.handleRepoSelected}
           ></organization-repo-list>
+          <details>
+            <summary>Token permissions</summary>
+            <token-scope-list .connection=${this.connection}></token-scope-list>
+          </details>
         </section>
       </main>
     `;
@@ -0,0 +1,460 @@
+import { LitElement, html, css } from 'lit';
+import 'mdui/components/icon.js';
+import '@mdui/icons/backspace.js';
+import '../components/date-range-picker.js';
+import '../components/analysis-progress-indicator.js';
+import '../components/contributor-filetype-changes-chart.js';
+import '../components/churn-filter-toggle.js';
+import '../components/bot-filter-toggle.js';
+import '../components/team-selector.js';
+import '../components/contributor-weekly-pr-chart.js';
+import { REPOSITORY_RANKING_CRITERIA } from '../components/repository-ranking-list.js';
+import { fetchOrganizationRepositories } from '../services/github-organization-service.js';
+import { getCachedOrganizationRepositories, cacheOrganizationRepositories } from '../services/github-cache-service.js';
+import {
+  getCachedRepositoryPullRequests,
+  loadRepositoryPullRequests,
+  reclassifyPullRequests
+} from '../services/pull-request-analysis-service.js';
+import { onClassificationRulesChange } from '../services/file-classification-service.js';
+import { onFileExclusionChange } from '../services/file-exclusion-service.js';
+import { applyContributorIdentities, onContributorIdentityChange } from '../services/contributor-identity-service.js';
+import { runWithConcurrencyLimit } from '../utils/concurrency-limited-queue.js';
+import { DATE_RANGE_BASES, filterPullRequestsByDateRange, getDateRangeStart } from '../utils/date-range.js';
+import { summarizeRepositoryActivity, aggregateActivitySummaries } from '../utils/organization-analytics.js';
+import { countPullRequestsByUserPerPeriod } from '../utils/weekly-pull-request-counts.js';
+import { filterPullRequestsByTeam, sumPeriodCounts } from '../utils/team-analytics.js';
+import { ARCHIVED_FILTERS, filterRepositories, getRepositoryFilterOptions } from '../utils/repository-filters.js';
+
+/**
+ * Number of repositories analysed at the same time. Each repository analysis runs its own
+ * bounded queue of file requests, so this is kept small.
+ */
+const REPOSITORY_CONCURRENCY = 2;
+
+/**
+ * Page component aggregating pull request activity across all repositories of an organization:
+ * PR counts, merged PRs, active contributors and file category churn, with a per-repository ranking.
+ * Repositories can be filtered by topic, language and archived status, and activity can be rolled up
+ * per team; selecting a repository fires `repo-selected` to open the repository detail page.
+ *
+ * @element organization-overview-page
+ * @property {String} org - The organization login name.
+ * @property {Object} connection - The active GitHub connection (API base URL and token).
+ * @property {String} dateFrom - Start of the date range (YYYY-MM-DD).
+ * @property {String} dateTo - End of the date range (YYYY-MM-DD).
+ * @property {String} dateBasis - Which pull request date the range applies to.
+ * @property {Function} onBack - Callback for back navigation.
+ * @property {Object} team - The team whose members' activity is shown; `null` for all contributors.
+ * @fires repo-selected - When a repository of the ranking is selected, with `detail.repo`.
+ */
+export class OrganizationOverviewPage extends LitElement {
+  static properties = {
+    org: { type: String },
+    connection: { type: Object },
+    dateFrom: { type: String },
+    dateTo: { type: String },
+    dateBasis: { type: String },
+    onBack: { type: Function },
+    repositories: { type: Array },
+    repositoryPullRequests: { type: Object },
+    topic: { type: String },
+    language: { type: String },
+    archivedFilter: { type: String },
+    rankBy: { type: String },
+    team: { type: Object },
+    progress: { type: Object },
+    failedRepositories: { type: Array },
+    error: { type: String }
+  };
+
+  static styles = [
+    css`
+      :host {
+        display: block;
+        padding: 24px;
+      }
+      .header {
+        display: grid;
+        grid-template-areas: 'back title';
+        grid-template-columns: auto 1fr;
+        align-items: center;
+        gap: 16px;
+        margin-bottom: 24px;
+      }
+      .back-btn {
+        grid-area: back;
+        background: none;
+        border: none;
+        cursor: pointer;
+        padding: 8px;
+        border-radius: 50%;
+      }
+      .title {
+        grid-area: title;
+        font-size: 1.5rem;
+        font-weight: 600;
+        color: var(--mdui-color-primary, #1976d2);
+      }
+      .filters {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(200px, max-content));
+        gap: 16px;
+        align-items: center;
+      }
+      .filters label {
+        font-weight: 500;
+        margin-right: 4px;
+      }
+      .totals {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+        gap: 12px;
+        margin: 24px 0;
+      }
+      .total {
+        background: #f5f5f5;
+        border-radius: 6px;
+        padding: 12px;
+        text-align: center;
+      }
+      .total-value {
+        font-size: 1.6em;
+        font-weight: 700;
+      }
+      .total-label {
+        color: #888;
+      }
+      .error {
+        color: var(--mdui-color-error, #d32f2f);
+      }
+    `
+  ];
+
+  constructor() {
+    super();
+    this.org = '';
+    this.connection = null;
+    this.dateFrom = '';
+    this.dateTo = '';
+    this.dateBasis = DATE_RANGE_BASES.CREATED;
+    this.repositories = [];
+    this.repositoryPullRequests = {};
+    this.topic = '';
+    this.language = '';
+    this.archivedFilter = ARCHIVED_FILTERS.EXCLUDE;
+    this.rankBy = REPOSITORY_RANKING_CRITERIA.PULL_REQUESTS;
+    this.team = null;
+    this.progress = null;
+    this.failedRepositories = [];
+    this.error = '';
+    this._analysisAbortController = null;
+    this._loadedSince = {};
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    const reclassify = () => {
+      this.repositoryPullRequests = Object.fromEntries(
+        Object.entries(this.repositoryPullRequests).map(([name, prs]) => [name, reclassifyPullRequests(prs)])
+      );
+    };
+    this._removeClassificationListener = onClassificationRulesChange(reclassify);
+    this._removeExclusionListener = onFileExclusionChange(reclassify);
+    this._removeIdentityListener = onContributorIdentityChange(() => this.requestUpdate());
+  }
+
+  disconnectedCallback() {
+    this.cancelAnalysis();
+    this._removeClassificationListener?.();
+    this._removeClassificationListener = null;
+    this._removeExclusionListener?.();
+    this._removeExclusionListener = null;
+    this._removeIdentityListener?.();
+    this._removeIdentityListener = null;
+    super.disconnectedCallback();
+  }
+
+  updated(changedProps) {
+    if (changedProps.has('org') || changedProps.has('connection')) {
+      this.loadRepositories();
+    } else if (['topic', 'language', 'archivedFilter', 'dateFrom'].some(prop => changedProps.has(prop))) {
+      this.analyseRepositories();
+    }
+  }
+
+  /**
+   * Cancels the running analysis, keeping the repositories analysed so far.
+   */
+  cancelAnalysis() {
+    this._analysisAbortController?.abort();
+    this._analysisAbortController = null;
+    this.progress = null;
+  }
+
+  /**
+   * Loads the repositories of the organization, cached ones first, and starts the analysis.
+   * If loading fails, the cached repositories are analysed instead.
+   * @returns {Promise<void>}
+   */
+  async loadRepositories() {
+    this.cancelAnalysis();
+    this.repositories = [];
+    this.repositoryPullRequests = {};
+    this._loadedSince = {};
+    this.failedRepositories = [];
+    this.error = '';
+    if (!this.org || !this.connection?.token) return;
+    const { org, connection } = this;
+    const isCurrentSelection = () => this.org === org && this.connection === connection;
+    try {
+      const cachedRepos = await getCachedOrganizationRepositories(connection.apiBaseUrl, org);
+      if (cachedRepos && isCurrentSelection()) {
+        this.repositories = cachedRepos;
+      }
+      const repos = await fetchOrganizationRepositories(org, connection);
+      await cacheOrganizationRepositories(connection.apiBaseUrl, org, repos);
+      if (!isCurrentSelection()) return;
+      this.repositories = repos;
+      this.analyseRepositories();
+    } catch (err) {
+      if (!isCurrentSelection()) return;
+      this.error = err.message;
+      // Keep the cached repositories consistent with their analysis, e.g. when offline
+      if (this.repositories.length) this.analyseRepositories();
+    }
+  }
+
+  /**
+   * Returns the repositories matching the topic, language and archived filters.
+   * @returns {Object[]}
+   */
+  getFilteredRepositories() {
+    return filterRepositories(this.repositories, {
+      topic: this.topic,
+      language: this.language,
+      archived: this.archivedFilter
+    });
+  }
+
+  /**
+   * Loads the pull requests of every filtered repository that is not loaded for the date range yet.
+   * Cached pull requests are shown first; a failing repository is reported without stopping the others.
+   * @returns {Promise<void>}
+   */
+  async analyseRepositories() {
+    this.cancelAnalysis();
+    const { org, connection } = this;
+    if (!org || !connection?.token) return;
+    const updatedSince = getDateRangeStart({ from: this.dateFrom });
+    const coversRange = name => name in this._loadedSince && (!this._loadedSince[name] || (updatedSince && updatedSince >= this._loadedSince[name]));
+    const pending = this.getFilteredRepositories().filter(repo => !coversRange(repo.name));
+    if (!pending.length) return;
+    const abortController = new AbortController();
+    this._analysisAbortController = abortController;
+    const { signal } = abortController;
+    this.progress = { completed: 0, total: pending.length };
+    this.failedRepositories = this.failedRepositories.filter(name => !pending.some(repo => repo.name === name));
+    const cached = {};
+    for (const repo of pending) {
+      const prs = await getCachedRepositoryPullRequests(connection.apiBaseUrl, org, repo.name);
+      if (prs && !(repo.name in this.repositoryPullRequests)) cached[repo.name] = prs;
+    }
+    if (signal.aborted) return;
+    this.repositoryPullRequests = { ...this.repositoryPullRequests, ...cached };
+    try {
+      await runWithConcurrencyLimit(pending, async repo => {
+        try {
+          return await loadRepositoryPullRequests(org, repo.name, connection, { updatedSince, signal });
+        } catch (err) {
+          if (signal.aborted) throw err;
+          this.failedRepositories = [...this.failedRepositories, repo.name];
+          return null;
+        }
+      }, {
+        concurrency: REPOSITORY_CONCURRENCY,
+        signal,
+        onItemComplete: (prs, index, completed) => {
+          const { name } = pending[index];
+          if (prs) {
+            this.repositoryPullRequests = { ...this.repositoryPullRequests, [name]: prs };
+            this._loadedSince[name] = updatedSince;
+          }
+          this.progress = { completed, total: pending.length };
+        }
+      });
+      if (this._analysisAbortController === abortController) {
+        this.cancelAnalysis();
+      }
+    } catch (err) {
+      if (!signal.aborted) this.error = err.message;
+    }
+  }
+
+  /**
+   * Returns the pull requests in the date range of every filtered repository that has pull requests loaded.
+   * Aliased logins count as one contributor, bots are left out when hidden, and with a team selected
+   * only the pull requests of its members are included.
+   * @returns {Object} { [repoName]: Object[] }
+   */
+  getRepositoryPullRequestsInRange() {
+    const range = { from: this.dateFrom, to: this.dateTo, basis: this.dateBasis };
+    const pullRequestsByRepository = {};
+    for (const repo of this.getFilteredRepositories()) {
+      const prs = this.repositoryPullRequests[repo.name];
+      if (!prs) continue;
+      const pullRequests = applyContributorIdentities(filterPullRequestsByDateRange(prs, range));
+      pullRequestsByRepository[repo.name] = this.team ? filterPullRequestsByTeam(pullRequests, this.team) : pullRequests;
+    }
+    return pullRequestsByRepository;
+  }
+
+  /**
+   * Returns the activity summary of every filtered repository that has pull requests loaded.
+   * @param {Object} pullRequestsByRepository - { [repoName]: Object[] }, see {@link getRepositoryPullRequestsInRange}.
+   * @returns {Object} { [repoName]: ActivitySummary }
+   */
+  getRepositorySummaries(pullRequestsByRepository) {
+    return Object.fromEntries(
+      Object.entries(pullRequestsByRepository).map(([name, prs]) => [name, summarizeRepositoryActivity(prs)])
+    );
+  }
+
+  /**
+   * Applies a new date range. The event keeps bubbling, so the page can also store it in the URL.
+   * @param {CustomEvent} event
+   */
+  handleDateRangeChange(event) {
+    this.dateFrom = event.detail.from;
+    this.dateTo = event.detail.to;
+    this.dateBasis = event.detail.basis;
+  }
+
+  /**
+   * Handles the back button click event.
+   */
+  handleBack() {
+    if (typeof this.onBack === 'function') {
+      this.onBack();
+    } else {
+      this.dispatchEvent(new CustomEvent('navigate-back', { bubbles: true, composed: true }));
+    }
+  }
+
+  /**
+   * Renders the topic, language and archived status filters.
+   * @returns {import('lit').TemplateResult}
+   */
+  renderFilters() {
+    const { topics, languages } = getRepositoryFilterOptions(this.repositories);
+    return html`
+      <section class="filters">
+        <div>
+          <label for="overview-topic">Topic:</label>
+          <select id="overview-topic" class="mdui-select" @change=${event => { this.topic = event.target.value; }}>
+            <option value="">All topics</option>
+            ${topics.map(topic => html`<option value="${topic}" ?selected=${this.topic === topic}>${topic}</option>`)}
+          </select>
+        </div>
+        <div>
+          <label for="overview-language">Language:</label>
+          <select id="overview-language" class="mdui-select" @change=${event => { this.language = event.target.value; }}>
+            <option value="">All languages</option>
+            ${languages.map(language => html`<option value="${language}" ?selected=${this.language === language}>${language}</option>`)}
+          </select>
+        </div>
+        <div>
+          <label for="overview-archived">Archived:</label>
+          <select id="overview-archived" class="mdui-select" @change=${event => { this.archivedFilter = event.target.value; }}>
+            <option value="${ARCHIVED_FILTERS.EXCLUDE}" ?selected=${this.archivedFilter === ARCHIVED_FILTERS.EXCLUDE}>Exclude archived</option>
+            <option value="${ARCHIVED_FILTERS.INCLUDE}" ?selected=${this.archivedFilter === ARCHIVED_FILTERS.INCLUDE}>Include archived</option>
+            <option value="${ARCHIVED_FILTERS.ONLY}" ?selected=${this.archivedFilter === ARCHIVED_FILTERS.ONLY}>Only archived</option>
+          </select>
+        </div>
+      </section>
+    `;
+  }
+
+  /**
+   * Renders the organization totals, the file category churn and the repository ranking.
+   * @returns {import('lit').TemplateResult}
+   */
+  render() {
+    const repositories = this.getFilteredRepositories();
+    const pullRequestsByRepository = this.getRepositoryPullRequestsInRange();
+    const summaries = this.getRepositorySummaries(pullRequestsByRepository);
+    const totals = aggregateActivitySummaries(Object.values(summaries));
+    const teamWeeklyData = this.team
+      ? sumPeriodCounts(countPullRequestsByUserPerPeriod(Object.values(pullRequestsByRepository).flat()))
+      : [];
+    return html`
+      <main>
+        <section class="header">
+          <button class="back-btn mdui-btn mdui-btn-icon" @click="${this.handleBack}" aria-label="Back">
+            <mdui-icon-backspace></mdui-icon-backspace>
+          </button>
+          <span class="title">${this.org} overview</span>
+        </section>
+        ${this.renderFilters()}
+        <date-range-picker
+          .from=${this.dateFrom}
+          .to=${this.dateTo}
+          .basis=${this.dateBasis}
+          @date-range-change=${this.handleDateRangeChange}
+        ></date-range-picker>
+        <team-selector
+          .org=${this.org}
+          .connection=${this.connection}
+          .selectedTeam=${this.team?.slug || ''}
+          @team-change=${event => { this.team = event.detail.team; }}
+        ></team-selector>
+        ${this.error ? html`<div class="error">${this.error}</div>` : ''}
+        ${this.progress ? html`
+          <analysis-progress-indicator
+            .completed=${this.progress.completed}
+            .total=${this.progress.total}
+            label="repositories analysed"
+            @analysis-cancel=${this.cancelAnalysis}
+          ></analysis-progress-indicator>
+        ` : ''}
+        <section class="totals">
+          <div class="total"><div class="total-value">${repositories.length}</div><div class="total-label">repositories</div></div>
+          <div class="total"><div class="total-value">${totals.pullRequests}</div><div class="total-label">pull requests</div></div>
+          <div class="total"><div class="total-value">${totals.merged}</div><div class="total-label">merged PRs</div></div>
+          <div class="total"><div class="total-value">${totals.contributors.length}</div><div class="total-label">active contributors</div></div>
+        </section>
+        <bot-filter-toggle></bot-filter-toggle>
+        ${teamWeeklyData.length ? html`
+          <h3 class="mdui-typo">Weekly pull requests of team ${this.team.name}</h3>
+          <contributor-weekly-pr-chart .periodData=${teamWeeklyData} .contributor=${this.team.name}></contributor-weekly-pr-chart>
+        ` : ''}
+        ${Object.keys(totals.fileTypeStats).length ? html`
+          <h3 class="mdui-typo">File category churn</h3>
+          <churn-filter-toggle></churn-filter-toggle>
+          <contributor-filetype-changes-chart
+            .fileTypeStats=${totals.fileTypeStats}
+            .contributor=${this.team?.name || this.org}
+          ></contributor-filetype-changes-chart>
+        ` : ''}
+        <h3 class="mdui-typo">
+          Repositories ranked by
+          <select class="mdui-select" aria-label="Rank repositories by" @change=${event => { this.rankBy = event.target.value; }}>
+            <option value="${REPOSITORY_RANKING_CRITERIA.PULL_REQUESTS}" ?selected=${this.rankBy === REPOSITORY_RANKING_CRITERIA.PULL_REQUESTS}>pull requests</option>
+            <option value="${REPOSITORY_RANKING_CRITERIA.MERGED}" ?selected=${this.rankBy === REPOSITORY_RANKING_CRITERIA.MERGED}>merged PRs</option>
+            <option value="${REPOSITORY_RANKING_CRITERIA.CONTRIBUTORS}" ?selected=${this.rankBy === REPOSITORY_RANKING_CRITERIA.CONTRIBUTORS}>contributors</option>
+          </select>
+        </h3>
+        ${this.failedRepositories.length ? html`
+          <div class="error">Could not analyse: ${this.failedRepositories.join(', ')}</div>
+        ` : ''}
+        <repository-ranking-list
+          .repositories=${repositories}
+          .summaries=${summaries}
+          .rankBy=${this.rankBy}
+        ></repository-ranking-list>
+      </main>
+    `;
+  }
+}
+
+customElements.define('organization-overview-page', OrganizationOverviewPage);
@@ -2,6 +2,15 @@ import { LitElement, html, css } from 'lit';
 import 'mdui/components/icon.js';
 import '@mdui/icons/backspace.js';
 import '../components/pull-request-list.js';
+import '../components/date-range-picker.js';
+import '../components/data-export-menu.js';
+import '../components/file-classification-rules-editor.js';
+import '../components/contributor-alias-editor.js';
+import '../components/team-selector.js';
+import '../components/weekly-target-editor.js';
+import { getRepositoryTargetScope, getTeamTargetScope } from '../services/weekly-target-service.js';
+import { TIME_GRANULARITIES, TIME_GRANULARITY_LABELS } from '../utils/time-periods.js';
+import { DATE_RANGE_BASES } from '../utils/date-range.js';
 
 /**
  * Page component for displaying details of a selected organization and repository.
@@ -9,14 +18,36 @@ import '../components/pull-request-list.js';
  * @element repository-detail-page
  * @property {String} org - The selected organization login name.
  * @property {String} repo - The selected repository name.
+ * @property {String} selectedContributor - The contributor selected via the URL.
+ * @property {String} dateFrom - Start of the date range (YYYY-MM-DD) selected via the URL.
+ * @property {String} dateTo - End of the date range (YYYY-MM-DD) selected via the URL.
+ * @property {String} dateBasis - Which pull request date the range applies to ('created', 'merged' or 'closed').
  * @property {Function} onBack - Callback for back navigation.
+ * @property {Boolean} reportMode - Show the printable report instead of the interactive analysis.
+ * @property {String} reportTitle - Title of the printable report; defaults to the repository name.
+ * @property {Boolean} showClassificationRules - Whether the file category rules editor is open.
+ * @property {Boolean} showContributorAliases - Whether the contributor alias editor is open.
+ * @property {Boolean} showWeeklyTargets - Whether the weekly target editor is open.
+ * @property {Object} team - The team metrics are rolled up by; `null` for all contributors.
+ * @property {String} granularity - Period size of all time-series charts: 'day', 'week' (default), 'month' or 'quarter'.
  */
 export class RepositoryDetailPage extends LitElement {
   static properties = {
     org: { type: String },
     repo: { type: String },
-    githubToken: { type: String },
-    onBack: { type: Function }
+    connection: { type: Object },
+    selectedContributor: { type: String },
+    dateFrom: { type: String },
+    dateTo: { type: String },
+    dateBasis: { type: String },
+    onBack: { type: Function },
+    reportMode: { type: Boolean },
+    reportTitle: { type: String },
+    showClassificationRules: { type: Boolean },
+    showContributorAliases: { type: Boolean },
+    showWeeklyTargets: { type: Boolean },
+    team: { type: Object },
+    granularity: { type: String }
   };
 
   static styles = [
@@ -27,7 +58,8 @@ export class RepositoryDetailPage extends LitElement {
       }
       .header {
         display: grid;
-        grid-template-areas: 'back title';
+        grid-template-areas: 'back title export report';
+        grid-template-columns: auto 1fr auto auto;
         align-items: center;
         gap: 16px;
         margin-bottom: 32px;
@@ -50,6 +82,68 @@ export class RepositoryDetailPage extends LitElement {
         font-weight: 600;
         color: var(--mdui-color-primary, #1976d2);
       }
+      .export {
+        grid-area: export;
+      }
+      .report-btn, .print-btn {
+        grid-area: report;
+        background: none;
+        border: 1px solid var(--mdui-color-primary, #1976d2);
+        border-radius: 4px;
+        padding: 6px 12px;
+        color: var(--mdui-color-primary, #1976d2);
+        cursor: pointer;
+        font-weight: 500;
+      }
+      .report-toolbar {
+        display: grid;
+        grid-template-areas: 'label title print';
+        grid-template-columns: auto minmax(200px, 480px) auto;
+        align-items: center;
+        gap: 8px;
+        margin-bottom: 16px;
+      }
+      .report-toolbar label {
+        grid-area: label;
+      }
+      .report-toolbar input {
+        grid-area: title;
+        padding: 6px;
+      }
+      .print-btn {
+        grid-area: print;
+      }
+      @media print {
+        :host {
+          padding: 0;
+        }
+        .header,
+        .info,
+        file-classification-rules-editor,
+        contributor-alias-editor,
+        team-selector,
+        .granularity,
+        weekly-target-editor,
+        .report-toolbar,
+        date-range-picker {
+          display: none;
+        }
+      }
+      .rules-btn {
+        background: none;
+        border: none;
+        padding: 0;
+        margin-top: 8px;
+        margin-right: 16px;
+        color: var(--mdui-color-primary, #1976d2);
+        cursor: pointer;
+      }
+      .granularity {
+        margin: 16px 0;
+      }
+      .granularity label {
+        margin-right: 8px;
+      }
       .info {
         margin-top: 16px;
         font-size: 1.1rem;
@@ -58,6 +152,30 @@ export class RepositoryDetailPage extends LitElement {
     `
   ];
 
+  constructor() {
+    super();
+    this.dateFrom = '';
+    this.dateTo = '';
+    this.dateBasis = DATE_RANGE_BASES.CREATED;
+    this.reportMode = false;
+    this.reportTitle = '';
+    this.showClassificationRules = false;
+    this.showContributorAliases = false;
+    this.showWeeklyTargets = false;
+    this.team = null;
+    this.granularity = TIME_GRANULARITIES.WEEK;
+  }
+
+  /**
+   * Applies a new date range. The event keeps bubbling, so the page can also store it in the URL.
+   * @param {CustomEvent} event
+   */
+  handleDateRangeChange(event) {
+    this.dateFrom = event.detail.from;
+    this.dateTo = event.detail.to;
+    this.dateBasis = event.detail.basis;
+  }
+
   /**
    * Handles the back button click event.
    */
@@ -69,6 +187,67 @@ export class RepositoryDetailPage extends LitElement {
     }
   }
 
+  /**
+   * Switches between the interactive analysis and the printable report.
+   */
+  toggleReportMode() {
+    this.reportMode = !this.reportMode;
+  }
+
+  /**
+   * Opens the browser's print dialog, from which the report can also be saved as PDF.
+   */
+  handlePrint() {
+    window.print();
+  }
+
+  /**
+   * Renders the report title input and print button shown in report mode.
+   * @returns {import('lit').TemplateResult}
+   */
+  renderReportToolbar() {
+    return html`
+      <section class="report-toolbar">
+        <label for="report-title">Report title</label>
+        <input
+          id="report-title"
+          type="text"
+          .value=${this.reportTitle}
+          placeholder="${this.org}/${this.repo} pull request report"
+          @input=${event => { this.reportTitle = event.target.value; }}
+        >
+        <button class="print-btn" @click=${this.handlePrint}>Print / save as PDF</button>
+      </section>
+    `;
+  }
+
+  /**
+   * Renders the weekly target editor for the selected team, or for the repository without a team.
+   * @returns {import('lit').TemplateResult}
+   */
+  renderWeeklyTargetEditor() {
+    return this.team ? html`
+      <weekly-target-editor
+        .scope=${getTeamTargetScope(this.org, this.team.slug)}
+        .scopeLabel=${`team ${this.team.name}`}
+      ></weekly-target-editor>
+    ` : html`
+      <weekly-target-editor
+        .scope=${getRepositoryTargetScope(this.org, this.repo)}
+        .scopeLabel=${`${this.org}/${this.repo}`}
+      ></weekly-target-editor>
+    `;
+  }
+
+  /**
+   * Returns the data of all contributors shown by the pull request list, for export.
+   * @returns {import('../utils/pull-request-export.js').PullRequestExportData|null}
+   */
+  getExportData() {
+    const list = this.renderRoot.querySelector('pull-request-list');
+    return list?.pullRequests.length ? list.getExportData() : null;
+  }
+
   render() {
     return html`
       <main>
@@ -77,15 +256,70 @@ export class RepositoryDetailPage extends LitElement {
             <mdui-icon-backspace></mdui-icon-backspace>
           </button>
           <span class="title">${this.org} / ${this.repo}</span>
+          <data-export-menu
+            class="export"
+            .fileName=${`${this.org}-${this.repo}-pull-requests`}
+            .getData=${() => this.getExportData()}
+          ></data-export-menu>
+          <button class="report-btn" @click=${this.toggleReportMode}>
+            ${this.reportMode ? 'Back to analysis' : 'Report'}
+          </button>
         </section>
         <section class="info">
           <div>Organization: <strong>${this.org}</strong></div>
           <div>Repository: <strong>${this.repo}</strong></div>
+          <button
+            class="rules-btn"
+            aria-expanded=${this.showClassificationRules ? 'true' : 'false'}
+            @click=${() => { this.showClassificationRules = !this.showClassificationRules; }}
+          >${this.showClassificationRules ? 'Hide file categories' : 'Edit file categories'}</button>
+          <button
+            class="rules-btn"
+            aria-expanded=${this.showContributorAliases ? 'true' : 'false'}
+            @click=${() => { this.showContributorAliases = !this.showContributorAliases; }}
+          >${this.showContributorAliases ? 'Hide contributor aliases' : 'Edit contributor aliases'}</button>
+          <button
+            class="rules-btn"
+            aria-expanded=${this.showWeeklyTargets ? 'true' : 'false'}
+            @click=${() => { this.showWeeklyTargets = !this.showWeeklyTargets; }}
+          >${this.showWeeklyTargets ? 'Hide weekly targets' : 'Edit weekly targets'}</button>
         </section>
+        ${this.showClassificationRules ? html`<file-classification-rules-editor></file-classification-rules-editor>` : ''}
+        ${this.showContributorAliases ? html`<contributor-alias-editor></contributor-alias-editor>` : ''}
+        ${this.showWeeklyTargets ? this.renderWeeklyTargetEditor() : ''}
+        ${this.reportMode ? this.renderReportToolbar() : ''}
+        <date-range-picker
+          .from=${this.dateFrom}
+          .to=${this.dateTo}
+          .basis=${this.dateBasis}
+          @date-range-change=${this.handleDateRangeChange}
+        ></date-range-picker>
+        <div class="granularity">
+          <label for="granularity-select">Group charts by:</label>
+          <select id="granularity-select" class="mdui-select" @change=${event => { this.granularity = event.target.value; }}>
+            ${Object.values(TIME_GRANULARITIES).map(granularity => html`
+              <option value="${granularity}" .selected=${this.granularity === granularity}>${TIME_GRANULARITY_LABELS[granularity]}</option>
+            `)}
+          </select>
+        </div>
+        <team-selector
+          .org=${this.org}
+          .connection=${this.connection}
+          .selectedTeam=${this.team?.slug || ''}
+          @team-change=${event => { this.team = event.detail.team; }}
+        ></team-selector>
         <pull-request-list
           .org=${this.org}
           .repo=${this.repo}
-          .githubToken=${this.githubToken}
+          .connection=${this.connection}
+          .selectedContributor=${this.selectedContributor}
+          .team=${this.team}
+          .granularity=${this.granularity}
+          .dateFrom=${this.dateFrom}
+          .dateTo=${this.dateTo}
+          .dateBasis=${this.dateBasis}
+          .reportMode=${this.reportMode}
+          .reportTitle=${this.reportTitle}
         ></pull-request-list>
       </main>
     `;
@@ -0,0 +1,209 @@
+import { LitElement, html, css } from 'lit';
+import 'mdui/components/text-field.js';
+import 'mdui/components/button.js';
+import '../components/connection-profile-switcher.js';
+import {
+  signInWithToken,
+  isDeviceFlowConfigured,
+  requestDeviceCode,
+  completeDeviceFlowSignIn
+} from '../services/github-auth-service.js';
+import { GITHUB_API_BASE_URL } from '../services/github-rest-client.js';
+
+/**
+ * Page component for signing in to GitHub, either by pasting a Personal Access Token
+ * or through the OAuth device flow when it is configured.
+ * The connection profile (github.com or a GitHub Enterprise Server) can be chosen before signing in.
+ * The sign-in itself is handled by the github-auth-service, which notifies the application.
+ *
+ * @element sign-in-page
+ * @property {Object} connection - The active connection profile to sign in to.
+ */
+export class SignInPage extends LitElement {
+  static properties = {
+    connection: { type: Object },
+    token: { type: String },
+    error: { type: String },
+    busy: { type: Boolean },
+    deviceCode: { type: Object }
+  };
+
+  static styles = css`
+    :host {
+      display: grid;
+      grid-template-areas: 'sign-in-card';
+      place-items: center;
+      min-height: 100vh;
+      background: var(--mdui-color-background, #fafafa);
+      font-family: var(--mdui-typography-font-family, Roboto, Arial, sans-serif);
+    }
+    main {
+      grid-area: sign-in-card;
+      display: grid;
+      grid-template-areas:
+        'title'
+        'profile'
+        'description'
+        'token-form'
+        'device-flow'
+        'error';
+      row-gap: 16px;
+      width: min(440px, 90vw);
+      padding: 32px;
+      background: #fff;
+      border-radius: 8px;
+      box-shadow: 0 2px 12px rgba(0,0,0,0.08);
+    }
+    h1 {
+      grid-area: title;
+      margin: 0;
+      font-size: 1.5rem;
+      font-weight: 500;
+      color: var(--mdui-color-primary, #1976d2);
+    }
+    connection-profile-switcher {
+      grid-area: profile;
+    }
+    .description {
+      grid-area: description;
+      margin: 0;
+      color: var(--mdui-color-on-surface-variant, #666);
+    }
+    form {
+      grid-area: token-form;
+      display: grid;
+      row-gap: 12px;
+    }
+    .device-flow {
+      grid-area: device-flow;
+      display: grid;
+      row-gap: 8px;
+      padding-top: 16px;
+      border-top: 1px solid #eee;
+    }
+    .user-code {
+      font-family: monospace;
+      font-size: 1.4rem;
+      letter-spacing: 0.1em;
+      text-align: center;
+    }
+    .error {
+      grid-area: error;
+      color: var(--mdui-color-error, #d32f2f);
+    }
+  `;
+
+  constructor() {
+    super();
+    this.connection = null;
+    this.token = '';
+    this.error = '';
+    this.busy = false;
+    this.deviceCode = null;
+    this._deviceFlowAbortController = null;
+  }
+
+  disconnectedCallback() {
+    this._deviceFlowAbortController?.abort();
+    super.disconnectedCallback();
+  }
+
+  /**
+   * Validates the entered token and signs in with it.
+   * @param {SubmitEvent} event
+   */
+  async handleTokenSubmit(event) {
+    event.preventDefault();
+    this.busy = true;
+    this.error = '';
+    try {
+      await signInWithToken(this.token);
+    } catch (err) {
+      this.error = err.message;
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * Starts the device flow, shows the user code and waits for the user to authorize it.
+   */
+  async handleDeviceFlowStart() {
+    this._deviceFlowAbortController?.abort();
+    const abortController = new AbortController();
+    this._deviceFlowAbortController = abortController;
+    this.busy = true;
+    this.error = '';
+    try {
+      this.deviceCode = await requestDeviceCode(abortController.signal);
+      await completeDeviceFlowSignIn(this.deviceCode, abortController.signal);
+    } catch (err) {
+      if (!abortController.signal.aborted) {
+        this.error = err.message;
+      }
+    } finally {
+      if (this._deviceFlowAbortController === abortController) {
+        this.deviceCode = null;
+        this.busy = false;
+      }
+    }
+  }
+
+  /**
+   * Renders the device flow section: a start button, or the code to enter on GitHub.
+   * @returns {import('lit').TemplateResult}
+   */
+  renderDeviceFlow() {
+    // The device flow endpoint is configured for github.com only
+    if (!isDeviceFlowConfigured() || this.connection?.apiBaseUrl !== GITHUB_API_BASE_URL) return '';
+    if (this.deviceCode) {
+      return html`
+        <section class="device-flow">
+          <span>Open <a href="${this.deviceCode.verification_uri}" target="_blank" rel="noopener">${this.deviceCode.verification_uri}</a> and enter:</span>
+          <strong class="user-code">${this.deviceCode.user_code}</strong>
+          <span class="description">Waiting for authorization...</span>
+        </section>
+      `;
+    }
+    return html`
+      <section class="device-flow">
+        <mdui-button variant="outlined" ?disabled=${this.busy} @click=${this.handleDeviceFlowStart}>
+          Sign in with GitHub
+        </mdui-button>
+      </section>
+    `;
+  }
+
+  /**
+   * Renders the sign-in form.
+   * @returns {import('lit').TemplateResult}
+   */
+  render() {
+    return html`
+      <main>
+        <h1>Sign in to ${this.connection?.name || 'GitHub'}</h1>
+        <connection-profile-switcher .connection=${this.connection}></connection-profile-switcher>
+        <p class="description">
+          Paste a Personal Access Token. It is validated with GitHub and kept only for this browser session.
+        </p>
+        <form @submit=${this.handleTokenSubmit}>
+          <mdui-text-field
+            label="Personal Access Token"
+            type="password"
+            toggle-password
+            autocomplete="off"
+            .value=${this.token}
+            @input=${event => { this.token = event.target.value; }}
+          ></mdui-text-field>
+          <mdui-button type="submit" ?disabled=${this.busy || !this.token} ?loading=${this.busy && !this.deviceCode}>
+            Sign in
+          </mdui-button>
+        </form>
+        ${this.renderDeviceFlow()}
+        ${this.error ? html`<div class="error" role="alert">${this.error}</div>` : ''}
+      </main>
+    `;
+  }
+}
+
+customElements.define('sign-in-page', SignInPage);
@@ -0,0 +1,173 @@
+/**
+ * Service for managing GitHub connection profiles, e.g. one for github.com and one for a
+ * GitHub Enterprise Server instance. Profiles (name and API base URL) are stored in local storage;
+ * the token of each profile is kept in session storage so it is never persisted beyond the browser session.
+ *
+ * @module connectionProfileService
+ */
+import { GITHUB_API_BASE_URL, clearResponseCache } from './github-rest-client.js';
+import { clearGitHubCache } from './github-cache-service.js';
+
+const PROFILES_STORAGE_KEY = 'github-connection-profiles';
+const ACTIVE_PROFILE_STORAGE_KEY = 'github-active-connection-profile';
+const TOKEN_STORAGE_KEY_PREFIX = 'github-token:';
+const CONNECTION_CHANGE_EVENT = 'connection-change';
+
+/** Profile that is created when no profiles are stored yet. */
+const DEFAULT_PROFILE = { id: 'github-com', name: 'GitHub.com', apiBaseUrl: GITHUB_API_BASE_URL };
+
+/** Event target used to notify listeners about profile switches and sign-in changes. */
+const connectionEvents = new EventTarget();
+
+/**
+ * A stored connection profile.
+ * @typedef {Object} ConnectionProfile
+ * @property {string} id - Unique profile id.
+ * @property {string} name - Display name, e.g. "GitHub.com" or "ACME Enterprise".
+ * @property {string} apiBaseUrl - REST API base URL, e.g. `https://api.github.com` or `https://github.acme.com/api/v3`.
+ */
+
+/**
+ * The active profile together with its session token. Passed to all GitHub services as their connection.
+ * @typedef {Object} ActiveConnection
+ * @property {string} id - The profile id.
+ * @property {string} name - The profile name.
+ * @property {string} apiBaseUrl - REST API base URL.
+ * @property {string} token - The session token, empty when signed out.
+ */
+
+/**
+ * Returns all stored connection profiles, creating the github.com profile on first use.
+ * @returns {ConnectionProfile[]}
+ */
+export function getConnectionProfiles() {
+  try {
+    const profiles = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY));
+    if (Array.isArray(profiles) && profiles.length) return profiles;
+  } catch {
+    // Corrupt profile data is replaced by the default profile below.
+  }
+  return [DEFAULT_PROFILE];
+}
+
+/**
+ * Persists the connection profiles.
+ * @param {ConnectionProfile[]} profiles - The profiles to store.
+ */
+function storeConnectionProfiles(profiles) {
+  localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+}
+
+/**
+ * Notifies all listeners that the active connection changed. Stored API responses are dropped,
+ * so nothing fetched with the previous token outlives a sign-out or profile switch.
+ */
+function notifyConnectionChange() {
+  clearResponseCache();
+  connectionEvents.dispatchEvent(new CustomEvent(CONNECTION_CHANGE_EVENT, { detail: { connection: getActiveConnection() } }));
+}
+
+/**
+ * Normalizes an API base URL by removing trailing slashes.
+ * A plain GitHub Enterprise Server host is completed with `/api/v3`.
+ * @param {string} apiBaseUrl - The entered URL.
+ * @returns {string} The normalized URL.
+ * @throws {Error} If the URL is invalid.
+ */
+function normalizeApiBaseUrl(apiBaseUrl) {
+  const url = new URL(apiBaseUrl.trim());
+  let normalized = `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+  if (url.hostname !== 'api.github.com' && !/\/api\/v3$/.test(normalized)) {
+    normalized = `${normalized}/api/v3`;
+  }
+  return normalized;
+}
+
+/**
+ * Returns the active connection profile with its session token.
+ * @returns {ActiveConnection}
+ */
+export function getActiveConnection() {
+  const profiles = getConnectionProfiles();
+  const activeId = localStorage.getItem(ACTIVE_PROFILE_STORAGE_KEY);
+  const profile = profiles.find(candidate => candidate.id === activeId) || profiles[0];
+  return { ...profile, token: sessionStorage.getItem(`${TOKEN_STORAGE_KEY_PREFIX}${profile.id}`) || '' };
+}
+
+/**
+ * Registers a listener that is called whenever the active profile or its token changes.
+ * @param {(connection: ActiveConnection) => void} listener - Receives the new active connection.
+ * @returns {() => void} Function that removes the listener.
+ */
+export function onActiveConnectionChange(listener) {
+  const handleConnectionChange = event => listener(event.detail.connection);
+  connectionEvents.addEventListener(CONNECTION_CHANGE_EVENT, handleConnectionChange);
+  return () => connectionEvents.removeEventListener(CONNECTION_CHANGE_EVENT, handleConnectionChange);
+}
+
+/**
+ * Switches to another connection profile. The cached GitHub data of the previous profile is removed.
+ * @param {string} profileId - The id of the profile to activate.
+ */
+export function setActiveConnectionProfile(profileId) {
+  if (getActiveConnection().id !== profileId) clearGitHubCache();
+  localStorage.setItem(ACTIVE_PROFILE_STORAGE_KEY, profileId);
+  notifyConnectionChange();
+}
+
+/**
+ * Adds a new connection profile and activates it.
+ * @param {Object} profile - The profile to add.
+ * @param {string} profile.name - Display name.
+ * @param {string} profile.apiBaseUrl - REST API base URL or GitHub Enterprise Server host URL.
+ * @returns {ConnectionProfile} The stored profile.
+ * @throws {Error} If the name is empty or the URL is invalid.
+ */
+export function addConnectionProfile({ name, apiBaseUrl }) {
+  if (!name.trim()) {
+    throw new Error('Please enter a profile name.');
+  }
+  let normalizedUrl;
+  try {
+    normalizedUrl = normalizeApiBaseUrl(apiBaseUrl);
+  } catch {
+    throw new Error('Please enter a valid API base URL.');
+  }
+  const profile = { id: crypto.randomUUID(), name: name.trim(), apiBaseUrl: normalizedUrl };
+  storeConnectionProfiles([...getConnectionProfiles(), profile]);
+  setActiveConnectionProfile(profile.id);
+  return profile;
+}
+
+/**
+ * Removes a connection profile and its token. The last remaining profile cannot be removed.
+ * @param {string} profileId - The id of the profile to remove.
+ */
+export function removeConnectionProfile(profileId) {
+  const profiles = getConnectionProfiles();
+  if (profiles.length <= 1) return;
+  const wasActive = getActiveConnection().id === profileId;
+  storeConnectionProfiles(profiles.filter(profile => profile.id !== profileId));
+  sessionStorage.removeItem(`${TOKEN_STORAGE_KEY_PREFIX}${profileId}`);
+  if (wasActive) {
+    localStorage.removeItem(ACTIVE_PROFILE_STORAGE_KEY);
+    clearGitHubCache();
+  }
+  notifyConnectionChange();
+}
+
+/**
+ * Stores the token of the active profile for the current session. Removing the token (signing out)
+ * also removes the cached GitHub data.
+ * @param {string} token - The token to store, or an empty string to remove it.
+ */
+export function setActiveConnectionToken(token) {
+  const storageKey = `${TOKEN_STORAGE_KEY_PREFIX}${getActiveConnection().id}`;
+  if (token) {
+    sessionStorage.setItem(storageKey, token);
+  } else {
+    sessionStorage.removeItem(storageKey);
+    clearGitHubCache();
+  }
+  notifyConnectionChange();
+}
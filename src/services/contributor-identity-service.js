@@ -0,0 +1,147 @@
+/**
+ * Service resolving who a pull request author or reviewer is. Several logins can be mapped to one person,
+ * e.g. after someone switched accounts, and bot accounts (`dependabot[bot]`, `renovate[bot]`, GitHub Actions)
+ * can be hidden from all charts and statistics. Both settings are stored in local storage.
+ *
+ * @module contributorIdentityService
+ */
+
+const ALIASES_STORAGE_KEY = 'contributor-aliases';
+const HIDE_BOTS_STORAGE_KEY = 'hide-bot-accounts';
+const IDENTITY_CHANGE_EVENT = 'identity-change';
+
+/** Event target used to notify listeners when the aliases or the bot setting change. */
+const identityEvents = new EventTarget();
+
+/**
+ * Returns whether a GitHub user is a bot account.
+ * @param {Object} [user] - The `user` of a pull request or review.
+ * @returns {boolean}
+ */
+export function isBotAccount(user) {
+  return user?.type === 'Bot' || /\[bot\]$/i.test(user?.login || '');
+}
+
+/**
+ * Returns the saved login aliases.
+ * @returns {Object<string, string>} Maps a lower-case login to the name of the person it belongs to.
+ */
+export function getContributorAliases() {
+  try {
+    const aliases = JSON.parse(localStorage.getItem(ALIASES_STORAGE_KEY));
+    if (aliases && typeof aliases === 'object' && !Array.isArray(aliases)) return aliases;
+  } catch {
+    // Ignore unreadable settings and start without aliases
+  }
+  return {};
+}
+
+/**
+ * Saves the login aliases and notifies all listeners. Entries without a login or person are dropped,
+ * as are logins mapped to themselves.
+ * @param {Object<string, string>} aliases - Maps a login to the name of the person it belongs to.
+ */
+export function saveContributorAliases(aliases) {
+  const normalized = {};
+  for (const [login, person] of Object.entries(aliases)) {
+    const key = login.trim().toLowerCase();
+    const name = person.trim();
+    if (key && name && key !== name.toLowerCase()) normalized[key] = name;
+  }
+  localStorage.setItem(ALIASES_STORAGE_KEY, JSON.stringify(normalized));
+  identityEvents.dispatchEvent(new Event(IDENTITY_CHANGE_EVENT));
+}
+
+/**
+ * Returns whether bot accounts are left out of the charts and statistics.
+ * @returns {boolean}
+ */
+export function areBotsHidden() {
+  return localStorage.getItem(HIDE_BOTS_STORAGE_KEY) === 'true';
+}
+
+/**
+ * Shows or hides bot accounts and notifies all listeners.
+ * @param {boolean} hide - `true` to leave bot accounts out.
+ */
+export function setBotsHidden(hide) {
+  localStorage.setItem(HIDE_BOTS_STORAGE_KEY, String(hide));
+  identityEvents.dispatchEvent(new Event(IDENTITY_CHANGE_EVENT));
+}
+
+/**
+ * Registers a listener that is called whenever the aliases or the bot setting change.
+ * @param {Function} listener - Called without arguments.
+ * @returns {Function} A function that removes the listener.
+ */
+export function onContributorIdentityChange(listener) {
+  identityEvents.addEventListener(IDENTITY_CHANGE_EVENT, listener);
+  return () => identityEvents.removeEventListener(IDENTITY_CHANGE_EVENT, listener);
+}
+
+/**
+ * Returns the name a login is shown and counted under: the person it is mapped to, or the login itself.
+ * @param {string} login - The GitHub login.
+ * @param {Object<string, string>} [aliases] - The aliases, by default the saved ones.
+ * @returns {string}
+ */
+export function resolveContributor(login, aliases = getContributorAliases()) {
+  return aliases[login.toLowerCase()] || login;
+}
+
+/** Pattern of valid GitHub logins, used to tell a person's login from a display name. */
+const GITHUB_LOGIN_PATTERN = /^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i;
+
+/**
+ * Returns every login counted as the same person as the given login: the login itself, all logins mapped
+ * to the same person and the person's name when it is a valid login.
+ * @param {string} login - The GitHub login.
+ * @param {Object<string, string>} [aliases] - The aliases, by default the saved ones.
+ * @returns {string[]} Distinct logins, the given login first.
+ */
+export function getContributorLogins(login, aliases = getContributorAliases()) {
+  const person = resolveContributor(login, aliases).toLowerCase();
+  const logins = [login, ...Object.keys(aliases).filter(alias => aliases[alias].toLowerCase() === person)];
+  if (GITHUB_LOGIN_PATTERN.test(person)) logins.push(person);
+  const seen = new Set();
+  return logins.filter(candidate => {
+    const key = candidate.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Replaces the login of a user with the person it belongs to, keeping the original login as `alias`.
+ * @param {Object|null} user - The `user` of a pull request or review.
+ * @param {Object<string, string>} aliases
+ * @returns {Object|null}
+ */
+function resolveUser(user, aliases) {
+  if (!user?.login) return user;
+  const login = resolveContributor(user.login, aliases);
+  return login === user.login ? user : { ...user, login, alias: user.login };
+}
+
+/**
+ * Applies the identity settings to pull requests: authors and reviewers are replaced by the person their
+ * login belongs to, and when bots are hidden, pull requests opened by bots and reviews by bots are removed.
+ * Pull requests are not modified, so the original logins remain in the cache.
+ * @param {Object[]} pullRequests - The pull requests.
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.aliases] - The aliases, by default the saved ones.
+ * @param {boolean} [options.hideBots] - Whether to remove bots, by default the saved setting.
+ * @returns {Object[]} New pull request objects.
+ */
+export function applyContributorIdentities(pullRequests, { aliases = getContributorAliases(), hideBots = areBotsHidden() } = {}) {
+  const result = [];
+  for (const pr of pullRequests) {
+    if (hideBots && isBotAccount(pr.user)) continue;
+    const reviews = pr.reviews
+      ?.filter(review => !hideBots || !isBotAccount(review.user))
+      .map(review => ({ ...review, user: resolveUser(review.user, aliases) }));
+    result.push({ ...pr, user: resolveUser(pr.user, aliases), ...(reviews ? { reviews } : {}) });
+  }
+  return result;
+}
@@ -0,0 +1,192 @@
+/**
+ * Service for classifying changed files into categories such as source, tests or docs.
+ * Files are matched against an ordered list of rules by extension, file name or path glob; the first
+ * matching rule decides the category. The rules can be edited and are stored in local storage.
+ *
+ * @module fileClassificationService
+ */
+import { globToRegExp } from '../utils/glob-pattern.js';
+
+const RULES_STORAGE_KEY = 'file-classification-rules';
+const RULES_CHANGE_EVENT = 'rules-change';
+
+/** Event target used to notify listeners about edited rules. */
+const classificationEvents = new EventTarget();
+
+/**
+ * Categories files are classified into, in display order.
+ * @enum {string}
+ */
+export const FILE_CATEGORIES = {
+  SOURCE: 'source',
+  TESTS: 'tests',
+  DOCS: 'docs',
+  CONFIG: 'config',
+  CI: 'ci',
+  GENERATED: 'generated',
+  LOCKFILES: 'lockfiles',
+  OTHER: 'other'
+};
+
+/** Display labels of the file categories. */
+export const FILE_CATEGORY_LABELS = {
+  [FILE_CATEGORIES.SOURCE]: 'Source',
+  [FILE_CATEGORIES.TESTS]: 'Tests',
+  [FILE_CATEGORIES.DOCS]: 'Docs',
+  [FILE_CATEGORIES.CONFIG]: 'Config',
+  [FILE_CATEGORIES.CI]: 'CI',
+  [FILE_CATEGORIES.GENERATED]: 'Generated',
+  [FILE_CATEGORIES.LOCKFILES]: 'Lockfiles',
+  [FILE_CATEGORIES.OTHER]: 'Other'
+};
+
+/**
+ * What a classification rule matches.
+ * @enum {string}
+ */
+export const CLASSIFICATION_RULE_TYPES = {
+  EXTENSION: 'extension',
+  FILENAME: 'filename',
+  PATH: 'path'
+};
+
+/**
+ * A classification rule.
+ * @typedef {Object} ClassificationRule
+ * @property {string} type - One of {@link CLASSIFICATION_RULE_TYPES}.
+ * @property {string} pattern - The extension without dot (e.g. `js`), the exact file name (e.g. `Dockerfile`)
+ *   or a path glob (e.g. `.github/workflows/**`).
+ * @property {string} category - One of {@link FILE_CATEGORIES}.
+ */
+
+/**
+ * Builds rules of one type and category.
+ * @param {string} type
+ * @param {string} category
+ * @param {string[]} patterns
+ * @returns {ClassificationRule[]}
+ */
+function rules(type, category, patterns) {
+  return patterns.map(pattern => ({ type, pattern, category }));
+}
+
+/** Rules used until the user edits them. More specific rules come first. */
+export const DEFAULT_CLASSIFICATION_RULES = [
+  ...rules(CLASSIFICATION_RULE_TYPES.FILENAME, FILE_CATEGORIES.LOCKFILES, [
+    'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'npm-shrinkwrap.json', 'Gemfile.lock', 'Cargo.lock',
+    'poetry.lock', 'Pipfile.lock', 'composer.lock', 'go.sum', 'gradle.lockfile'
+  ]),
+  ...rules(CLASSIFICATION_RULE_TYPES.PATH, FILE_CATEGORIES.GENERATED, [
+    '**/dist/**', '**/build/**', '**/out/**', '**/*.min.js', '**/*.min.css', '**/*.map', '**/*.snap',
+    '**/__generated__/**'
+  ]),
+  ...rules(CLASSIFICATION_RULE_TYPES.PATH, FILE_CATEGORIES.CI, [
+    '.github/workflows/**', '.github/actions/**', '.circleci/**', '.gitlab-ci.yml', 'azure-pipelines.yml'
+  ]),
+  ...rules(CLASSIFICATION_RULE_TYPES.FILENAME, FILE_CATEGORIES.CI, ['Jenkinsfile', '.travis.yml']),
+  ...rules(CLASSIFICATION_RULE_TYPES.PATH, FILE_CATEGORIES.TESTS, [
+    '**/test/**', '**/tests/**', '**/__tests__/**', '**/src/test/**', '**/*.test.*', '**/*.spec.*', '**/*_test.*'
+  ]),
+  ...rules(CLASSIFICATION_RULE_TYPES.PATH, FILE_CATEGORIES.DOCS, ['docs/**', 'doc/**']),
+  ...rules(CLASSIFICATION_RULE_TYPES.FILENAME, FILE_CATEGORIES.DOCS, ['README', 'LICENSE', 'CHANGELOG', 'CONTRIBUTING']),
+  ...rules(CLASSIFICATION_RULE_TYPES.EXTENSION, FILE_CATEGORIES.DOCS, ['md', 'mdx', 'rst', 'adoc', 'txt']),
+  ...rules(CLASSIFICATION_RULE_TYPES.FILENAME, FILE_CATEGORIES.CONFIG, [
+    'Dockerfile', 'Makefile', 'docker-compose.yml', '.gitignore', '.gitattributes', '.editorconfig', '.npmrc',
+    '.nvmrc', '.prettierrc', '.eslintrc'
+  ]),
+  ...rules(CLASSIFICATION_RULE_TYPES.EXTENSION, FILE_CATEGORIES.CONFIG, [
+    'json', 'yml', 'yaml', 'toml', 'ini', 'xml', 'properties', 'gradle', 'cfg', 'conf', 'env'
+  ]),
+  ...rules(CLASSIFICATION_RULE_TYPES.EXTENSION, FILE_CATEGORIES.SOURCE, [
+    'js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'html', 'css', 'scss', 'less', 'vue', 'svelte', 'java', 'kt', 'scala',
+    'py', 'rb', 'go', 'rs', 'c', 'h', 'cc', 'cpp', 'hpp', 'cs', 'swift', 'm', 'php', 'sh', 'sql', 'graphql'
+  ])
+];
+
+/**
+ * Returns the classification rules, or the default rules if none were saved.
+ * @returns {ClassificationRule[]}
+ */
+export function getClassificationRules() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RULES_STORAGE_KEY));
+    if (Array.isArray(stored)) return stored;
+  } catch {
+    // Corrupt rules are replaced by the defaults below.
+  }
+  return DEFAULT_CLASSIFICATION_RULES;
+}
+
+/**
+ * Saves edited classification rules and notifies all listeners. Rules without a pattern are dropped.
+ * @param {ClassificationRule[]} rules - The rules in matching order.
+ */
+export function saveClassificationRules(rules) {
+  const validRules = rules
+    .map(rule => ({ ...rule, pattern: rule.pattern.trim() }))
+    .filter(rule => rule.pattern && Object.values(FILE_CATEGORIES).includes(rule.category));
+  localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(validRules));
+  classificationEvents.dispatchEvent(new Event(RULES_CHANGE_EVENT));
+}
+
+/**
+ * Restores the default classification rules and notifies all listeners.
+ */
+export function resetClassificationRules() {
+  localStorage.removeItem(RULES_STORAGE_KEY);
+  classificationEvents.dispatchEvent(new Event(RULES_CHANGE_EVENT));
+}
+
+/**
+ * Registers a listener that is called whenever the classification rules are saved or reset.
+ * @param {Function} listener - Called without arguments.
+ * @returns {Function} A function that removes the listener.
+ */
+export function onClassificationRulesChange(listener) {
+  classificationEvents.addEventListener(RULES_CHANGE_EVENT, listener);
+  return () => classificationEvents.removeEventListener(RULES_CHANGE_EVENT, listener);
+}
+
+/**
+ * Creates a classifier for a set of rules. Path globs are compiled once, so classifying many files stays fast.
+ * @param {ClassificationRule[]} [rules=getClassificationRules()] - The rules in matching order.
+ * @returns {function(string): string} Returns the category of a file path, {@link FILE_CATEGORIES.OTHER} if no rule matches.
+ */
+export function createFileClassifier(rules = getClassificationRules()) {
+  const matchers = rules.map(({ type, pattern, category }) => {
+    if (type === CLASSIFICATION_RULE_TYPES.PATH) {
+      const regExp = globToRegExp(pattern);
+      return { category, matches: path => regExp.test(path) };
+    }
+    if (type === CLASSIFICATION_RULE_TYPES.FILENAME) {
+      return { category, matches: (path, fileName) => fileName === pattern };
+    }
+    const suffix = `.${pattern.replace(/^\./, '').toLowerCase()}`;
+    return { category, matches: (path, fileName) => fileName.toLowerCase().endsWith(suffix) && fileName.length > suffix.length };
+  });
+  return path => {
+    const fileName = path.split('/').pop();
+    return matchers.find(matcher => matcher.matches(path, fileName))?.category || FILE_CATEGORIES.OTHER;
+  };
+}
+
+/**
+ * Returns the category of a file.
+ * @param {string} path - The file path, e.g. `.github/workflows/ci.yml`.
+ * @param {ClassificationRule[]} [rules=getClassificationRules()] - The rules in matching order.
+ * @returns {string} One of {@link FILE_CATEGORIES}.
+ */
+export function classifyFile(path, rules = getClassificationRules()) {
+  return createFileClassifier(rules)(path);
+}
+
+/**
+ * Sorts category keys in display order; unknown keys come last in alphabetical order.
+ * @param {string[]} categories
+ * @returns {string[]}
+ */
+export function sortFileCategories(categories) {
+  const order = Object.values(FILE_CATEGORIES);
+  const rank = category => (order.includes(category) ? order.indexOf(category) : order.length);
+  return [...categories].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
@@ -0,0 +1,133 @@
+/**
+ * Service deciding which changed files are left out of the churn statistics: generated and vendored
+ * files and lockfiles. A repository's `.gitattributes` (`linguist-generated`, `linguist-vendored`) is
+ * honored, next to the generated and lockfile categories of the file classification rules and common
+ * vendor directories. Whether the raw, unfiltered numbers are shown instead is stored in local storage.
+ *
+ * @module fileExclusionService
+ */
+import { fetchRepositoryFileContent } from './github-repository-content-service.js';
+import { FILE_CATEGORIES } from './file-classification-service.js';
+import { parseLinguistRules, createLinguistMatcher } from '../utils/gitattributes.js';
+import { globToRegExp } from '../utils/glob-pattern.js';
+
+const RAW_CHURN_STORAGE_KEY = 'show-raw-churn';
+const EXCLUSION_CHANGE_EVENT = 'exclusion-change';
+
+/** Event target used to notify listeners when raw numbers are switched on or off. */
+const exclusionEvents = new EventTarget();
+
+/** Linguist rules per repository, keyed by API base URL and repository; values are promises while loading. */
+const linguistRulesByRepository = new Map();
+
+/**
+ * Why a file is excluded from the churn statistics.
+ * @enum {string}
+ */
+export const EXCLUSION_REASONS = {
+  GENERATED: 'generated',
+  VENDORED: 'vendored',
+  LOCKFILE: 'lockfile'
+};
+
+/** Directories treated as vendored unless `.gitattributes` says otherwise. */
+export const DEFAULT_VENDORED_PATTERNS = ['**/vendor/**', '**/node_modules/**', '**/third_party/**', '**/bower_components/**'];
+
+const defaultVendoredRegExps = DEFAULT_VENDORED_PATTERNS.map(globToRegExp);
+
+/**
+ * Returns the cache key of a repository.
+ * @param {string} apiBaseUrl
+ * @param {string} org
+ * @param {string} repo
+ * @returns {string}
+ */
+function getRepositoryKey(apiBaseUrl, org, repo) {
+  return `${apiBaseUrl}|${org}/${repo}`.toLowerCase();
+}
+
+/**
+ * Loads the Linguist rules from a repository's `.gitattributes` once per session.
+ * A missing file yields no rules. An unreadable file yields no rules for this analysis only, so the analysis
+ * never fails because of it and the next analysis tries again.
+ * @async
+ * @param {string} org - The organization login name.
+ * @param {string} repo - The repository name.
+ * @param {import('./github-rest-client.js').GitHubConnection} connection - The API base URL and token to use.
+ * @param {Object} [requestOptions] - Request options such as an abort `signal`.
+ * @returns {Promise<import('../utils/gitattributes.js').LinguistRule[]>}
+ */
+export async function loadRepositoryLinguistRules(org, repo, connection, requestOptions = {}) {
+  const key = getRepositoryKey(connection.apiBaseUrl, org, repo);
+  if (!linguistRulesByRepository.has(key)) {
+    const loading = fetchRepositoryFileContent(org, repo, '.gitattributes', connection, requestOptions)
+      .then(text => parseLinguistRules(text))
+      .catch(() => {
+        // Let a failed or aborted request, e.g. a server or rate-limit error, be retried by the next analysis
+        linguistRulesByRepository.delete(key);
+        return [];
+      });
+    linguistRulesByRepository.set(key, loading);
+  }
+  return linguistRulesByRepository.get(key);
+}
+
+/**
+ * Returns the Linguist rules of a repository if they were loaded in this session, without fetching them.
+ * @async
+ * @param {string} apiBaseUrl - The API base URL of the connection.
+ * @param {string} org - The organization login name.
+ * @param {string} repo - The repository name.
+ * @returns {Promise<import('../utils/gitattributes.js').LinguistRule[]>}
+ */
+export async function getLoadedRepositoryLinguistRules(apiBaseUrl, org, repo) {
+  return await linguistRulesByRepository.get(getRepositoryKey(apiBaseUrl, org, repo)) || [];
+}
+
+/**
+ * Creates a function that returns why a file is excluded from the churn statistics, or `null` if it counts.
+ * @param {Object} options
+ * @param {function(string): string} options.classify - Returns the category of a file path.
+ * @param {import('../utils/gitattributes.js').LinguistRule[]} [options.linguistRules=[]] - The repository's Linguist rules.
+ * @returns {function(string): string|null} Returns one of {@link EXCLUSION_REASONS} or `null`.
+ */
+export function createFileExcluder({ classify, linguistRules = [] }) {
+  const getLinguistAttributes = createLinguistMatcher(linguistRules);
+  return path => {
+    const { generated, vendored } = getLinguistAttributes(path);
+    if (generated) return EXCLUSION_REASONS.GENERATED;
+    if (vendored) return EXCLUSION_REASONS.VENDORED;
+    if (vendored === undefined && defaultVendoredRegExps.some(regExp => regExp.test(path))) return EXCLUSION_REASONS.VENDORED;
+    const category = classify(path);
+    if (category === FILE_CATEGORIES.LOCKFILES) return EXCLUSION_REASONS.LOCKFILE;
+    if (category === FILE_CATEGORIES.GENERATED && generated === undefined) return EXCLUSION_REASONS.GENERATED;
+    return null;
+  };
+}
+
+/**
+ * Returns whether the churn statistics include excluded files.
+ * @returns {boolean}
+ */
+export function isRawChurnShown() {
+  return localStorage.getItem(RAW_CHURN_STORAGE_KEY) === 'true';
+}
+
+/**
+ * Switches between raw and filtered churn statistics and notifies all listeners.
+ * @param {boolean} show - `true` to include generated, vendored and lockfile changes.
+ */
+export function setRawChurnShown(show) {
+  localStorage.setItem(RAW_CHURN_STORAGE_KEY, String(show));
+  exclusionEvents.dispatchEvent(new Event(EXCLUSION_CHANGE_EVENT));
+}
+
+/**
+ * Registers a listener that is called whenever raw numbers are switched on or off.
+ * @param {Function} listener - Called without arguments.
+ * @returns {Function} A function that removes the listener.
+ */
+export function onFileExclusionChange(listener) {
+  exclusionEvents.addEventListener(EXCLUSION_CHANGE_EVENT, listener);
+  return () => exclusionEvents.removeEventListener(EXCLUSION_CHANGE_EVENT, listener);
+}
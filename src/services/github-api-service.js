@@ -4,24 +4,16 @@
  *
  * @module githubApiService
  */
+import { githubRequestAllPages } from './github-rest-client.js';
 
 /**
- * Fetches repository information for a user via the GitHub REST API.
+ * Fetches repository information for a user via the GitHub REST API, handling pagination.
  * @async
  * @param {string} username - The username whose repositories will be fetched.
- * @param {string} token - A valid GitHub Personal Access Token for authentication.
+ * @param {import('./github-rest-client.js').GitHubConnection} connection - The API base URL and token to use.
  * @returns {Promise<Object[]>} A list of repository objects.
  * @throws {Error} If the API call fails.
  */
-export async function fetchUserRepositories(username, token) {
-  const response = await fetch(`https://api.github.com/users/${username}/repos`, {
-    headers: {
-      'Authorization': `token ${token}`,
-      'Accept': 'application/vnd.github.v3+json'
-    }
-  });
-  if (!response.ok) {
-    throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
-  }
-  return await response.json();
+export async function fetchUserRepositories(username, connection) {
+  return await githubRequestAllPages(`/users/${username}/repos?per_page=100`, connection);
 }
@@ -0,0 +1,151 @@
+/**
+ * Service for signing in to GitHub with the active connection profile.
+ * Tokens are validated against the `/user` endpoint of the profile's API and stored for the session
+ * by the connection profile service, so they are never part of the built bundle.
+ * Also supports the OAuth device flow against a configurable endpoint.
+ *
+ * @module githubAuthService
+ */
+import { githubRequest, GitHubApiError } from './github-rest-client.js';
+import { getActiveConnection, setActiveConnectionToken } from './connection-profile-service.js';
+import { claimGitHubCache } from './github-cache-service.js';
+
+/**
+ * Base URL used for the OAuth device flow, e.g. a proxy for `https://github.com` that adds CORS headers.
+ * GitHub's own OAuth endpoints cannot be called from a browser directly.
+ */
+const DEVICE_FLOW_ENDPOINT = import.meta.env.VITE_GITHUB_DEVICE_FLOW_ENDPOINT || '';
+
+/** Client ID of the OAuth app used for the device flow. */
+const DEVICE_FLOW_CLIENT_ID = import.meta.env.VITE_GITHUB_OAUTH_CLIENT_ID || '';
+
+/** Scopes requested during the device flow. */
+const DEVICE_FLOW_SCOPES = 'repo read:org';
+
+/**
+ * Validates a connection by fetching the authenticated user.
+ * @async
+ * @param {import('./github-rest-client.js').GitHubConnection} connection - The API base URL and token to validate.
+ * @returns {Promise<Object>} The authenticated user.
+ * @throws {Error} If the token is invalid or the API call fails.
+ */
+export async function validateConnection(connection) {
+  try {
+    const { data } = await githubRequest('/user', connection);
+    return data;
+  } catch (err) {
+    if (err instanceof GitHubApiError && err.status === 401) {
+      throw new Error('The token is invalid or has expired.');
+    }
+    throw err;
+  }
+}
+
+/**
+ * Validates a token against the active connection profile and, when valid, signs in with it for the current session.
+ * Data cached for another account is removed first.
+ * @async
+ * @param {string} token - A GitHub Personal Access Token.
+ * @returns {Promise<Object>} The authenticated user.
+ * @throws {Error} If the token is invalid or the API call fails.
+ */
+export async function signInWithToken(token) {
+  const trimmedToken = token.trim();
+  if (!trimmedToken) {
+    throw new Error('Please enter a token.');
+  }
+  const connection = getActiveConnection();
+  const user = await validateConnection({ ...connection, token: trimmedToken });
+  await claimGitHubCache(`${connection.id}|${user.login}`);
+  setActiveConnectionToken(trimmedToken);
+  return user;
+}
+
+/**
+ * Signs out of the active connection profile by removing its session token.
+ */
+export function signOut() {
+  setActiveConnectionToken('');
+}
+
+/**
+ * Returns whether the OAuth device flow is configured for this build.
+ * @returns {boolean}
+ */
+export function isDeviceFlowConfigured() {
+  return Boolean(DEVICE_FLOW_ENDPOINT && DEVICE_FLOW_CLIENT_ID);
+}
+
+/**
+ * Posts a form to the device flow endpoint and returns the JSON response.
+ * @async
+ * @param {string} path - The path below the device flow endpoint.
+ * @param {Object} fields - The form fields.
+ * @param {AbortSignal} [signal] - Signal to cancel the request.
+ * @returns {Promise<Object>} The parsed response.
+ * @throws {Error} If the request fails.
+ */
+async function postDeviceFlowForm(path, fields, signal) {
+  const response = await fetch(`${DEVICE_FLOW_ENDPOINT}${path}`, {
+    method: 'POST',
+    signal,
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams(fields).toString()
+  });
+  if (!response.ok) {
+    throw new Error(`Device flow error: ${response.status} ${response.statusText}`);
+  }
+  return await response.json();
+}
+
+/**
+ * Starts the OAuth device flow.
+ * @async
+ * @param {AbortSignal} [signal] - Signal to cancel the request.
+ * @returns {Promise<{ device_code: string, user_code: string, verification_uri: string, expires_in: number, interval: number }>}
+ *   The device code and the code the user has to enter on the verification page.
+ * @throws {Error} If the device flow is not configured or the request fails.
+ */
+export async function requestDeviceCode(signal) {
+  if (!isDeviceFlowConfigured()) {
+    throw new Error('The device flow is not configured.');
+  }
+  return await postDeviceFlowForm('/login/device/code', {
+    client_id: DEVICE_FLOW_CLIENT_ID,
+    scope: DEVICE_FLOW_SCOPES
+  }, signal);
+}
+
+/**
+ * Polls the device flow endpoint until the user authorizes the device, then signs in with the issued token.
+ * @async
+ * @param {Object} deviceCode - The response of {@link requestDeviceCode}.
+ * @param {AbortSignal} [signal] - Signal to stop polling.
+ * @returns {Promise<Object>} The authenticated user.
+ * @throws {Error} If authorization is denied, the code expires or a request fails.
+ */
+export async function completeDeviceFlowSignIn(deviceCode, signal) {
+  let intervalSeconds = deviceCode.interval || 5;
+  const expiresAt = Date.now() + deviceCode.expires_in * 1000;
+  while (Date.now() < expiresAt) {
+    await new Promise(resolve => setTimeout(resolve, intervalSeconds * 1000));
+    signal?.throwIfAborted();
+    const result = await postDeviceFlowForm('/login/oauth/access_token', {
+      client_id: DEVICE_FLOW_CLIENT_ID,
+      device_code: deviceCode.device_code,
+      grant_type: 'urn:ietf:params:oauth:grant-type:device_code'
+    }, signal);
+    if (result.access_token) {
+      return await signInWithToken(result.access_token);
+    }
+    if (result.error === 'slow_down') {
+      intervalSeconds = result.interval || intervalSeconds + 5;
+    } else if (result.error !== 'authorization_pending') {
+      throw new Error(result.error_description || `Device flow error: ${result.error}`);
+    }
+  }
+  throw new Error('The device code has expired. Please try again.');
+}
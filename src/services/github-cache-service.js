@@ -0,0 +1,282 @@
+/**
+ * Service for persisting GitHub data in IndexedDB so revisited organizations and repositories render instantly.
+ * Stores organization repositories, repository pull request lists and per pull request file and review lists,
+ * keyed by the API base URL of the connection so github.com and GitHub Enterprise Server data never mix.
+ * The cache belongs to one account at a time: it is cleared on sign-out, on profile switches and when
+ * another account signs in, so nobody is shown data cached for an account with other access rights.
+ * All functions degrade to cache misses when IndexedDB is unavailable.
+ *
+ * @module githubCacheService
+ */
+
+const DATABASE_NAME = 'github-analysis-cache';
+const DATABASE_VERSION = 2;
+const ORGANIZATION_REPOSITORIES_STORE = 'organizationRepositories';
+const PULL_REQUESTS_STORE = 'pullRequests';
+const PULL_REQUEST_FILES_STORE = 'pullRequestFiles';
+const PULL_REQUEST_REVIEWS_STORE = 'pullRequestReviews';
+const STORE_NAMES = [ORGANIZATION_REPOSITORIES_STORE, PULL_REQUESTS_STORE, PULL_REQUEST_FILES_STORE, PULL_REQUEST_REVIEWS_STORE];
+const CACHE_OWNER_STORAGE_KEY = 'github-cache-owner';
+
+/** @type {Promise<IDBDatabase|null>|null} */
+let databasePromise = null;
+
+/**
+ * Opens (and on first use creates) the cache database.
+ * Resolves to `null` when IndexedDB cannot be used, e.g. in private browsing.
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        for (const storeName of STORE_NAMES) {
+          if (!database.objectStoreNames.contains(storeName)) {
+            database.createObjectStore(storeName, { keyPath: 'key' });
+          }
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve(null);
+      request.onblocked = () => resolve(null);
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Reads a single record from an object store.
+ * @param {string} storeName - The object store name.
+ * @param {string} key - The record key.
+ * @returns {Promise<Object|null>} The stored record or `null` on a miss.
+ */
+async function readRecord(storeName, key) {
+  const database = await openDatabase();
+  if (!database) return null;
+  return new Promise(resolve => {
+    const request = database.transaction(storeName, 'readonly').objectStore(storeName).get(key);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => resolve(null);
+  });
+}
+
+/**
+ * Writes a single record to an object store. Failures (e.g. quota exceeded) are ignored.
+ * @param {string} storeName - The object store name.
+ * @param {Object} record - The record to store, including its `key`.
+ * @returns {Promise<void>}
+ */
+async function writeRecord(storeName, record) {
+  const database = await openDatabase();
+  if (!database) return;
+  return new Promise(resolve => {
+    const transaction = database.transaction(storeName, 'readwrite');
+    transaction.objectStore(storeName).put(record);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => resolve();
+    transaction.onabort = () => resolve();
+  });
+}
+
+/**
+ * Removes all cached data, e.g. when the signed-in account or the connection profile changes.
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function clearGitHubCache() {
+  localStorage.removeItem(CACHE_OWNER_STORAGE_KEY);
+  const database = await openDatabase();
+  if (!database) return;
+  return new Promise(resolve => {
+    const transaction = database.transaction(STORE_NAMES, 'readwrite');
+    for (const storeName of STORE_NAMES) {
+      transaction.objectStore(storeName).clear();
+    }
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => resolve();
+    transaction.onabort = () => resolve();
+  });
+}
+
+/**
+ * Makes an account the owner of the cache. Data cached for another account, or before the owner was known,
+ * is removed first.
+ * @async
+ * @param {string} owner - Identifies the account, e.g. the profile id and the login.
+ * @returns {Promise<void>}
+ */
+export async function claimGitHubCache(owner) {
+  if (localStorage.getItem(CACHE_OWNER_STORAGE_KEY) === owner) return;
+  await clearGitHubCache();
+  localStorage.setItem(CACHE_OWNER_STORAGE_KEY, owner);
+}
+
+/**
+ * Builds the cache key of a single pull request.
+ * @param {string} apiBaseUrl - The API base URL of the connection.
+ * @param {string} org - The organization login name.
+ * @param {string} repo - The repository name.
+ * @param {number} pullNumber - The pull request number.
+ * @returns {string}
+ */
+function getPullRequestKey(apiBaseUrl, org, repo, pullNumber) {
+  return `${apiBaseUrl}|${org}/${repo}#${pullNumber}`;
+}
+
+/**
+ * Removes bulky fields that the dashboard never reads from a pull request before it is stored.
+ * @param {Object} pr - A pull request object from the GitHub API.
+ * @returns {Object} The slimmed pull request.
+ */
+function slimPullRequest(pr) {
+  const { _links, head, base, files, fileTypeStats, excludedChanges, linguistRules, ...rest } = pr;
+  return {
+    ...rest,
+    head: head ? { ref: head.ref, sha: head.sha, label: head.label } : head,
+    base: base ? { ref: base.ref, sha: base.sha, label: base.label } : base
+  };
+}
+
+/**
+ * Returns the cached repositories of an organization.
+ * @async
+ * @param {string} apiBaseUrl - The API base URL of the connection.
+ * @param {string} org - The organization login name.
+ * @returns {Promise<Object[]|null>} The cached repositories or `null` if not cached.
+ */
+export async function getCachedOrganizationRepositories(apiBaseUrl, org) {
+  const record = await readRecord(ORGANIZATION_REPOSITORIES_STORE, `${apiBaseUrl}|${org}`);
+  return record ? record.repositories : null;
+}
+
+/**
+ * Stores the repositories of an organization.
+ * @async
+ * @param {string} apiBaseUrl - The API base URL of the connection.
+ * @param {string} org - The organization login name.
+ * @param {Object[]} repositories - The repository objects.
+ * @returns {Promise<void>}
+ */
+export async function cacheOrganizationRepositories(apiBaseUrl, org, repositories) {
+  await writeRecord(ORGANIZATION_REPOSITORIES_STORE, { key: `${apiBaseUrl}|${org}`, repositories, cachedAt: Date.now() });
+}
+
+/**
+ * Returns the cached pull request list of a repository.
+ * @async
+ * @param {string} apiBaseUrl - The API base URL of the connection.
+ * @param {string} org - The organization login name.
+ * @param {string} repo - The repository name.
+ * @returns {Promise<Object[]|null>} The cached pull requests or `null` if not cached.
+ */
+export async function getCachedPullRequests(apiBaseUrl, org, repo) {
+  const record = await readRecord(PULL_REQUESTS_STORE, `${apiBaseUrl}|${org}/${repo}`);
+  return record ? record.pullRequests : null;
+}
+
+/**
+ * Stores the pull request list of a repository.
+ * @async
+ * @param {string} apiBaseUrl - The API base URL of the connection.
+ * @param {string} org - The organization login name.
+ * @param {string} repo - The repository name.
+ * @param {Object[]} pullRequests - The pull request objects.
+ * @returns {Promise<void>}
+ */
+export async function cachePullRequests(apiBaseUrl, org, repo, pullRequests) {
+  await writeRecord(PULL_REQUESTS_STORE, {
+    key: `${apiBaseUrl}|${org}/${repo}`,
+    pullRequests: pullRequests.map(slimPullRequest),
+    cachedAt: Date.now()
+  });
+}
+
+/**
+ * Returns the cached file list of a pull request if it is still valid for the given pull request.
+ * An entry is valid when it was stored for the same `updated_at`; reopening a pull request and
+ * pushing to it changes `updated_at`.
+ * @async
+ * @param {string} apiBaseUrl - The API base URL of the connection.
+ * @param {string} org - The organization login name.
+ * @param {string} repo - The repository name.
+ * @param {Object} pr - The current pull request object.
+ * @param {Object} [options] - Lookup options.
+ * @param {boolean} [options.allowStale=false] - Return the entry even if the pull request changed since.
+ * @returns {Promise<Object[]|null>} The cached files or `null` on a miss.
+ */
+export async function getCachedPullRequestFiles(apiBaseUrl, org, repo, pr, { allowStale = false } = {}) {
+  const record = await readRecord(PULL_REQUEST_FILES_STORE, getPullRequestKey(apiBaseUrl, org, repo, pr.number));
+  if (!record) return null;
+  if (allowStale || record.updatedAt === pr.updated_at) {
+    return record.files;
+  }
+  return null;
+}
+
+/**
+ * Stores the file list of a pull request, keeping only the fields needed for file statistics.
+ * @async
+ * @param {string} apiBaseUrl - The API base URL of the connection.
+ * @param {string} org - The organization login name.
+ * @param {string} repo - The repository name.
+ * @param {Object} pr - The pull request object the files belong to.
+ * @param {Object[]} files - The file objects from the GitHub API.
+ * @returns {Promise<void>}
+ */
+export async function cachePullRequestFiles(apiBaseUrl, org, repo, pr, files) {
+  await writeRecord(PULL_REQUEST_FILES_STORE, {
+    key: getPullRequestKey(apiBaseUrl, org, repo, pr.number),
+    updatedAt: pr.updated_at,
+    files: files.map(({ filename, status, additions, deletions, changes }) => ({ filename, status, additions, deletions, changes }))
+  });
+}
+
+/**
+ * Returns the cached reviews of a pull request if they are still valid for the given pull request.
+ * Validity follows the same rules as {@link getCachedPullRequestFiles}; submitting a review updates `updated_at`.
+ * @async
+ * @param {string} apiBaseUrl - The API base URL of the connection.
+ * @param {string} org - The organization login name.
+ * @param {string} repo - The repository name.
+ * @param {Object} pr - The current pull request object.
+ * @param {Object} [options] - Lookup options.
+ * @param {boolean} [options.allowStale=false] - Return the entry even if the pull request changed since.
+ * @returns {Promise<Object[]|null>} The cached reviews or `null` on a miss.
+ */
+export async function getCachedPullRequestReviews(apiBaseUrl, org, repo, pr, { allowStale = false } = {}) {
+  const record = await readRecord(PULL_REQUEST_REVIEWS_STORE, getPullRequestKey(apiBaseUrl, org, repo, pr.number));
+  if (!record) return null;
+  if (allowStale || record.updatedAt === pr.updated_at) {
+    return record.reviews;
+  }
+  return null;
+}
+
+/**
+ * Stores the reviews of a pull request, keeping only the reviewer, state, submission time and comment count.
+ * @async
+ * @param {string} apiBaseUrl - The API base URL of the connection.
+ * @param {string} org - The organization login name.
+ * @param {string} repo - The repository name.
+ * @param {Object} pr - The pull request object the reviews belong to.
+ * @param {Object[]} reviews - The review objects from the GitHub API, with `comment_count`.
+ * @returns {Promise<void>}
+ */
+export async function cachePullRequestReviews(apiBaseUrl, org, repo, pr, reviews) {
+  await writeRecord(PULL_REQUEST_REVIEWS_STORE, {
+    key: getPullRequestKey(apiBaseUrl, org, repo, pr.number),
+    updatedAt: pr.updated_at,
+    reviews: reviews.map(({ user, state, submitted_at, comment_count }) => ({
+      user: user ? { login: user.login, type: user.type } : null,
+      state,
+      submitted_at,
+      comment_count
+    }))
+  });
+}
@@ -0,0 +1,201 @@
+/**
+ * Service for fetching pull request data through the GitHub GraphQL v4 API.
+ * Retrieves pull requests together with their authors, file statistics and reviews
+ * in pages of 25, instead of one REST request per pull request.
+ * Pull requests are normalized to the shape of the REST API so the rest of the dashboard can use either source.
+ *
+ * @module githubGraphqlService
+ */
+import { githubRequest, GitHubApiError, getGraphqlUrl } from './github-rest-client.js';
+
+/**
+ * Number of pull requests requested per GraphQL page. Every pull request nests up to 100 files and 100 reviews,
+ * so larger pages run into GitHub's GraphQL timeouts and resource limits on big repositories.
+ */
+const PULL_REQUEST_PAGE_SIZE = 25;
+
+/** GraphQL error types meaning the token may not use GraphQL for the query, while REST may still work. */
+const UNAVAILABLE_ERROR_TYPES = ['INSUFFICIENT_SCOPES'];
+
+/**
+ * Error thrown when a GraphQL response contains errors. Keeps the GraphQL error types, e.g. `NOT_FOUND`.
+ */
+export class GitHubGraphqlError extends GitHubApiError {
+  /**
+   * @param {string} message - Human readable error message.
+   * @param {number} status - The HTTP status code of the response.
+   * @param {Headers} headers - The response headers.
+   * @param {boolean} rateLimited - Whether the request failed because of a rate limit.
+   * @param {string[]} types - The `type` of every GraphQL error.
+   */
+  constructor(message, status, headers, rateLimited, types) {
+    super(message, status, headers, rateLimited);
+    this.name = 'GitHubGraphqlError';
+    this.types = types;
+  }
+}
+
+const REPOSITORY_PULL_REQUESTS_QUERY = `
+  query RepositoryPullRequests($owner: String!, $name: String!, $pageSize: Int!, $after: String, $orderBy: IssueOrder!) {
+    repository(owner: $owner, name: $name) {
+      pullRequests(first: $pageSize, after: $after, orderBy: $orderBy) {
+        totalCount
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          number
+          title
+          url
+          state
+          isDraft
+          createdAt
+          updatedAt
+          closedAt
+          mergedAt
+          additions
+          deletions
+          changedFiles
+          author { login __typename }
+          comments { totalCount }
+          files(first: 100) {
+            pageInfo { hasNextPage }
+            nodes { path additions deletions changeType }
+          }
+          reviews(first: 100) {
+            pageInfo { hasNextPage }
+            nodes { author { login __typename } state submittedAt comments { totalCount } }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Sends a query to the GitHub GraphQL API.
+ * @async
+ * @param {string} query - The GraphQL query document.
+ * @param {Object} variables - The query variables.
+ * @param {import('./github-rest-client.js').GitHubConnection} connection - The API base URL and token to use.
+ * @param {Object} [requestOptions] - Request options such as an abort `signal`.
+ * @returns {Promise<Object>} The `data` of the GraphQL response.
+ * @throws {GitHubApiError} If the request fails; a {@link GitHubGraphqlError} if the response contains errors.
+ */
+export async function githubGraphqlRequest(query, variables, connection, requestOptions = {}) {
+  const { data: response, headers, status } = await githubRequest(getGraphqlUrl(connection), connection, {
+    ...requestOptions,
+    method: 'POST',
+    body: { query, variables }
+  });
+  if (response.errors?.length) {
+    const types = response.errors.map(error => error.type).filter(Boolean);
+    const messages = response.errors.map(error => error.message).join('; ');
+    throw new GitHubGraphqlError(`GitHub GraphQL error: ${messages}`, status, headers, types.includes('RATE_LIMITED'), types);
+  }
+  return response.data;
+}
+
+/**
+ * Converts a GraphQL actor into the `user` shape of the REST API.
+ * @param {Object|null} actor - The GraphQL actor (`null` for deleted accounts).
+ * @returns {Object|null} { login, type }
+ */
+function toRestUser(actor) {
+  if (!actor) return null;
+  return { login: actor.login, type: actor.__typename === 'Bot' ? 'Bot' : 'User' };
+}
+
+/**
+ * Converts a GraphQL pull request node into the shape of the REST API pull request object.
+ * Adds `files`, `reviews` (with their `comment_count`), `hasMoreFiles` and `hasMoreReviews`, which the REST list
+ * endpoint does not provide. Pull requests with more than 100 reviews get `reviews` of `null`, so all of them are loaded via REST.
+ * @param {Object} node - The GraphQL pull request node.
+ * @returns {Object} The normalized pull request.
+ */
+function toRestPullRequest(node) {
+  return {
+    number: node.number,
+    title: node.title,
+    html_url: node.url,
+    state: node.state === 'OPEN' ? 'open' : 'closed',
+    draft: node.isDraft,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    closed_at: node.closedAt,
+    merged_at: node.mergedAt,
+    additions: node.additions,
+    deletions: node.deletions,
+    changed_files: node.changedFiles,
+    comments: node.comments.totalCount,
+    user: toRestUser(node.author),
+    files: node.files.nodes.map(file => ({
+      filename: file.path,
+      status: file.changeType.toLowerCase(),
+      additions: file.additions,
+      deletions: file.deletions,
+      changes: file.additions + file.deletions
+    })),
+    hasMoreFiles: node.files.pageInfo.hasNextPage,
+    hasMoreReviews: node.reviews.pageInfo.hasNextPage,
+    reviews: node.reviews.pageInfo.hasNextPage ? null : node.reviews.nodes.map(review => ({
+      user: toRestUser(review.author),
+      state: review.state,
+      submitted_at: review.submittedAt,
+      comment_count: review.comments.totalCount
+    }))
+  };
+}
+
+/**
+ * Fetches all pull requests of a repository with files and reviews via GraphQL, newest first.
+ * Pull requests with more than 100 files have `hasMoreFiles` set and those with more than 100 reviews `hasMoreReviews`;
+ * their remaining files and reviews must be fetched via REST.
+ * With `updatedSince` the pull requests are ordered by last update and paging stops at the first
+ * pull request that was not updated since then; `totalCount` then remains the repository total.
+ * @async
+ * @param {string} org - The organization login name.
+ * @param {string} repo - The repository name.
+ * @param {import('./github-rest-client.js').GitHubConnection} connection - The API base URL and token to use.
+ * @param {Object} [options] - Fetch options.
+ * @param {string} [options.updatedSince] - ISO timestamp; only pull requests updated at or after it are returned.
+ * @param {AbortSignal} [options.signal] - Signal to cancel the requests.
+ * @param {(pullRequests: Object[], totalCount: number) => void} [options.onPage] - Called with every page of pull requests.
+ * @returns {Promise<Object[]>} The normalized pull requests.
+ * @throws {GitHubApiError} If a request fails.
+ */
+export async function fetchRepositoryPullRequestsWithDetails(org, repo, connection, { updatedSince, signal, onPage } = {}) {
+  const orderBy = { field: updatedSince ? 'UPDATED_AT' : 'CREATED_AT', direction: 'DESC' };
+  let pullRequests = [];
+  let after = null;
+  let hasNextPage = true;
+  while (hasNextPage) {
+    const data = await githubGraphqlRequest(
+      REPOSITORY_PULL_REQUESTS_QUERY,
+      { owner: org, name: repo, pageSize: PULL_REQUEST_PAGE_SIZE, after, orderBy },
+      connection,
+      { signal }
+    );
+    if (!data.repository) {
+      throw new GitHubGraphqlError(`Repository ${org}/${repo} not found.`, 404, new Headers(), false, ['NOT_FOUND']);
+    }
+    const pullRequestConnection = data.repository.pullRequests;
+    const nodes = pullRequestConnection.nodes.map(toRestPullRequest);
+    const page = updatedSince ? nodes.filter(pr => pr.updated_at >= updatedSince) : nodes;
+    pullRequests = pullRequests.concat(page);
+    onPage?.(page, pullRequestConnection.totalCount);
+    hasNextPage = pullRequestConnection.pageInfo.hasNextPage && page.length === nodes.length;
+    after = pullRequestConnection.pageInfo.endCursor;
+  }
+  return pullRequests;
+}
+
+/**
+ * Returns whether a GraphQL failure means GraphQL cannot be used with this server or token, so the same data
+ * should be loaded via REST instead: the endpoint does not exist (e.g. on older servers) or the token lacks a scope.
+ * Rate limits, authentication and network errors are not, as REST would fail the same way.
+ * @param {Error} err - The error thrown by a GraphQL request.
+ * @returns {boolean}
+ */
+export function isGraphqlUnavailableError(err) {
+  if (err instanceof GitHubGraphqlError) return err.types.some(type => UNAVAILABLE_ERROR_TYPES.includes(type));
+  return err instanceof GitHubApiError && err.status === 404;
+}
@@ -4,41 +4,78 @@
  *
  * @module githubPullRequestService
  */
+import { githubRequestAllPages } from './github-rest-client.js';
 
 /**
  * Fetches all pull requests for a given repository in an organization, handling pagination.
+ * The pulls endpoint has no `since` parameter, so with `updatedSince` the list is sorted by last update
+ * and paging stops at the first pull request that was not updated since then.
  * @async
  * @param {string} org - The organization login name.
  * @param {string} repo - The repository name.
- * @param {string} token - A valid GitHub Personal Access Token for authentication.
+ * @param {import('./github-rest-client.js').GitHubConnection} connection - The API base URL and token to use.
  * @param {Object} [options] - Optional query parameters (e.g., { state: 'all' })
+ * @param {string} [options.updatedSince] - ISO timestamp; only pull requests updated at or after it are returned.
+ * @param {Object} [requestOptions] - Request options such as an abort `signal`.
  * @returns {Promise<Object[]>} A list of all pull request objects.
  * @throws {Error} If the API call fails.
  */
-export async function fetchRepositoryPullRequests(org, repo, token, options = {}) {
-  const params = new URLSearchParams({ per_page: '100', ...options });
-  let url = `https://api.github.com/repos/${org}/${repo}/pulls?${params.toString()}`;
-  let allPRs = [];
-  while (url) {
-    const response = await fetch(url, {
-      headers: {
-        'Authorization': `token ${token}`,
-        'Accept': 'application/vnd.github.v3+json'
-      }
-    });
-    if (!response.ok) {
-      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
-    }
-    const prs = await response.json();
-    allPRs = allPRs.concat(prs);
-    // Parse Link header for pagination
-    const linkHeader = response.headers.get('Link');
-    if (linkHeader) {
-      const match = linkHeader.match(/<([^>]+)>; rel="next"/);
-      url = match ? match[1] : null;
-    } else {
-      url = null;
-    }
+export async function fetchRepositoryPullRequests(org, repo, connection, options = {}, requestOptions = {}) {
+  const { updatedSince, ...query } = options;
+  if (!updatedSince) {
+    const params = new URLSearchParams({ per_page: '100', ...query });
+    return await githubRequestAllPages(`/repos/${org}/${repo}/pulls?${params.toString()}`, connection, requestOptions);
   }
-  return allPRs;
+  const params = new URLSearchParams({ per_page: '100', ...query, sort: 'updated', direction: 'desc' });
+  const isOutdated = pr => pr.updated_at < updatedSince;
+  const prs = await githubRequestAllPages(`/repos/${org}/${repo}/pulls?${params.toString()}`, connection, {
+    ...requestOptions,
+    stopWhen: page => page.some(isOutdated)
+  });
+  return prs.filter(pr => !isOutdated(pr));
+}
+
+/**
+ * Fetches all files changed in a pull request, handling pagination.
+ * @async
+ * @param {string} org - The organization login name.
+ * @param {string} repo - The repository name.
+ * @param {number} pullNumber - The pull request number.
+ * @param {import('./github-rest-client.js').GitHubConnection} connection - The API base URL and token to use.
+ * @param {Object} [requestOptions] - Request options such as an abort `signal`.
+ * @returns {Promise<Object[]>} A list of file objects with `filename`, `additions` and `deletions`.
+ * @throws {Error} If the API call fails.
+ */
+export async function fetchPullRequestFiles(org, repo, pullNumber, connection, requestOptions = {}) {
+  return await githubRequestAllPages(`/repos/${org}/${repo}/pulls/${pullNumber}/files?per_page=100`, connection, requestOptions);
+}
+
+/**
+ * Fetches all reviews of a pull request, handling pagination.
+ * @async
+ * @param {string} org - The organization login name.
+ * @param {string} repo - The repository name.
+ * @param {number} pullNumber - The pull request number.
+ * @param {import('./github-rest-client.js').GitHubConnection} connection - The API base URL and token to use.
+ * @param {Object} [requestOptions] - Request options such as an abort `signal`.
+ * @returns {Promise<Object[]>} A list of review objects with `user`, `state` and `submitted_at`.
+ * @throws {Error} If the API call fails.
+ */
+export async function fetchPullRequestReviews(org, repo, pullNumber, connection, requestOptions = {}) {
+  return await githubRequestAllPages(`/repos/${org}/${repo}/pulls/${pullNumber}/reviews?per_page=100`, connection, requestOptions);
+}
+
+/**
+ * Fetches all review comments (comments on the diff) of a pull request, handling pagination.
+ * @async
+ * @param {string} org - The organization login name.
+ * @param {string} repo - The repository name.
+ * @param {number} pullNumber - The pull request number.
+ * @param {import('./github-rest-client.js').GitHubConnection} connection - The API base URL and token to use.
+ * @param {Object} [requestOptions] - Request options such as an abort `signal`.
+ * @returns {Promise<Object[]>} A list of review comment objects with `user` and `pull_request_review_id`.
+ * @throws {Error} If the API call fails.
+ */
+export async function fetchPullRequestReviewComments(org, repo, pullNumber, connection, requestOptions = {}) {
+  return await githubRequestAllPages(`/repos/${org}/${repo}/pulls/${pullNumber}/comments?per_page=100`, connection, requestOptions);
 }
@@ -0,0 +1,29 @@
+/**
+ * Service for reading files from a repository's default branch through the GitHub contents API.
+ *
+ * @module githubRepositoryContentService
+ */
+import { githubRequest, GitHubApiError } from './github-rest-client.js';
+
+/**
+ * Fetches the text content of a file in a repository.
+ * @async
+ * @param {string} org - The organization login name.
+ * @param {string} repo - The repository name.
+ * @param {string} path - The file path, e.g. `.gitattributes`.
+ * @param {import('./github-rest-client.js').GitHubConnection} connection - The API base URL and token to use.
+ * @param {Object} [requestOptions] - Request options such as an abort `signal`.
+ * @returns {Promise<string|null>} The file content, or `null` if the file does not exist.
+ * @throws {Error} If the API call fails for another reason.
+ */
+export async function fetchRepositoryFileContent(org, repo, path, connection, requestOptions = {}) {
+  try {
+    const { data } = await githubRequest(`/repos/${org}/${repo}/contents/${path}`, connection, requestOptions);
+    if (data?.encoding !== 'base64' || typeof data.content !== 'string') return null;
+    const bytes = Uint8Array.from(atob(data.content.replace(/\s/g, '')), char => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+  } catch (err) {
+    if (err instanceof GitHubApiError && err.status === 404) return null;
+    throw err;
+  }
+}
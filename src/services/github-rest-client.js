@@ -0,0 +1,347 @@
+/**
+ * Shared client for the GitHub REST API used by all GitHub services, for github.com and GitHub Enterprise Server.
+ * Takes care of authentication headers, Link header pagination, rate-limit awareness,
+ * retries with backoff on secondary rate limits and server errors, and conditional
+ * requests with stored ETags so unchanged resources (HTTP 304) do not consume quota.
+ *
+ * @module githubRestClient
+ */
+
+/** Base URL of the public GitHub REST API, used by the default connection profile. */
+export const GITHUB_API_BASE_URL = 'https://api.github.com';
+
+/** Maximum number of retries for a single request before giving up. */
+const MAX_RETRIES = 4;
+
+/** Initial backoff delay for server errors, doubled on every retry. */
+const BASE_RETRY_DELAY_MS = 1000;
+
+/** GitHub asks clients to wait at least one minute after hitting a secondary rate limit. */
+const SECONDARY_RATE_LIMIT_DELAY_MS = 60000;
+
+/** Longest wait for a primary rate-limit reset before the request fails instead. */
+const MAX_RATE_LIMIT_WAIT_MS = 5 * 60000;
+
+/** Maximum number of responses kept for conditional requests; the least recently used are dropped first. */
+const MAX_ETAG_CACHE_ENTRIES = 500;
+
+/**
+ * A GitHub connection: the REST API base URL to talk to and the token to authenticate with.
+ * Created by the connection profile service.
+ * @typedef {Object} GitHubConnection
+ * @property {string} apiBaseUrl - REST API base URL, e.g. `https://api.github.com` or `https://github.acme.com/api/v3`.
+ * @property {string} token - A valid GitHub Personal Access Token for authentication.
+ * @property {string} [id] - Id of the connection profile the connection belongs to.
+ */
+
+/**
+ * Responses of earlier GET requests keyed by profile, token and URL, used for conditional requests.
+ * Ordered from least to most recently used.
+ * @type {Map<string, { etag: string, data: any, headers: Headers }>}
+ */
+const etagCache = new Map();
+
+/**
+ * Last known primary rate-limit state per token and rate-limit resource (`core`, `search`, `graphql`),
+ * keyed by `${token}|${resource}`. GitHub counts every resource against its own quota.
+ * @type {Map<string, { remaining: number, resetAt: number }>}
+ */
+const rateLimitStates = new Map();
+
+/**
+ * Error thrown when the GitHub API responds with an unsuccessful status.
+ * Keeps the HTTP status and response headers so callers can diagnose the failure.
+ */
+export class GitHubApiError extends Error {
+  /**
+   * @param {string} message - Human readable error message.
+   * @param {number} status - The HTTP status code of the response.
+   * @param {Headers} [headers] - The response headers.
+   * @param {boolean} [rateLimited=false] - Whether the request failed because of a rate limit.
+   */
+  constructor(message, status, headers = new Headers(), rateLimited = false) {
+    super(message);
+    this.name = 'GitHubApiError';
+    this.status = status;
+    this.headers = headers;
+    this.rateLimited = rateLimited;
+  }
+}
+
+/**
+ * Resolves a path relative to the API base URL of a connection. Absolute URLs (e.g. from Link headers) are kept as-is.
+ * @param {string} pathOrUrl - An API path such as `/user/orgs` or an absolute URL.
+ * @param {string} apiBaseUrl - The REST API base URL.
+ * @returns {string} The absolute request URL.
+ */
+function resolveRequestUrl(pathOrUrl, apiBaseUrl) {
+  return /^https?:\/\//.test(pathOrUrl) ? pathOrUrl : `${apiBaseUrl}${pathOrUrl}`;
+}
+
+/**
+ * Returns the GraphQL endpoint belonging to a connection.
+ * github.com serves it at `https://api.github.com/graphql`, GitHub Enterprise Server at `/api/graphql`.
+ * @param {GitHubConnection} connection - The connection.
+ * @returns {string} The GraphQL endpoint URL.
+ */
+export function getGraphqlUrl(connection) {
+  const { apiBaseUrl } = connection;
+  return /\/api\/v3$/.test(apiBaseUrl) ? apiBaseUrl.replace(/\/api\/v3$/, '/api/graphql') : `${apiBaseUrl}/graphql`;
+}
+
+/**
+ * Waits for the given duration, rejecting early when the signal is aborted.
+ * @param {number} durationMs - The delay in milliseconds.
+ * @param {AbortSignal} [signal] - Optional signal to cancel the wait.
+ * @returns {Promise<void>}
+ */
+function wait(durationMs, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', handleAbort);
+      resolve();
+    }, durationMs);
+    function handleAbort() {
+      clearTimeout(timeoutId);
+      reject(signal.reason);
+    }
+    signal?.addEventListener('abort', handleAbort, { once: true });
+  });
+}
+
+/**
+ * Returns the rate-limit resource a request URL counts against.
+ * @param {string} url - The absolute request URL.
+ * @returns {string} `search`, `graphql` or `core`.
+ */
+function getRateLimitResource(url) {
+  const { pathname } = new URL(url);
+  if (/\/search\//.test(pathname)) return 'search';
+  if (/\/graphql$/.test(pathname)) return 'graphql';
+  return 'core';
+}
+
+/**
+ * Stores the primary rate-limit headers of a response for the given token and the resource the response names.
+ * @param {string} token - The token the request was made with.
+ * @param {string} requestedResource - The resource expected for the request, used when the response does not name one.
+ * @param {Headers} headers - The response headers.
+ */
+function recordRateLimit(token, requestedResource, headers) {
+  const remaining = headers.get('X-RateLimit-Remaining');
+  const reset = headers.get('X-RateLimit-Reset');
+  if (remaining === null || reset === null) return;
+  const resource = headers.get('X-RateLimit-Resource') || requestedResource;
+  rateLimitStates.set(`${token}|${resource}`, { remaining: Number(remaining), resetAt: Number(reset) * 1000 });
+}
+
+/**
+ * Returns how long to wait before a request may be sent with the given token to the given resource.
+ * Only non-zero when the primary rate limit of that resource is known to be exhausted.
+ * @param {string} token - The token to check.
+ * @param {string} resource - The rate-limit resource, see {@link getRateLimitResource}.
+ * @returns {number} The delay in milliseconds.
+ */
+function getRateLimitDelay(token, resource) {
+  const state = rateLimitStates.get(`${token}|${resource}`);
+  if (!state || state.remaining > 0) return 0;
+  return Math.max(0, state.resetAt - Date.now());
+}
+
+/**
+ * Parses a `Retry-After` header, which holds either a number of seconds or an HTTP date.
+ * @param {string} retryAfter - The header value.
+ * @returns {number|null} The delay in milliseconds, or `null` if the value is neither form.
+ */
+function parseRetryAfter(retryAfter) {
+  if (/^\s*\d+\s*$/.test(retryAfter)) {
+    return Number(retryAfter) * 1000;
+  }
+  const retryAt = Date.parse(retryAfter);
+  return Number.isNaN(retryAt) ? null : Math.max(0, retryAt - Date.now());
+}
+
+/**
+ * Returns the stored response of a GET request and marks it as most recently used.
+ * @param {string} cacheKey - The cache key of the request.
+ * @returns {{ etag: string, data: any, headers: Headers }|undefined}
+ */
+function getCachedResponse(cacheKey) {
+  const entry = etagCache.get(cacheKey);
+  if (entry) {
+    etagCache.delete(cacheKey);
+    etagCache.set(cacheKey, entry);
+  }
+  return entry;
+}
+
+/**
+ * Stores the response of a GET request, dropping the least recently used responses beyond the size limit.
+ * @param {string} cacheKey - The cache key of the request.
+ * @param {{ etag: string, data: any, headers: Headers }} entry - The response to store.
+ */
+function storeCachedResponse(cacheKey, entry) {
+  etagCache.delete(cacheKey);
+  etagCache.set(cacheKey, entry);
+  while (etagCache.size > MAX_ETAG_CACHE_ENTRIES) {
+    etagCache.delete(etagCache.keys().next().value);
+  }
+}
+
+/**
+ * Removes all responses stored for conditional requests, e.g. on sign-out or when switching profiles.
+ */
+export function clearResponseCache() {
+  etagCache.clear();
+}
+
+/**
+ * Determines how long to wait before retrying a failed response, or `null` if it must not be retried.
+ * @param {Response} response - The failed response.
+ * @param {number} attempt - Zero-based number of the attempt that failed.
+ * @returns {Promise<number|null>} The delay in milliseconds or `null`.
+ */
+async function getRetryDelay(response, attempt) {
+  const { status, headers } = response;
+  if (status >= 500) {
+    return BASE_RETRY_DELAY_MS * 2 ** attempt;
+  }
+  if (status !== 403 && status !== 429) {
+    return null;
+  }
+  const retryAfter = headers.get('Retry-After');
+  if (retryAfter !== null) {
+    const retryAfterDelay = parseRetryAfter(retryAfter);
+    return retryAfterDelay ?? BASE_RETRY_DELAY_MS * 2 ** attempt;
+  }
+  if (headers.get('X-RateLimit-Remaining') === '0') {
+    const resetDelay = Number(headers.get('X-RateLimit-Reset')) * 1000 - Date.now();
+    return resetDelay <= MAX_RATE_LIMIT_WAIT_MS ? Math.max(resetDelay, 0) + 1000 : null;
+  }
+  const body = await response.clone().json().catch(() => null);
+  if (status === 429 || /secondary rate limit|abuse/i.test(body?.message || '')) {
+    return SECONDARY_RATE_LIMIT_DELAY_MS * (attempt + 1);
+  }
+  // A plain 403 is a permission problem and retrying will not help.
+  return null;
+}
+
+/**
+ * Builds the error for an unsuccessful response, explaining rate-limit failures.
+ * @param {Response} response - The failed response.
+ * @returns {GitHubApiError}
+ */
+function createApiError(response) {
+  const { status, statusText, headers } = response;
+  if ((status === 403 || status === 429) && headers.get('X-RateLimit-Remaining') === '0') {
+    const resetTime = new Date(Number(headers.get('X-RateLimit-Reset')) * 1000).toLocaleTimeString();
+    return new GitHubApiError(`GitHub API rate limit exceeded. It resets at ${resetTime}.`, status, headers, true);
+  }
+  if (status === 429 || headers.get('Retry-After') !== null) {
+    return new GitHubApiError('GitHub API secondary rate limit exceeded. Please try again in a few minutes.', status, headers, true);
+  }
+  return new GitHubApiError(`GitHub API error: ${status} ${statusText}`, status, headers);
+}
+
+/**
+ * Sends a single authenticated request to the GitHub REST API.
+ * GET requests are sent with `If-None-Match` when an ETag is known; a 304 response returns the stored data.
+ * @async
+ * @param {string} pathOrUrl - An API path such as `/user/orgs` or an absolute URL.
+ * @param {GitHubConnection} connection - The API base URL and token to use.
+ * @param {Object} [options] - Request options.
+ * @param {string} [options.method='GET'] - The HTTP method.
+ * @param {Object} [options.headers] - Additional request headers.
+ * @param {*} [options.body] - Request body, serialized as JSON.
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request, including pending retries.
+ * @returns {Promise<{ data: any, headers: Headers, status: number }>} The parsed response.
+ * @throws {GitHubApiError} If the API responds with an error after all retries.
+ */
+export async function githubRequest(pathOrUrl, connection, options = {}) {
+  const { method = 'GET', headers = {}, body, signal } = options;
+  const { token } = connection;
+  const url = resolveRequestUrl(pathOrUrl, connection.apiBaseUrl);
+  const cacheKey = `${connection.id || ''}|${token}|${url}`;
+  const cachedEntry = method === 'GET' ? getCachedResponse(cacheKey) : undefined;
+  const resource = getRateLimitResource(url);
+  for (let attempt = 0; ; attempt++) {
+    const rateLimitDelay = getRateLimitDelay(token, resource);
+    if (rateLimitDelay > MAX_RATE_LIMIT_WAIT_MS) {
+      const resetTime = new Date(Date.now() + rateLimitDelay).toLocaleTimeString();
+      throw new GitHubApiError(`GitHub API rate limit exceeded. It resets at ${resetTime}.`, 403, new Headers(), true);
+    }
+    if (rateLimitDelay > 0) {
+      await wait(rateLimitDelay, signal);
+    }
+    const response = await fetch(url, {
+      method,
+      signal,
+      headers: {
+        'Authorization': `token ${token}`,
+        'Accept': 'application/vnd.github.v3+json',
+        ...(cachedEntry ? { 'If-None-Match': cachedEntry.etag } : {}),
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    recordRateLimit(token, resource, response.headers);
+    if (response.status === 304 && cachedEntry) {
+      return { data: cachedEntry.data, headers: cachedEntry.headers, status: 304 };
+    }
+    if (response.ok) {
+      const data = response.status === 204 ? null : await response.json();
+      const etag = response.headers.get('ETag');
+      if (method === 'GET' && etag) {
+        storeCachedResponse(cacheKey, { etag, data, headers: response.headers });
+      }
+      return { data, headers: response.headers, status: response.status };
+    }
+    const retryDelay = attempt < MAX_RETRIES ? await getRetryDelay(response, attempt) : null;
+    if (retryDelay === null) {
+      throw createApiError(response);
+    }
+    await wait(retryDelay, signal);
+  }
+}
+
+/**
+ * Returns the URL of the next page from a `Link` response header.
+ * @param {Headers} headers - The response headers.
+ * @returns {string|null} The next page URL or `null` on the last page.
+ */
+function getNextPageUrl(headers) {
+  const linkHeader = headers.get('Link');
+  if (!linkHeader) return null;
+  const match = linkHeader.match(/<([^>]+)>; rel="next"/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Fetches every page of a paginated GitHub REST API list by following `Link` headers.
+ * @async
+ * @param {string} pathOrUrl - The API path of the first page, e.g. `/user/orgs?per_page=100`.
+ * @param {GitHubConnection} connection - The API base URL and token to use.
+ * @param {Object} [options] - Request options, see {@link githubRequest}.
+ * @param {(page: Object[]) => boolean} [options.stopWhen] - Called with every page; no further pages are fetched once it returns `true`.
+ * @param {(data: Object) => Object[]} [options.getPageItems] - Extracts the items of a page for endpoints
+ *   that wrap them in an object, such as the search API (`data => data.items`).
+ * @returns {Promise<Object[]>} All items of all fetched pages.
+ * @throws {GitHubApiError} If any page request fails.
+ */
+export async function githubRequestAllPages(pathOrUrl, connection, options = {}) {
+  const { stopWhen, getPageItems = data => data, ...requestOptions } = options;
+  let items = [];
+  let url = pathOrUrl;
+  while (url) {
+    const { data, headers } = await githubRequest(url, connection, requestOptions);
+    const page = getPageItems(data);
+    items = items.concat(page);
+    url = stopWhen?.(page) ? null : getNextPageUrl(headers);
+  }
+  return items;
+}
@@ -0,0 +1,97 @@
+/**
+ * Service for finding pull requests across all repositories of an organization through the GitHub search API.
+ * Search results are issues; they are normalized to the shape of the REST pull request list,
+ * with the repository name added as `repository`.
+ * The search API returns at most 1,000 results per query.
+ *
+ * @module githubSearchService
+ */
+import { githubRequestAllPages, GitHubApiError } from './github-rest-client.js';
+
+/**
+ * Converts an issue search result into the shape of a REST pull request list item.
+ * @param {Object} item - The search result.
+ * @returns {Object} The pull request with a `repository` name.
+ */
+function toPullRequest(item) {
+  return {
+    number: item.number,
+    title: item.title,
+    html_url: item.html_url,
+    state: item.state,
+    draft: Boolean(item.draft),
+    created_at: item.created_at,
+    updated_at: item.updated_at,
+    closed_at: item.closed_at,
+    merged_at: item.pull_request?.merged_at || null,
+    comments: item.comments,
+    user: item.user ? { login: item.user.login, type: item.user.type } : null,
+    repository: item.repository_url.split('/').pop()
+  };
+}
+
+/**
+ * Searches the pull requests of an organization matching a qualifier such as `author:jdoe`.
+ * @async
+ * @param {string} org - The organization login name.
+ * @param {string} qualifier - The search qualifier, e.g. `author:jdoe` or `reviewed-by:jdoe`.
+ * @param {import('./github-rest-client.js').GitHubConnection} connection - The API base URL and token to use.
+ * @param {Object} [options] - Search options.
+ * @param {string} [options.updatedSince] - ISO timestamp; only pull requests updated at or after it are returned.
+ * @param {Object} [requestOptions] - Request options such as an abort `signal`.
+ * @returns {Promise<Object[]>} The pull requests, most recently updated first.
+ * @throws {Error} If the API call fails.
+ */
+async function searchOrganizationPullRequests(org, qualifier, connection, { updatedSince } = {}, requestOptions = {}) {
+  const terms = ['type:pr', `org:${org}`, qualifier];
+  if (updatedSince) terms.push(`updated:>=${updatedSince.slice(0, 10)}`);
+  const params = new URLSearchParams({ q: terms.join(' '), sort: 'updated', order: 'desc', per_page: '100' });
+  const items = await githubRequestAllPages(`/search/issues?${params.toString()}`, connection, {
+    ...requestOptions,
+    getPageItems: data => data.items
+  });
+  return items.map(toPullRequest);
+}
+
+/**
+ * Finds the pull requests a user opened in any repository of an organization.
+ * @async
+ * @param {string} org - The organization login name.
+ * @param {string} login - The user login.
+ * @param {import('./github-rest-client.js').GitHubConnection} connection - The API base URL and token to use.
+ * @param {Object} [options] - See {@link searchOrganizationPullRequests}.
+ * @param {Object} [requestOptions] - Request options such as an abort `signal`.
+ * @returns {Promise<Object[]>} The pull requests with a `repository` name.
+ * @throws {Error} If the API call fails.
+ */
+export async function searchPullRequestsByAuthor(org, login, connection, options = {}, requestOptions = {}) {
+  return searchOrganizationPullRequests(org, `author:${login}`, connection, options, requestOptions);
+}
+
+/**
+ * Finds the pull requests a user reviewed in any repository of an organization.
+ * @async
+ * @param {string} org - The organization login name.
+ * @param {string} login - The user login.
+ * @param {import('./github-rest-client.js').GitHubConnection} connection - The API base URL and token to use.
+ * @param {Object} [options] - See {@link searchOrganizationPullRequests}.
+ * @param {Object} [requestOptions] - Request options such as an abort `signal`.
+ * @returns {Promise<Object[]>} The pull requests with a `repository` name.
+ * @throws {Error} If the API call fails.
+ */
+export async function searchPullRequestsReviewedBy(org, login, connection, options = {}, requestOptions = {}) {
+  return searchOrganizationPullRequests(org, `reviewed-by:${login}`, connection, options, requestOptions);
+}
+
+/**
+ * Returns whether a search failure means the search API cannot be used with this server or token:
+ * it does not exist (404), rejects the query (422, e.g. on older GitHub Enterprise Server versions)
+ * or is forbidden for the token without a rate limit being hit (403, e.g. a missing scope).
+ * Rate limits, authentication and network errors are not.
+ * @param {Error} err - The error thrown by a search request.
+ * @returns {boolean}
+ */
+export function isSearchUnavailableError(err) {
+  if (!(err instanceof GitHubApiError) || err.rateLimited) return false;
+  return err.status === 404 || err.status === 422 || err.status === 403;
+}
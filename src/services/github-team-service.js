@@ -0,0 +1,66 @@
+/**
+ * Service for fetching the teams of a GitHub organization and their members using the official GitHub REST API.
+ * Reading teams needs the `read:org` scope, or the "Organization members: read" permission of a fine-grained token.
+ *
+ * @module githubTeamService
+ */
+import { githubRequestAllPages } from './github-rest-client.js';
+import { runWithConcurrencyLimit } from '../utils/concurrency-limited-queue.js';
+
+/** Maximum number of team member lists fetched at the same time. */
+const TEAM_MEMBERS_CONCURRENCY = 4;
+
+/**
+ * A team of an organization.
+ * @typedef {Object} Team
+ * @property {string} slug - The team slug, unique within the organization.
+ * @property {string} name - The display name.
+ * @property {string[]} members - The logins of the members.
+ * @property {boolean} [manual] - Whether the team was defined in the dashboard instead of on GitHub.
+ */
+
+/**
+ * Fetches all teams of an organization, handling pagination.
+ * @async
+ * @param {string} org - The organization login name.
+ * @param {import('./github-rest-client.js').GitHubConnection} connection - The API base URL and token to use.
+ * @param {Object} [requestOptions] - Request options such as an abort `signal`.
+ * @returns {Promise<Object[]>} A list of team objects.
+ * @throws {Error} If the API call fails.
+ */
+export async function fetchOrganizationTeams(org, connection, requestOptions = {}) {
+  return await githubRequestAllPages(`/orgs/${org}/teams?per_page=100`, connection, requestOptions);
+}
+
+/**
+ * Fetches all members of a team, including the members of its child teams.
+ * @async
+ * @param {string} org - The organization login name.
+ * @param {string} teamSlug - The team slug.
+ * @param {import('./github-rest-client.js').GitHubConnection} connection - The API base URL and token to use.
+ * @param {Object} [requestOptions] - Request options such as an abort `signal`.
+ * @returns {Promise<Object[]>} A list of user objects.
+ * @throws {Error} If the API call fails.
+ */
+export async function fetchTeamMembers(org, teamSlug, connection, requestOptions = {}) {
+  return await githubRequestAllPages(`/orgs/${org}/teams/${teamSlug}/members?per_page=100`, connection, requestOptions);
+}
+
+/**
+ * Fetches the teams of an organization together with the logins of their members.
+ * @async
+ * @param {string} org - The organization login name.
+ * @param {import('./github-rest-client.js').GitHubConnection} connection - The API base URL and token to use.
+ * @param {Object} [requestOptions] - Request options such as an abort `signal`.
+ * @returns {Promise<Team[]>} The teams, sorted by name.
+ * @throws {Error} If the API call fails, e.g. because the token cannot read team membership.
+ */
+export async function fetchOrganizationTeamsWithMembers(org, connection, requestOptions = {}) {
+  const teams = await fetchOrganizationTeams(org, connection, requestOptions);
+  const teamsWithMembers = await runWithConcurrencyLimit(teams, async team => ({
+    slug: team.slug,
+    name: team.name,
+    members: (await fetchTeamMembers(org, team.slug, connection, requestOptions)).map(member => member.login)
+  }), { concurrency: TEAM_MEMBERS_CONCURRENCY, signal: requestOptions.signal });
+  return teamsWithMembers.sort((a, b) => a.name.localeCompare(b.name));
+}
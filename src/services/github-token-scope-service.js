@@ -0,0 +1,158 @@
+/**
+ * Service for inspecting the scopes of the current GitHub token and diagnosing access errors.
+ * Reads the `X-OAuth-Scopes`, `X-Accepted-OAuth-Scopes`, `X-Accepted-GitHub-Permissions` and
+ * `X-GitHub-SSO` response headers and compares them with the scopes each dashboard feature needs.
+ *
+ * @module githubTokenScopeService
+ */
+import { githubRequest, GitHubApiError } from './github-rest-client.js';
+
+/**
+ * Dashboard features and the token access they need.
+ * `scopes` lists classic scopes of which any one is sufficient; an empty list means no scope is required.
+ * `permission` names the matching fine-grained token permission.
+ * @type {Array<{ feature: string, scopes: string[], permission: string }>}
+ */
+export const DASHBOARD_FEATURE_REQUIREMENTS = [
+  { feature: 'List your organizations', scopes: ['read:org', 'user'], permission: 'Organization members: read' },
+  { feature: 'Read team membership', scopes: ['read:org'], permission: 'Organization members: read' },
+  { feature: 'List public repositories of an organization', scopes: [], permission: 'Metadata: read' },
+  { feature: 'List private repositories of an organization', scopes: ['repo'], permission: 'Metadata: read' },
+  { feature: 'Analyse pull requests of public repositories', scopes: [], permission: 'Pull requests: read' },
+  { feature: 'Analyse pull requests of private repositories', scopes: ['repo'], permission: 'Pull requests: read' }
+];
+
+/**
+ * Scopes that include other scopes, see https://docs.github.com/en/apps/oauth-apps/building-oauth-apps/scopes-for-oauth-apps
+ * @type {Object<string, string[]>}
+ */
+const IMPLIED_SCOPES = {
+  'repo': ['repo:status', 'repo_deployment', 'public_repo', 'repo:invite', 'security_events'],
+  'admin:org': ['write:org', 'read:org'],
+  'write:org': ['read:org'],
+  'user': ['read:user', 'user:email', 'user:follow']
+};
+
+/**
+ * Splits a comma separated scope header into a list of scopes.
+ * @param {string|null} headerValue - The header value.
+ * @returns {string[]}
+ */
+function parseScopeHeader(headerValue) {
+  return (headerValue || '').split(',').map(scope => scope.trim()).filter(Boolean);
+}
+
+/**
+ * Adds all scopes implied by the given scopes, e.g. `repo` implies `public_repo`.
+ * @param {string[]} scopes - The granted scopes.
+ * @returns {Set<string>} The granted and implied scopes.
+ */
+function expandScopes(scopes) {
+  const expanded = new Set(scopes);
+  for (const scope of scopes) {
+    for (const impliedScope of IMPLIED_SCOPES[scope] || []) {
+      expanded.add(impliedScope);
+    }
+  }
+  return expanded;
+}
+
+/**
+ * Determines the kind of token from its prefix.
+ * @param {string} token - The token.
+ * @returns {'classic'|'fine-grained'|'oauth'|'unknown'}
+ */
+function getTokenType(token) {
+  if (token.startsWith('github_pat_')) return 'fine-grained';
+  if (token.startsWith('ghp_')) return 'classic';
+  if (token.startsWith('gho_') || token.startsWith('ghu_')) return 'oauth';
+  return 'unknown';
+}
+
+/**
+ * Scope information of a token.
+ * @typedef {Object} TokenScopeInfo
+ * @property {'classic'|'fine-grained'|'oauth'|'unknown'} tokenType - The kind of token.
+ * @property {string[]} scopes - The granted classic/OAuth scopes (empty for fine-grained tokens).
+ * @property {boolean} scopesKnown - Whether GitHub reported the scopes; fine-grained tokens have permissions instead.
+ * @property {string|null} expiresAt - Expiration date reported by GitHub, if any.
+ */
+
+/**
+ * Fetches the scopes granted to the token of a connection.
+ * @async
+ * @param {import('./github-rest-client.js').GitHubConnection} connection - The API base URL and token to inspect.
+ * @returns {Promise<TokenScopeInfo>}
+ * @throws {Error} If the API call fails.
+ */
+export async function fetchTokenScopeInfo(connection) {
+  const { headers } = await githubRequest('/user', connection);
+  const scopeHeader = headers.get('X-OAuth-Scopes');
+  return {
+    tokenType: getTokenType(connection.token),
+    scopes: parseScopeHeader(scopeHeader),
+    scopesKnown: scopeHeader !== null,
+    expiresAt: headers.get('GitHub-Authentication-Token-Expiration')
+  };
+}
+
+/**
+ * Returns for every dashboard feature whether the token grants the access it needs.
+ * @param {TokenScopeInfo} scopeInfo - The scope information of the token.
+ * @returns {Array<{ feature: string, scopes: string[], permission: string, status: 'granted'|'missing'|'unknown' }>}
+ */
+export function getFeatureScopeStatus(scopeInfo) {
+  const grantedScopes = expandScopes(scopeInfo.scopes);
+  return DASHBOARD_FEATURE_REQUIREMENTS.map(requirement => {
+    let status;
+    if (requirement.scopes.length === 0) {
+      status = 'granted';
+    } else if (!scopeInfo.scopesKnown) {
+      status = 'unknown';
+    } else {
+      status = requirement.scopes.some(scope => grantedScopes.has(scope)) ? 'granted' : 'missing';
+    }
+    return { ...requirement, status };
+  });
+}
+
+/**
+ * Diagnosis of a failed request.
+ * @typedef {Object} AccessErrorDiagnosis
+ * @property {string[]} missingScopes - Scopes of which one would allow the request (empty if unknown).
+ * @property {string[]} missingPermissions - Fine-grained permissions the request needs.
+ * @property {string|null} ssoUrl - URL to authorize the token for SAML single sign-on, if required.
+ * @property {string} message - Human readable explanation of what is missing.
+ */
+
+/**
+ * Explains which scope, permission or SSO authorization is missing for a failed request.
+ * @param {Error} error - The error thrown by a GitHub service.
+ * @param {string[]} [grantedScopes] - The scopes granted to the token, used to leave out scopes it already has.
+ * @returns {AccessErrorDiagnosis|null} The diagnosis, or `null` if the error is not an access error.
+ */
+export function diagnoseAccessError(error, grantedScopes = []) {
+  if (!(error instanceof GitHubApiError) || error.rateLimited || (error.status !== 403 && error.status !== 404)) {
+    return null;
+  }
+  const { headers } = error;
+  const ssoHeader = headers.get('X-GitHub-SSO') || '';
+  const ssoMatch = ssoHeader.match(/required; url=(\S+)/);
+  const granted = expandScopes(grantedScopes);
+  const acceptedScopes = parseScopeHeader(headers.get('X-Accepted-OAuth-Scopes'));
+  const missingScopes = acceptedScopes.some(scope => granted.has(scope))
+    ? []
+    : acceptedScopes.filter(scope => !granted.has(scope));
+  const missingPermissions = parseScopeHeader(headers.get('X-Accepted-GitHub-Permissions'));
+  let message;
+  if (ssoMatch) {
+    message = 'This organization uses SAML single sign-on. Authorize your token for the organization and try again.';
+  } else if (missingScopes.length) {
+    message = `Your token is missing a required scope. Add one of: ${missingScopes.join(', ')}.`;
+  } else if (missingPermissions.length) {
+    message = `Your fine-grained token is missing a permission. It needs: ${missingPermissions.join(', ')}.`;
+  } else {
+    message = 'Your token does not grant access to this resource. Check the token permissions below.';
+  }
+  return { missingScopes, missingPermissions, ssoUrl: ssoMatch ? ssoMatch[1] : null, message };
+}
@@ -0,0 +1,448 @@
+/**
+ * Service for loading the pull requests of a repository together with their file statistics.
+ * Uses the GitHub GraphQL service by default and falls back to the REST pull request service,
+ * combined with the IndexedDB cache so that only pull requests whose `updated_at` changed are refetched.
+ *
+ * @module pullRequestAnalysisService
+ */
+import {
+  fetchRepositoryPullRequests,
+  fetchPullRequestFiles,
+  fetchPullRequestReviews,
+  fetchPullRequestReviewComments
+} from './github-pull-request-service.js';
+import { fetchRepositoryPullRequestsWithDetails, isGraphqlUnavailableError } from './github-graphql-service.js';
+import { GitHubApiError } from './github-rest-client.js';
+import { searchPullRequestsByAuthor, searchPullRequestsReviewedBy, isSearchUnavailableError } from './github-search-service.js';
+import {
+  getCachedPullRequests,
+  cachePullRequests,
+  getCachedPullRequestFiles,
+  cachePullRequestFiles,
+  getCachedPullRequestReviews,
+  cachePullRequestReviews,
+  getCachedOrganizationRepositories
+} from './github-cache-service.js';
+import { createFileClassifier } from './file-classification-service.js';
+import {
+  createFileExcluder,
+  isRawChurnShown,
+  loadRepositoryLinguistRules,
+  getLoadedRepositoryLinguistRules
+} from './file-exclusion-service.js';
+import { runWithConcurrencyLimit } from '../utils/concurrency-limited-queue.js';
+
+/** Default number of pull request file lists fetched at the same time. */
+export const DEFAULT_FILE_STATS_CONCURRENCY = 6;
+
+/**
+ * Available sources for pull request data.
+ * @enum {string}
+ */
+export const PULL_REQUEST_DATA_SOURCES = {
+  GRAPHQL: 'graphql',
+  REST: 'rest'
+};
+
+/**
+ * Groups the files of a pull request by file category and sums their additions and deletions.
+ * @param {Object[]} files - File objects with `filename`, `additions` and `deletions`.
+ * @param {function(string): string} [classify=createFileClassifier()] - Returns the category of a file path.
+ * @returns {Object} { [category]: { count, additions, deletions } }
+ */
+export function summarizeFileTypeStats(files, classify = createFileClassifier()) {
+  const fileTypeStats = {};
+  for (const file of files) {
+    const category = classify(file.filename);
+    if (!fileTypeStats[category]) fileTypeStats[category] = { count: 0, additions: 0, deletions: 0 };
+    fileTypeStats[category].count++;
+    fileTypeStats[category].additions += file.additions;
+    fileTypeStats[category].deletions += file.deletions;
+  }
+  return fileTypeStats;
+}
+
+/**
+ * Attaches files and file category statistics to a pull request. Generated and vendored files and lockfiles
+ * are left out of `fileTypeStats` unless raw numbers are shown; their line changes are summed in `excludedChanges`.
+ * @callback FileStatsAnalyzer
+ * @param {Object} pr - The pull request object.
+ * @param {Object[]} files - The files of the pull request.
+ * @param {import('../utils/gitattributes.js').LinguistRule[]} [linguistRules] - The repository's `.gitattributes` rules;
+ *   defaults to the rules the pull request was analysed with.
+ * @returns {Object} A new pull request object with `files`, `fileTypeStats`, `excludedChanges` and `linguistRules`.
+ */
+
+/**
+ * Creates a {@link FileStatsAnalyzer} for one load or reclassification. The classification rules and the raw numbers
+ * setting are read once, and one exclusion matcher is compiled per distinct set of Linguist rules.
+ * @returns {FileStatsAnalyzer}
+ */
+function createFileStatsAnalyzer() {
+  const classify = createFileClassifier();
+  const showRaw = isRawChurnShown();
+  const excluders = new Map();
+  return (pr, files, linguistRules = pr.linguistRules || []) => {
+    const rulesKey = JSON.stringify(linguistRules);
+    if (!excluders.has(rulesKey)) excluders.set(rulesKey, createFileExcluder({ classify, linguistRules }));
+    const exclude = excluders.get(rulesKey);
+    const excludedFiles = files.filter(file => exclude(file.filename));
+    const excludedChanges = {
+      files: excludedFiles.length,
+      additions: excludedFiles.reduce((sum, file) => sum + file.additions, 0),
+      deletions: excludedFiles.reduce((sum, file) => sum + file.deletions, 0)
+    };
+    const countedFiles = showRaw ? files : files.filter(file => !excludedFiles.includes(file));
+    return { ...pr, files, linguistRules, fileTypeStats: summarizeFileTypeStats(countedFiles, classify), excludedChanges };
+  };
+}
+
+/**
+ * Recomputes the file category statistics of analysed pull requests, e.g. after the classification rules changed
+ * or raw numbers were switched on or off. Pull requests whose files are not loaded yet are returned unchanged.
+ * @param {Object[]} pullRequests - Pull requests with `files`.
+ * @returns {Object[]} New pull request objects.
+ */
+export function reclassifyPullRequests(pullRequests) {
+  const withFileStats = createFileStatsAnalyzer();
+  return pullRequests.map(pr => (pr.files && pr.fileTypeStats ? withFileStats(pr, pr.files) : pr));
+}
+
+/**
+ * Returns the pull requests of a repository as they were last cached, with their cached file statistics.
+ * @async
+ * @param {string} apiBaseUrl - The API base URL of the connection.
+ * @param {string} org - The organization login name.
+ * @param {string} repo - The repository name.
+ * @returns {Promise<Object[]|null>} The cached pull requests or `null` if the repository was never loaded.
+ */
+export async function getCachedRepositoryPullRequests(apiBaseUrl, org, repo) {
+  const prs = await getCachedPullRequests(apiBaseUrl, org, repo);
+  if (!prs) return null;
+  const linguistRules = await getLoadedRepositoryLinguistRules(apiBaseUrl, org, repo);
+  const withFileStats = createFileStatsAnalyzer();
+  return Promise.all(prs.map(async pr => {
+    const files = await getCachedPullRequestFiles(apiBaseUrl, org, repo, pr, { allowStale: true });
+    // Pull requests loaded via GraphQL keep their reviews in the list; REST ones have them cached separately
+    const reviews = pr.reviews || await getCachedPullRequestReviews(apiBaseUrl, org, repo, pr, { allowStale: true });
+    return withFileStats({ ...pr, reviews: reviews || [] }, files || [], linguistRules);
+  }));
+}
+
+/**
+ * Stores a fetched pull request list in the cache. A list limited by `updatedSince` is merged into the
+ * cached list, so pull requests outside the range stay available for wider ranges.
+ * @async
+ * @param {import('./github-rest-client.js').GitHubConnection} connection - The API base URL and token used.
+ * @param {string} org - The organization login name.
+ * @param {string} repo - The repository name.
+ * @param {Object[]} prs - The fetched pull requests.
+ * @param {string} [updatedSince] - The bound the list was fetched with, if any.
+ * @returns {Promise<void>}
+ */
+async function cacheFetchedPullRequests(connection, org, repo, prs, updatedSince) {
+  if (!updatedSince) {
+    await cachePullRequests(connection.apiBaseUrl, org, repo, prs);
+    return;
+  }
+  const cachedPrs = await getCachedPullRequests(connection.apiBaseUrl, org, repo) || [];
+  const fetchedNumbers = new Set(prs.map(pr => pr.number));
+  const merged = prs.concat(cachedPrs.filter(pr => !fetchedNumbers.has(pr.number)));
+  merged.sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at));
+  await cachePullRequests(connection.apiBaseUrl, org, repo, merged);
+}
+
+/**
+ * Loads the files of a single pull request, from the cache when still valid or else from the API.
+ * A failed request yields an empty file list so one broken pull request does not fail the whole analysis.
+ * @async
+ * @param {string} org - The organization login name.
+ * @param {string} repo - The repository name.
+ * @param {Object} pr - The pull request object.
+ * @param {import('./github-rest-client.js').GitHubConnection} connection - The API base URL and token to use.
+ * @param {Object} options
+ * @param {FileStatsAnalyzer} options.withFileStats - The analyzer of the current load.
+ * @param {import('../utils/gitattributes.js').LinguistRule[]} [options.linguistRules] - The repository's `.gitattributes` rules.
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request.
+ * @returns {Promise<Object>} The pull request with `files` and `fileTypeStats`.
+ */
+async function loadPullRequestFileStats(org, repo, pr, connection, { withFileStats, linguistRules, signal }) {
+  const cachedFiles = await getCachedPullRequestFiles(connection.apiBaseUrl, org, repo, pr);
+  if (cachedFiles) return withFileStats(pr, cachedFiles, linguistRules);
+  try {
+    const files = await fetchPullRequestFiles(org, repo, pr.number, connection, { signal });
+    await cachePullRequestFiles(connection.apiBaseUrl, org, repo, pr, files);
+    return withFileStats(pr, files, linguistRules);
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    return withFileStats(pr, [], linguistRules);
+  }
+}
+
+/**
+ * Loads the reviews of a single pull request unless it already has them, from the cache when still valid
+ * or else from the API. Review comments are counted per review as `comment_count`, matching the GraphQL source.
+ * A failed request yields an empty review list.
+ * @async
+ * @param {string} org - The organization login name.
+ * @param {string} repo - The repository name.
+ * @param {Object} pr - The pull request object.
+ * @param {import('./github-rest-client.js').GitHubConnection} connection - The API base URL and token to use.
+ * @param {AbortSignal} [signal] - Signal to cancel the request.
+ * @returns {Promise<Object>} The pull request with `reviews`.
+ */
+async function loadPullRequestReviews(org, repo, pr, connection, signal) {
+  if (pr.reviews) return pr;
+  const cachedReviews = await getCachedPullRequestReviews(connection.apiBaseUrl, org, repo, pr);
+  if (cachedReviews) return { ...pr, reviews: cachedReviews };
+  try {
+    const [rawReviews, comments] = await Promise.all([
+      fetchPullRequestReviews(org, repo, pr.number, connection, { signal }),
+      fetchPullRequestReviewComments(org, repo, pr.number, connection, { signal })
+    ]);
+    const reviews = rawReviews.map(review => ({
+      ...review,
+      comment_count: comments.filter(comment => comment.pull_request_review_id === review.id).length
+    }));
+    await cachePullRequestReviews(connection.apiBaseUrl, org, repo, pr, reviews);
+    return { ...pr, reviews };
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    return { ...pr, reviews: [] };
+  }
+}
+
+/**
+ * Progress of a repository analysis.
+ * @typedef {Object} PullRequestAnalysisProgress
+ * @property {number} completed - Number of pull requests whose file statistics are loaded.
+ * @property {number} total - Total number of pull requests.
+ * @property {Object[]} pullRequests - All pull requests; those not yet analysed have `fileTypeStats` of `null`.
+ */
+
+/**
+ * Loads pull requests via REST: one request for the list and `/reviews`, `/comments` and `/files` requests per pull request,
+ * run through a concurrency-limited queue.
+ * @async
+ * @param {string} org - The organization login name.
+ * @param {string} repo - The repository name.
+ * @param {import('./github-rest-client.js').GitHubConnection} connection - The API base URL and token to use.
+ * @param {Object} options - See {@link loadRepositoryPullRequests}.
+ * @returns {Promise<Object[]>} The pull requests with `files` and `fileTypeStats`.
+ */
+async function loadPullRequestsViaRest(org, repo, connection, { updatedSince, concurrency, signal, onProgress, linguistRules }) {
+  // Fetch all pull requests, not just open ones
+  const prs = await fetchRepositoryPullRequests(org, repo, connection, { state: 'all', updatedSince }, { signal });
+  await cacheFetchedPullRequests(connection, org, repo, prs, updatedSince);
+  const pullRequests = prs.map(pr => ({ ...pr, files: null, fileTypeStats: null, reviews: null }));
+  onProgress?.({ completed: 0, total: prs.length, pullRequests: [...pullRequests] });
+  const withFileStats = createFileStatsAnalyzer();
+  const loadDetails = async pr => {
+    const prWithReviews = await loadPullRequestReviews(org, repo, pr, connection, signal);
+    return loadPullRequestFileStats(org, repo, prWithReviews, connection, { withFileStats, linguistRules, signal });
+  };
+  return runWithConcurrencyLimit(prs, loadDetails, {
+    concurrency,
+    signal,
+    onItemComplete: (prWithFiles, index, completed) => {
+      pullRequests[index] = prWithFiles;
+      onProgress?.({ completed, total: prs.length, pullRequests: [...pullRequests] });
+    }
+  });
+}
+
+/**
+ * Loads pull requests via GraphQL, which returns files and reviews together with the pull requests.
+ * Only pull requests with more than 100 changed files or more than 100 reviews need additional REST requests.
+ * @async
+ * @param {string} org - The organization login name.
+ * @param {string} repo - The repository name.
+ * @param {import('./github-rest-client.js').GitHubConnection} connection - The API base URL and token to use.
+ * @param {Object} options - See {@link loadRepositoryPullRequests}.
+ * @returns {Promise<Object[]>} The pull requests with `files` and `fileTypeStats`.
+ */
+async function loadPullRequestsViaGraphql(org, repo, connection, { updatedSince, concurrency, signal, onProgress, linguistRules }) {
+  let pullRequests = [];
+  let completed = 0;
+  let total = 0;
+  const withFileStats = createFileStatsAnalyzer();
+  const prs = await fetchRepositoryPullRequestsWithDetails(org, repo, connection, {
+    updatedSince,
+    signal,
+    onPage: (page, totalCount) => {
+      const analysedPage = page.map(pr => (pr.hasMoreFiles ? { ...pr, fileTypeStats: null } : withFileStats(pr, pr.files, linguistRules)));
+      pullRequests = pullRequests.concat(analysedPage);
+      completed += analysedPage.filter(pr => pr.fileTypeStats && pr.reviews).length;
+      // The total of a bounded list is unknown up front; count what has arrived instead of the repository total
+      total = updatedSince ? pullRequests.length : totalCount;
+      onProgress?.({ completed, total, pullRequests: [...pullRequests] });
+    }
+  });
+  total = prs.length;
+  await cacheFetchedPullRequests(connection, org, repo, prs, updatedSince);
+  await Promise.all(prs.filter(pr => !pr.hasMoreFiles).map(pr => cachePullRequestFiles(connection.apiBaseUrl, org, repo, pr, pr.files)));
+  const incompleteIndexes = pullRequests
+    .map((pr, index) => (pr.fileTypeStats && pr.reviews ? -1 : index))
+    .filter(index => index !== -1);
+  const loadMissingDetails = async index => {
+    const prWithReviews = await loadPullRequestReviews(org, repo, pullRequests[index], connection, signal);
+    if (!prs[index].hasMoreFiles) return prWithReviews;
+    return loadPullRequestFileStats(org, repo, prWithReviews, connection, { withFileStats, linguistRules, signal });
+  };
+  await runWithConcurrencyLimit(incompleteIndexes, loadMissingDetails, {
+    concurrency,
+    signal,
+    onItemComplete: (prWithFiles, position) => {
+      pullRequests[incompleteIndexes[position]] = prWithFiles;
+      completed++;
+      onProgress?.({ completed, total, pullRequests: [...pullRequests] });
+    }
+  });
+  return pullRequests;
+}
+
+/**
+ * Fetches the pull requests of a repository with their file statistics and refreshes the cache.
+ * File lists are loaded through a concurrency-limited queue and reported progressively.
+ * The GraphQL source is used by default; when GraphQL is unavailable (on servers without GraphQL support
+ * or for tokens missing a scope) the analysis falls back to REST. Other failures are rethrown.
+ * @async
+ * @param {string} org - The organization login name.
+ * @param {string} repo - The repository name.
+ * @param {import('./github-rest-client.js').GitHubConnection} connection - The API base URL and token to use.
+ * @param {Object} [options] - Loading options.
+ * @param {string} [options.dataSource='graphql'] - One of {@link PULL_REQUEST_DATA_SOURCES}.
+ * @param {string} [options.updatedSince] - ISO timestamp; only pull requests updated at or after it are fetched.
+ *   Pull requests created, merged or closed after it are always included.
+ * @param {number} [options.concurrency] - Maximum number of file lists fetched at the same time.
+ * @param {AbortSignal} [options.signal] - Signal to cancel the analysis.
+ * @param {(progress: PullRequestAnalysisProgress) => void} [options.onProgress] - Called whenever pull requests are analysed.
+ * @returns {Promise<Object[]>} The pull requests with `files`, `fileTypeStats` and `reviews`.
+ * @throws {Error} If the pull request list cannot be fetched or the analysis is aborted.
+ */
+export async function loadRepositoryPullRequests(org, repo, connection, options = {}) {
+  const {
+    dataSource = PULL_REQUEST_DATA_SOURCES.GRAPHQL,
+    updatedSince,
+    concurrency = DEFAULT_FILE_STATS_CONCURRENCY,
+    signal,
+    onProgress
+  } = options;
+  const linguistRules = await loadRepositoryLinguistRules(org, repo, connection, { signal });
+  if (dataSource === PULL_REQUEST_DATA_SOURCES.GRAPHQL) {
+    try {
+      return await loadPullRequestsViaGraphql(org, repo, connection, { updatedSince, concurrency, signal, onProgress, linguistRules });
+    } catch (err) {
+      if (signal?.aborted || !isGraphqlUnavailableError(err)) throw err;
+      // GraphQL is unavailable for this token or server; continue with the REST source.
+    }
+  }
+  return loadPullRequestsViaRest(org, repo, connection, { updatedSince, concurrency, signal, onProgress, linguistRules });
+}
+
+/**
+ * Pull request activity of a contributor across an organization.
+ * @typedef {Object} ContributorActivity
+ * @property {Object[]} pullRequests - Pull requests opened by the contributor, with `repository`, `files`, `fileTypeStats` and `reviews`.
+ * @property {Object[]} reviewedPullRequests - Pull requests the contributor reviewed, with `repository` and `reviews`.
+ * @property {boolean} fromCache - Whether the search API is unavailable and the activity was gathered from cached repositories.
+ */
+
+/**
+ * Gathers a contributor's pull requests from the cached pull request lists of the organization's repositories.
+ * Used when the search API is unavailable.
+ * @async
+ * @param {string} org - The organization login name.
+ * @param {string[]} logins - The contributor's logins.
+ * @param {string} apiBaseUrl - The API base URL of the connection.
+ * @returns {Promise<{ pullRequests: Object[], reviewedPullRequests: Object[] }>}
+ */
+async function getCachedContributorActivity(org, logins, apiBaseUrl) {
+  const loginSet = new Set(logins.map(login => login.toLowerCase()));
+  const isContributor = user => loginSet.has(user?.login?.toLowerCase());
+  const repositories = await getCachedOrganizationRepositories(apiBaseUrl, org) || [];
+  const pullRequests = [];
+  const reviewedPullRequests = [];
+  for (const repository of repositories) {
+    const prs = await getCachedRepositoryPullRequests(apiBaseUrl, org, repository.name) || [];
+    for (const pr of prs) {
+      const prWithRepository = { ...pr, repository: repository.name };
+      if (isContributor(pr.user)) pullRequests.push(prWithRepository);
+      if (pr.reviews.some(review => isContributor(review.user))) reviewedPullRequests.push(prWithRepository);
+    }
+  }
+  return { pullRequests, reviewedPullRequests };
+}
+
+/**
+ * Runs a search for each of a contributor's logins and merges the results. Further logins the search API
+ * rejects (HTTP 422, e.g. a person's name that is no existing account) find nothing; for the first login,
+ * which is a known account, a rejection means the search API is unavailable and is rethrown.
+ * @async
+ * @param {string[]} logins - The contributor's logins, the known account first.
+ * @param {(login: string) => Promise<Object[]>} search - Searches the pull requests of one login.
+ * @returns {Promise<Object[]>} The distinct pull requests found.
+ * @throws {Error} If a search fails otherwise.
+ */
+async function searchPullRequestsOfLogins(logins, search) {
+  const results = await Promise.all(logins.map((login, index) => search(login).catch(err => {
+    if (index > 0 && err instanceof GitHubApiError && err.status === 422) return [];
+    throw err;
+  })));
+  const pullRequests = new Map();
+  for (const pr of results.flat()) {
+    pullRequests.set(`${pr.repository}#${pr.number}`, pr);
+  }
+  return [...pullRequests.values()];
+}
+
+/**
+ * Loads the pull requests a contributor opened and reviewed across all repositories of an organization,
+ * found through the search API for every login of the contributor. Files and reviews are loaded through a concurrency-limited queue,
+ * from the cache where possible. When the search API is unavailable, cached repositories are used instead.
+ * @async
+ * @param {string} org - The organization login name.
+ * @param {string[]} logins - The contributor's logins, e.g. all logins mapped to the same person.
+ * @param {import('./github-rest-client.js').GitHubConnection} connection - The API base URL and token to use.
+ * @param {Object} [options] - Loading options.
+ * @param {string} [options.updatedSince] - ISO timestamp; only pull requests updated at or after it are searched.
+ * @param {number} [options.concurrency] - Maximum number of requests run at the same time.
+ * @param {AbortSignal} [options.signal] - Signal to cancel the analysis.
+ * @param {(progress: { completed: number, total: number }) => void} [options.onProgress] - Called whenever a pull request is loaded.
+ * @returns {Promise<ContributorActivity>}
+ * @throws {Error} If the analysis is aborted or a search fails for another reason, e.g. an exhausted rate limit.
+ */
+export async function loadContributorActivity(org, logins, connection, options = {}) {
+  const { updatedSince, concurrency = DEFAULT_FILE_STATS_CONCURRENCY, signal, onProgress } = options;
+  let authored;
+  let reviewed;
+  try {
+    [authored, reviewed] = await Promise.all([
+      searchPullRequestsOfLogins(logins, login => searchPullRequestsByAuthor(org, login, connection, { updatedSince }, { signal })),
+      searchPullRequestsOfLogins(logins, login => searchPullRequestsReviewedBy(org, login, connection, { updatedSince }, { signal }))
+    ]);
+  } catch (err) {
+    if (signal?.aborted || !isSearchUnavailableError(err)) throw err;
+    return { ...await getCachedContributorActivity(org, logins, connection.apiBaseUrl), fromCache: true };
+  }
+  const withFileStats = createFileStatsAnalyzer();
+  const tasks = [
+    ...authored.map(pr => async () => {
+      const prWithReviews = await loadPullRequestReviews(org, pr.repository, pr, connection, signal);
+      const linguistRules = await loadRepositoryLinguistRules(org, pr.repository, connection, { signal });
+      return loadPullRequestFileStats(org, pr.repository, prWithReviews, connection, { withFileStats, linguistRules, signal });
+    }),
+    ...reviewed.map(pr => () => loadPullRequestReviews(org, pr.repository, pr, connection, signal))
+  ];
+  onProgress?.({ completed: 0, total: tasks.length });
+  const results = await runWithConcurrencyLimit(tasks, task => task(), {
+    concurrency,
+    signal,
+    onItemComplete: (result, index, completed) => onProgress?.({ completed, total: tasks.length })
+  });
+  return {
+    pullRequests: results.slice(0, authored.length),
+    reviewedPullRequests: results.slice(authored.length),
+    fromCache: false
+  };
+}
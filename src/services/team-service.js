@@ -0,0 +1,111 @@
+/**
+ * Service providing the teams metrics can be rolled up by: the organization's GitHub teams, and teams
+ * defined manually in the dashboard for tokens that cannot read team membership. Manual teams are
+ * stored per organization in local storage; GitHub teams are loaded once per session and connection.
+ *
+ * @module teamService
+ */
+import { fetchOrganizationTeamsWithMembers } from './github-team-service.js';
+
+const MANUAL_TEAMS_STORAGE_KEY = 'manual-teams';
+const TEAMS_CHANGE_EVENT = 'teams-change';
+
+/** Event target used to notify listeners when manual teams are saved. */
+const teamEvents = new EventTarget();
+
+/** GitHub teams per organization, keyed by connection profile, token, API base URL and organization; values are promises while loading. */
+const githubTeamsByOrganization = new Map();
+
+/**
+ * Teams available for an organization.
+ * @typedef {Object} OrganizationTeams
+ * @property {import('./github-team-service.js').Team[]} teams - GitHub teams followed by manual teams.
+ * @property {Error|null} githubError - Why the GitHub teams could not be read, if they could not.
+ */
+
+/**
+ * Returns the manual teams of all organizations.
+ * @returns {Object<string, import('./github-team-service.js').Team[]>} Teams keyed by lower-case organization login.
+ */
+function getAllManualTeams() {
+  try {
+    const teams = JSON.parse(localStorage.getItem(MANUAL_TEAMS_STORAGE_KEY));
+    if (teams && typeof teams === 'object' && !Array.isArray(teams)) return teams;
+  } catch {
+    // Corrupt team data is replaced by no teams below.
+  }
+  return {};
+}
+
+/**
+ * Turns a team name into a slug that does not collide with GitHub team slugs.
+ * @param {string} name - The team name.
+ * @returns {string}
+ */
+function getManualTeamSlug(name) {
+  return `manual:${name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+}
+
+/**
+ * Returns the manually defined teams of an organization.
+ * @param {string} org - The organization login name.
+ * @returns {import('./github-team-service.js').Team[]}
+ */
+export function getManualTeams(org) {
+  return getAllManualTeams()[org.toLowerCase()] || [];
+}
+
+/**
+ * Saves the manually defined teams of an organization and notifies all listeners.
+ * Teams without a name are dropped, and members are trimmed and deduplicated.
+ * @param {string} org - The organization login name.
+ * @param {Array<{ name: string, members: string[] }>} teams - The teams.
+ */
+export function saveManualTeams(org, teams) {
+  const allTeams = getAllManualTeams();
+  allTeams[org.toLowerCase()] = teams
+    .filter(team => team.name.trim())
+    .map(team => ({
+      slug: getManualTeamSlug(team.name),
+      name: team.name.trim(),
+      members: [...new Set(team.members.map(member => member.trim()).filter(Boolean))],
+      manual: true
+    }));
+  localStorage.setItem(MANUAL_TEAMS_STORAGE_KEY, JSON.stringify(allTeams));
+  teamEvents.dispatchEvent(new Event(TEAMS_CHANGE_EVENT));
+}
+
+/**
+ * Registers a listener that is called whenever manual teams are saved.
+ * @param {Function} listener - Called without arguments.
+ * @returns {Function} A function that removes the listener.
+ */
+export function onTeamsChange(listener) {
+  teamEvents.addEventListener(TEAMS_CHANGE_EVENT, listener);
+  return () => teamEvents.removeEventListener(TEAMS_CHANGE_EVENT, listener);
+}
+
+/**
+ * Loads the teams of an organization. GitHub teams are fetched once per session and connection; when the token
+ * cannot read them, only the manual teams are returned together with the error, and the next call tries again.
+ * @async
+ * @param {string} org - The organization login name.
+ * @param {import('./github-rest-client.js').GitHubConnection} connection - The API base URL and token to use.
+ * @param {Object} [requestOptions] - Request options such as an abort `signal`.
+ * @returns {Promise<OrganizationTeams>}
+ */
+export async function loadOrganizationTeams(org, connection, requestOptions = {}) {
+  const key = `${connection.id || ''}|${connection.token}|${connection.apiBaseUrl.toLowerCase()}|${org.toLowerCase()}`;
+  if (!githubTeamsByOrganization.has(key)) {
+    const loading = fetchOrganizationTeamsWithMembers(org, connection, requestOptions)
+      .then(teams => ({ teams, githubError: null }))
+      .catch(err => {
+        // Let a failed or aborted request, e.g. a transient error or a missing scope, be retried by the next view
+        githubTeamsByOrganization.delete(key);
+        return { teams: [], githubError: err };
+      });
+    githubTeamsByOrganization.set(key, loading);
+  }
+  const { teams, githubError } = await githubTeamsByOrganization.get(key);
+  return { teams: [...teams, ...getManualTeams(org)], githubError };
+}
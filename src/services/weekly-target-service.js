@@ -0,0 +1,114 @@
+/**
+ * Service storing weekly targets per repository and per team in local storage: PRs per week,
+ * merged lines per week and reviews per week. A team's targets take precedence over the
+ * repository's when a team is selected.
+ *
+ * @module weeklyTargetService
+ */
+import { TARGET_METRICS } from '../utils/weekly-targets.js';
+
+const TARGETS_STORAGE_KEY = 'weekly-targets';
+const TARGETS_CHANGE_EVENT = 'targets-change';
+
+/** Event target used to notify listeners when targets are saved. */
+const targetEvents = new EventTarget();
+
+/**
+ * Weekly targets; a metric without a target is `null`.
+ * @typedef {Object} WeeklyTargets
+ * @property {number|null} pullRequests - PRs opened per week.
+ * @property {number|null} mergedLines - Lines changed in merged PRs per week.
+ * @property {number|null} reviews - Reviews given per week.
+ */
+
+/**
+ * Returns weekly targets without any target set.
+ * @returns {WeeklyTargets}
+ */
+function getEmptyTargets() {
+  return Object.fromEntries(Object.values(TARGET_METRICS).map(metric => [metric, null]));
+}
+
+/**
+ * Returns the targets of all scopes.
+ * @returns {Object<string, WeeklyTargets>}
+ */
+function getAllTargets() {
+  try {
+    const targets = JSON.parse(localStorage.getItem(TARGETS_STORAGE_KEY));
+    if (targets && typeof targets === 'object' && !Array.isArray(targets)) return targets;
+  } catch {
+    // Corrupt targets are replaced by no targets below.
+  }
+  return {};
+}
+
+/**
+ * Returns the key targets of a repository are stored under.
+ * @param {string} org - The organization login name.
+ * @param {string} repo - The repository name.
+ * @returns {string}
+ */
+export function getRepositoryTargetScope(org, repo) {
+  return `repo:${org}/${repo}`.toLowerCase();
+}
+
+/**
+ * Returns the key targets of a team are stored under.
+ * @param {string} org - The organization login name.
+ * @param {string} teamSlug - The team slug.
+ * @returns {string}
+ */
+export function getTeamTargetScope(org, teamSlug) {
+  return `team:${org}/${teamSlug}`.toLowerCase();
+}
+
+/**
+ * Returns the targets saved for a scope.
+ * @param {string} scope - A repository or team scope.
+ * @returns {WeeklyTargets}
+ */
+export function getWeeklyTargets(scope) {
+  return { ...getEmptyTargets(), ...getAllTargets()[scope] };
+}
+
+/**
+ * Returns the targets that apply when several scopes are selected: for every metric, the target of
+ * the first scope that has one.
+ * @param {...string} scopes - Scopes in order of precedence, e.g. a team before its repository.
+ * @returns {WeeklyTargets}
+ */
+export function getEffectiveWeeklyTargets(...scopes) {
+  const targets = getEmptyTargets();
+  for (const scope of [...scopes].reverse()) {
+    for (const [metric, target] of Object.entries(getWeeklyTargets(scope))) {
+      if (target !== null) targets[metric] = target;
+    }
+  }
+  return targets;
+}
+
+/**
+ * Saves the targets of a scope and notifies all listeners. Targets that are not positive numbers are cleared.
+ * @param {string} scope - A repository or team scope.
+ * @param {WeeklyTargets} targets - The targets.
+ */
+export function saveWeeklyTargets(scope, targets) {
+  const allTargets = getAllTargets();
+  allTargets[scope] = Object.fromEntries(Object.values(TARGET_METRICS).map(metric => {
+    const target = Number(targets[metric]);
+    return [metric, targets[metric] !== null && targets[metric] !== '' && target > 0 ? target : null];
+  }));
+  localStorage.setItem(TARGETS_STORAGE_KEY, JSON.stringify(allTargets));
+  targetEvents.dispatchEvent(new Event(TARGETS_CHANGE_EVENT));
+}
+
+/**
+ * Registers a listener that is called whenever targets are saved.
+ * @param {Function} listener - Called without arguments.
+ * @returns {Function} A function that removes the listener.
+ */
+export function onWeeklyTargetsChange(listener) {
+  targetEvents.addEventListener(TARGETS_CHANGE_EVENT, listener);
+  return () => targetEvents.removeEventListener(TARGETS_CHANGE_EVENT, listener);
+}
@@ -0,0 +1,48 @@
+/**
+ * Utility for processing many asynchronous tasks with a bounded number running at the same time.
+ *
+ * @module concurrencyLimitedQueue
+ */
+
+/**
+ * Runs an async worker over all items while never running more than `concurrency` workers at once.
+ * Results keep the order of the input items. Once the signal is aborted no new items are started
+ * and the returned promise rejects with the abort reason. Likewise, once a worker fails no new items are started
+ * and the returned promise rejects with its error.
+ * @async
+ * @template T, R
+ * @param {T[]} items - The items to process.
+ * @param {(item: T, index: number) => Promise<R>} worker - Async function processing a single item.
+ * @param {Object} [options] - Queue options.
+ * @param {number} [options.concurrency=6] - Maximum number of workers running at the same time.
+ * @param {AbortSignal} [options.signal] - Signal to cancel the remaining items.
+ * @param {(result: R, index: number, completedCount: number) => void} [options.onItemComplete] - Called after each item finishes.
+ * @returns {Promise<R[]>} The results of all items.
+ */
+export async function runWithConcurrencyLimit(items, worker, { concurrency = 6, signal, onItemComplete } = {}) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let completedCount = 0;
+  let failed = false;
+
+  async function runNextItems() {
+    while (nextIndex < items.length && !failed) {
+      signal?.throwIfAborted();
+      const index = nextIndex++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+      if (failed) return;
+      signal?.throwIfAborted();
+      completedCount++;
+      onItemComplete?.(results[index], index, completedCount);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runNextItems));
+  return results;
+}
@@ -0,0 +1,160 @@
+/**
+ * Utility for pull request lead-time metrics: time to first review, time to merge and total cycle time,
+ * summarized as median, 75th and 90th percentile per contributor and per period such as a week.
+ * Durations are in milliseconds.
+ *
+ * @module cycleTime
+ */
+
+/**
+ * The lead-time metrics, in the order they are shown.
+ * @enum {string}
+ */
+export const CYCLE_TIME_METRICS = {
+  TIME_TO_FIRST_REVIEW: 'timeToFirstReview',
+  TIME_TO_MERGE: 'timeToMerge',
+  CYCLE_TIME: 'cycleTime'
+};
+
+/** Display names of the lead-time metrics. */
+export const CYCLE_TIME_METRIC_LABELS = {
+  [CYCLE_TIME_METRICS.TIME_TO_FIRST_REVIEW]: 'Time to first review',
+  [CYCLE_TIME_METRICS.TIME_TO_MERGE]: 'Time to merge',
+  [CYCLE_TIME_METRICS.CYCLE_TIME]: 'Cycle time'
+};
+
+/**
+ * Summary of a set of durations.
+ * @typedef {Object} DurationSummary
+ * @property {number} count - Number of durations.
+ * @property {number|null} median - The median, `null` without durations.
+ * @property {number|null} p75 - The 75th percentile, `null` without durations.
+ * @property {number|null} p90 - The 90th percentile, `null` without durations.
+ */
+
+/**
+ * Returns the time of the first review submitted by someone other than the author.
+ * Pending reviews are not submitted yet and are ignored.
+ * @param {Object} pr - The pull request object with `reviews`.
+ * @returns {string|null} The ISO timestamp, or `null` if the pull request was not reviewed.
+ */
+export function getFirstReviewAt(pr) {
+  const authorLogin = pr.user?.login;
+  const times = (pr.reviews || [])
+    .filter(review => review.submitted_at && review.state !== 'PENDING' && review.user?.login !== authorLogin)
+    .map(review => review.submitted_at)
+    .sort();
+  return times[0] || null;
+}
+
+/**
+ * Returns the end time of every lead-time metric of a pull request, or `null` where it does not apply.
+ * Cycle time ends when the pull request is merged or, if abandoned, closed.
+ * @param {Object} pr - The pull request object.
+ * @returns {{ timeToFirstReview: string|null, timeToMerge: string|null, cycleTime: string|null }}
+ */
+function getMetricEndTimes(pr) {
+  return {
+    [CYCLE_TIME_METRICS.TIME_TO_FIRST_REVIEW]: getFirstReviewAt(pr),
+    [CYCLE_TIME_METRICS.TIME_TO_MERGE]: pr.merged_at || null,
+    [CYCLE_TIME_METRICS.CYCLE_TIME]: pr.merged_at || pr.closed_at || null
+  };
+}
+
+/**
+ * Returns the lead-time durations of a pull request, measured from its creation.
+ * @param {Object} pr - The pull request object.
+ * @returns {{ timeToFirstReview: number|null, timeToMerge: number|null, cycleTime: number|null }}
+ */
+export function getPullRequestDurations(pr) {
+  const created = Date.parse(pr.created_at);
+  const endTimes = getMetricEndTimes(pr);
+  return Object.fromEntries(Object.values(CYCLE_TIME_METRICS).map(metric => [
+    metric,
+    endTimes[metric] ? Math.max(0, Date.parse(endTimes[metric]) - created) : null
+  ]));
+}
+
+/**
+ * Returns a percentile of sorted values using the nearest-rank method.
+ * @param {number[]} sortedValues - Values in ascending order.
+ * @param {number} percentile - The percentile between 0 and 100.
+ * @returns {number|null} The value, or `null` for an empty list.
+ */
+export function getPercentile(sortedValues, percentile) {
+  if (!sortedValues.length) return null;
+  const rank = Math.ceil((percentile / 100) * sortedValues.length);
+  return sortedValues[Math.min(Math.max(rank, 1), sortedValues.length) - 1];
+}
+
+/**
+ * Summarizes durations as median, 75th and 90th percentile.
+ * @param {number[]} durations
+ * @returns {DurationSummary}
+ */
+export function summarizeDurations(durations) {
+  const sorted = [...durations].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    median: getPercentile(sorted, 50),
+    p75: getPercentile(sorted, 75),
+    p90: getPercentile(sorted, 90)
+  };
+}
+
+/**
+ * Summarizes every lead-time metric over a set of pull requests.
+ * @param {Object[]} pullRequests
+ * @returns {{ timeToFirstReview: DurationSummary, timeToMerge: DurationSummary, cycleTime: DurationSummary }}
+ */
+export function getCycleTimeSummary(pullRequests) {
+  const durations = pullRequests.map(getPullRequestDurations);
+  return Object.fromEntries(Object.values(CYCLE_TIME_METRICS).map(metric => [
+    metric,
+    summarizeDurations(durations.map(duration => duration[metric]).filter(duration => duration !== null))
+  ]));
+}
+
+/**
+ * Summarizes every lead-time metric per period, e.g. per week. A duration counts towards the period in which it ended,
+ * e.g. the time to merge towards the week of the merge, so recent periods are not biased towards fast pull requests.
+ * @param {Object[]} pullRequests
+ * @param {(date: Date) => string} getPeriodKey - Returns the sortable period key (e.g. `2025-W01`) of a date.
+ * @returns {Array<{ period: string, timeToFirstReview: DurationSummary, timeToMerge: DurationSummary, cycleTime: DurationSummary }>}
+ *   Periods with at least one ended duration, in ascending order.
+ */
+export function getCycleTimeSummaryByPeriod(pullRequests, getPeriodKey) {
+  const durationsByPeriod = {};
+  for (const pr of pullRequests) {
+    const durations = getPullRequestDurations(pr);
+    const endTimes = getMetricEndTimes(pr);
+    for (const metric of Object.values(CYCLE_TIME_METRICS)) {
+      if (durations[metric] === null) continue;
+      const period = getPeriodKey(new Date(endTimes[metric]));
+      if (!durationsByPeriod[period]) {
+        durationsByPeriod[period] = Object.fromEntries(Object.values(CYCLE_TIME_METRICS).map(key => [key, []]));
+      }
+      durationsByPeriod[period][metric].push(durations[metric]);
+    }
+  }
+  return Object.keys(durationsByPeriod).sort().map(period => ({
+    period,
+    ...Object.fromEntries(Object.values(CYCLE_TIME_METRICS).map(metric => [
+      metric,
+      summarizeDurations(durationsByPeriod[period][metric])
+    ]))
+  }));
+}
+
+/**
+ * Formats a duration compactly, e.g. `45m`, `5.2h` or `3.1d`.
+ * @param {number|null} duration - The duration in milliseconds.
+ * @returns {string}
+ */
+export function formatDuration(duration) {
+  if (duration === null || duration === undefined) return '–';
+  const hours = duration / 3600000;
+  if (hours < 1) return `${Math.round(duration / 60000)}m`;
+  if (hours < 48) return `${hours.toFixed(1)}h`;
+  return `${(hours / 24).toFixed(1)}d`;
+}
@@ -0,0 +1,123 @@
+/**
+ * Utility for date ranges used to limit the analysed pull requests.
+ * Dates are calendar days in UTC (`YYYY-MM-DD`); both bounds are inclusive and either may be empty for no limit.
+ *
+ * @module dateRange
+ */
+
+/**
+ * Which pull request date a range is applied to.
+ * @enum {string}
+ */
+export const DATE_RANGE_BASES = {
+  CREATED: 'created',
+  MERGED: 'merged',
+  CLOSED: 'closed'
+};
+
+/**
+ * Predefined date ranges, in the order they are offered to the user.
+ * @enum {string}
+ */
+export const DATE_RANGE_PRESETS = {
+  ALL_TIME: 'all-time',
+  LAST_30_DAYS: 'last-30-days',
+  LAST_90_DAYS: 'last-90-days',
+  THIS_QUARTER: 'this-quarter',
+  CUSTOM: 'custom'
+};
+
+/**
+ * A date range.
+ * @typedef {Object} DateRange
+ * @property {string} from - First day of the range (YYYY-MM-DD), empty for no lower bound.
+ * @property {string} to - Last day of the range (YYYY-MM-DD), empty for no upper bound.
+ * @property {string} [basis='created'] - One of {@link DATE_RANGE_BASES}.
+ */
+
+const MILLISECONDS_PER_DAY = 86400000;
+
+/**
+ * Formats a date as a UTC calendar day.
+ * @param {Date} date
+ * @returns {string} The day as `YYYY-MM-DD`.
+ */
+export function toIsoDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Returns the range of a preset relative to a reference day. Presets end today.
+ * @param {string} preset - One of {@link DATE_RANGE_PRESETS}; `custom` yields an empty range.
+ * @param {Date} [now=new Date()] - The reference day.
+ * @returns {{ from: string, to: string }}
+ */
+export function getPresetDateRange(preset, now = new Date()) {
+  const today = toIsoDay(now);
+  switch (preset) {
+    case DATE_RANGE_PRESETS.LAST_30_DAYS:
+      return { from: toIsoDay(new Date(now.getTime() - 29 * MILLISECONDS_PER_DAY)), to: today };
+    case DATE_RANGE_PRESETS.LAST_90_DAYS:
+      return { from: toIsoDay(new Date(now.getTime() - 89 * MILLISECONDS_PER_DAY)), to: today };
+    case DATE_RANGE_PRESETS.THIS_QUARTER: {
+      const quarterStartMonth = Math.floor(now.getUTCMonth() / 3) * 3;
+      return { from: toIsoDay(new Date(Date.UTC(now.getUTCFullYear(), quarterStartMonth, 1))), to: today };
+    }
+    default:
+      return { from: '', to: '' };
+  }
+}
+
+/**
+ * Returns the preset that produces the given range today, or `custom` if none does.
+ * @param {{ from: string, to: string }} range
+ * @param {Date} [now=new Date()] - The reference day.
+ * @returns {string} One of {@link DATE_RANGE_PRESETS}.
+ */
+export function detectDateRangePreset({ from, to }, now = new Date()) {
+  const preset = Object.values(DATE_RANGE_PRESETS).find(candidate => {
+    if (candidate === DATE_RANGE_PRESETS.CUSTOM) return false;
+    const range = getPresetDateRange(candidate, now);
+    return range.from === (from || '') && range.to === (to || '');
+  });
+  return preset || DATE_RANGE_PRESETS.CUSTOM;
+}
+
+/**
+ * Returns the timestamp of the first moment of the range's lower bound.
+ * Every pull request created, merged or closed within the range was updated at or after it,
+ * so it can be used as an `updated since` bound for API requests.
+ * @param {DateRange} range
+ * @returns {string} An ISO timestamp, or an empty string without a lower bound.
+ */
+export function getDateRangeStart({ from }) {
+  return from ? `${from}T00:00:00Z` : '';
+}
+
+/**
+ * Returns whether a pull request falls into a date range.
+ * For the merged and closed bases, pull requests that were not merged or closed never match a bounded range.
+ * @param {Object} pr - The pull request object.
+ * @param {DateRange} range
+ * @returns {boolean}
+ */
+export function isPullRequestInDateRange(pr, { from, to, basis = DATE_RANGE_BASES.CREATED }) {
+  if (!from && !to) return true;
+  const timestamp = pr[`${basis}_at`];
+  if (!timestamp) return false;
+  const time = Date.parse(timestamp);
+  if (from && time < Date.parse(`${from}T00:00:00Z`)) return false;
+  if (to && time > Date.parse(`${to}T23:59:59.999Z`)) return false;
+  return true;
+}
+
+/**
+ * Returns the pull requests that fall into a date range.
+ * @param {Object[]} pullRequests
+ * @param {DateRange} range
+ * @returns {Object[]}
+ */
+export function filterPullRequestsByDateRange(pullRequests, range) {
+  if (!range.from && !range.to) return pullRequests;
+  return pullRequests.filter(pr => isPullRequestInDateRange(pr, range));
+}
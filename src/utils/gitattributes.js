@@ -0,0 +1,78 @@
+/**
+ * Utility for reading the GitHub Linguist attributes `linguist-generated` and `linguist-vendored`
+ * from a `.gitattributes` file and applying them to file paths.
+ *
+ * @module gitattributes
+ */
+import { globToRegExp } from './glob-pattern.js';
+
+/**
+ * Linguist attributes of the paths matching one `.gitattributes` line.
+ * @typedef {Object} LinguistRule
+ * @property {string} pattern - The path glob, relative to the repository root.
+ * @property {boolean} [generated] - Value of `linguist-generated`, if the line sets it.
+ * @property {boolean} [vendored] - Value of `linguist-vendored`, if the line sets it.
+ */
+
+/**
+ * Reads the value of a boolean attribute from the attributes of a `.gitattributes` line.
+ * @param {string[]} attributes - e.g. `['linguist-generated', '-diff']`.
+ * @param {string} name - The attribute name.
+ * @returns {boolean|undefined} `undefined` if the line does not mention the attribute.
+ */
+function getBooleanAttribute(attributes, name) {
+  for (const attribute of attributes) {
+    if (attribute === name || attribute === `${name}=true`) return true;
+    if (attribute === `-${name}` || attribute === `!${name}` || attribute === `${name}=false`) return false;
+  }
+  return undefined;
+}
+
+/**
+ * Converts a `.gitattributes` pattern into a glob relative to the repository root. Like in git,
+ * a pattern without a slash matches the file name in any directory.
+ * @param {string} pattern
+ * @returns {string}
+ */
+function toRootGlob(pattern) {
+  if (pattern.startsWith('/')) return pattern.slice(1);
+  const trimmed = pattern.replace(/\/$/, '');
+  return trimmed.includes('/') ? trimmed : `**/${trimmed}`;
+}
+
+/**
+ * Parses the Linguist rules of a `.gitattributes` file. Lines without Linguist attributes are skipped.
+ * @param {string} text - The file content.
+ * @returns {LinguistRule[]} The rules in file order; later rules override earlier ones.
+ */
+export function parseLinguistRules(text) {
+  const rules = [];
+  for (const line of (text || '').split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+    const [pattern, ...attributes] = trimmed.split(/\s+/);
+    const generated = getBooleanAttribute(attributes, 'linguist-generated');
+    const vendored = getBooleanAttribute(attributes, 'linguist-vendored');
+    if (generated === undefined && vendored === undefined) continue;
+    rules.push({ pattern: toRootGlob(pattern), generated, vendored });
+  }
+  return rules;
+}
+
+/**
+ * Creates a function returning the Linguist attributes of a path; the last matching rule wins per attribute.
+ * @param {LinguistRule[]} rules
+ * @returns {function(string): { generated?: boolean, vendored?: boolean }}
+ */
+export function createLinguistMatcher(rules) {
+  const compiled = rules.map(rule => ({ ...rule, regExp: globToRegExp(rule.pattern) }));
+  return path => {
+    const attributes = {};
+    for (const { regExp, generated, vendored } of compiled) {
+      if (!regExp.test(path)) continue;
+      if (generated !== undefined) attributes.generated = generated;
+      if (vendored !== undefined) attributes.vendored = vendored;
+    }
+    return attributes;
+  };
+}
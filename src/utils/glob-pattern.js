@@ -0,0 +1,35 @@
+/**
+ * Utility for matching file paths against glob patterns such as `.github/workflows/**` or `dist/*.min.js`.
+ * `**` matches any number of directories, `*` any characters within a path segment and `?` one character.
+ *
+ * @module globPattern
+ */
+
+/**
+ * Converts a glob pattern into a regular expression matching whole paths.
+ * @param {string} pattern - The glob pattern; paths use `/` as separator.
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // `**/` also matches no directory at all, so `**/test/**` matches `test/a.js`
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
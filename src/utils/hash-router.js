@@ -0,0 +1,145 @@
+/**
+ * Utility for hash-based routing, so the selected organization, repository, contributor and date range
+ * are part of the URL (e.g. `#/org/acme/repo/api/contributor/jdoe?from=2025-01-01`),
+ * survive a page refresh, can be shared as links and work with the browser back and forward buttons.
+ *
+ * @module hashRouter
+ */
+
+/**
+ * Path segments of a route, in URL order. Each is followed by its value in the hash.
+ * @type {Array<[string, string]>} Pairs of [URL segment, route property].
+ */
+const ROUTE_PATH_SEGMENTS = [
+  ['org', 'org'],
+  ['repo', 'repo'],
+  ['contributor', 'contributor']
+];
+
+/**
+ * Views that can follow the path segments, e.g. `#/org/acme/overview`.
+ * @type {string[]}
+ */
+const ROUTE_VIEWS = ['overview'];
+
+/**
+ * Query parameters of a route.
+ * @type {Array<[string, string]>} Pairs of [query parameter, route property].
+ */
+const ROUTE_QUERY_PARAMETERS = [
+  ['from', 'from'],
+  ['to', 'to'],
+  ['basis', 'basis']
+];
+
+/**
+ * The application state stored in the URL. Missing values are empty strings.
+ * @typedef {Object} Route
+ * @property {string} org - The selected organization login.
+ * @property {string} repo - The selected repository name.
+ * @property {string} contributor - The selected contributor login.
+ * @property {string} view - An optional view of the selection, e.g. 'overview'.
+ * @property {string} from - Start of the date range (YYYY-MM-DD).
+ * @property {string} to - End of the date range (YYYY-MM-DD).
+ * @property {string} basis - Which pull request date the range applies to ('created', 'merged' or 'closed').
+ */
+
+/**
+ * Decodes a percent-encoded path segment. Malformed encodings, e.g. in a truncated shared link, are kept as they are.
+ * @param {string} segment - The encoded segment.
+ * @returns {string}
+ */
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+/**
+ * Parses a location hash into a route.
+ * @param {string} hash - The location hash, e.g. `#/org/acme/repo/api?from=2025-01-01` or `#/org/acme/overview`.
+ * @returns {Route}
+ */
+export function parseRoute(hash) {
+  const [path, query = ''] = hash.replace(/^#/, '').split('?');
+  const segments = path.split('/').filter(Boolean).map(decodePathSegment);
+  const route = { org: '', repo: '', contributor: '', view: '', from: '', to: '', basis: '' };
+  for (let index = 0; index < segments.length - 1; index += 2) {
+    const pathSegment = ROUTE_PATH_SEGMENTS.find(([segment]) => segment === segments[index]);
+    if (pathSegment) {
+      route[pathSegment[1]] = segments[index + 1];
+    }
+  }
+  // An odd number of segments ends with a view
+  if (segments.length % 2 === 1 && ROUTE_VIEWS.includes(segments[segments.length - 1])) {
+    route.view = segments[segments.length - 1];
+  }
+  const params = new URLSearchParams(query);
+  for (const [parameter, property] of ROUTE_QUERY_PARAMETERS) {
+    route[property] = params.get(parameter) || '';
+  }
+  return route;
+}
+
+/**
+ * Builds the location hash for a route. Missing values are left out, so a contributor without
+ * a repository (`#/org/acme/contributor/jdoe`) addresses the contributor across the organization.
+ * @param {Partial<Route>} route - The route to build.
+ * @returns {string} The hash, e.g. `#/org/acme/repo/api`.
+ */
+export function buildRouteHash(route) {
+  let path = '';
+  for (const [segment, property] of ROUTE_PATH_SEGMENTS) {
+    if (!route[property]) continue;
+    path += `/${segment}/${encodeURIComponent(route[property])}`;
+  }
+  if (route.view) {
+    path += `/${route.view}`;
+  }
+  const params = new URLSearchParams();
+  for (const [parameter, property] of ROUTE_QUERY_PARAMETERS) {
+    if (route[property]) params.set(parameter, route[property]);
+  }
+  const query = params.toString();
+  return `#${path || '/'}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Returns the route of the current location.
+ * @returns {Route}
+ */
+export function getCurrentRoute() {
+  return parseRoute(window.location.hash);
+}
+
+/**
+ * Navigates to a route, adding a browser history entry unless `replace` is set.
+ * Route listeners are notified in both cases.
+ * @param {Partial<Route>} route - The route to navigate to.
+ * @param {Object} [options] - Navigation options.
+ * @param {boolean} [options.replace=false] - Replace the current history entry instead of adding one.
+ */
+export function navigateTo(route, { replace = false } = {}) {
+  const hash = buildRouteHash(route);
+  if (hash === window.location.hash) return;
+  if (replace) {
+    history.replaceState(null, '', hash);
+    window.dispatchEvent(new HashChangeEvent('hashchange'));
+  } else {
+    window.location.hash = hash;
+  }
+}
+
+/**
+ * Registers a listener that is called with the new route whenever the location hash changes,
+ * including browser back and forward navigation.
+ * @param {(route: Route) => void} listener - Receives the new route.
+ * @returns {() => void} Function that removes the listener.
+ */
+export function onRouteChange(listener) {
+  const handleHashChange = () => listener(getCurrentRoute());
+  window.addEventListener('hashchange', handleHashChange);
+  return () => window.removeEventListener('hashchange', handleHashChange);
+}
@@ -0,0 +1,67 @@
+/**
+ * Utility for aggregating pull request activity across the repositories of an organization:
+ * pull request and merge counts, active contributors and line changes per file category.
+ *
+ * @module organizationAnalytics
+ */
+import { getPullRequestState, PULL_REQUEST_STATES } from './pull-request-state.js';
+
+/**
+ * Pull request activity of a repository or an organization.
+ * @typedef {Object} ActivitySummary
+ * @property {number} pullRequests - Number of pull requests.
+ * @property {number} merged - Number of merged pull requests.
+ * @property {string[]} contributors - Logins of the pull request authors, sorted.
+ * @property {Object} fileTypeStats - { [category]: { count, additions, deletions } }
+ */
+
+/**
+ * Adds file category statistics into a running total.
+ * @param {Object} total - The statistics to add to; modified in place.
+ * @param {Object} fileTypeStats - { [category]: { count, additions, deletions } }
+ */
+function addFileTypeStats(total, fileTypeStats) {
+  for (const [category, stats] of Object.entries(fileTypeStats || {})) {
+    if (!total[category]) total[category] = { count: 0, additions: 0, deletions: 0 };
+    total[category].count += stats.count;
+    total[category].additions += stats.additions;
+    total[category].deletions += stats.deletions;
+  }
+}
+
+/**
+ * Summarizes the pull requests of a repository.
+ * @param {Object[]} pullRequests - The pull requests, with `fileTypeStats` where analysed.
+ * @returns {ActivitySummary}
+ */
+export function summarizeRepositoryActivity(pullRequests) {
+  const contributors = new Set();
+  const fileTypeStats = {};
+  let merged = 0;
+  for (const pr of pullRequests) {
+    contributors.add(pr.user?.login || 'unknown');
+    if (getPullRequestState(pr) === PULL_REQUEST_STATES.MERGED) merged++;
+    addFileTypeStats(fileTypeStats, pr.fileTypeStats);
+  }
+  return { pullRequests: pullRequests.length, merged, contributors: [...contributors].sort(), fileTypeStats };
+}
+
+/**
+ * Combines repository summaries into an organization summary. Contributors active in several
+ * repositories are counted once.
+ * @param {ActivitySummary[]} summaries
+ * @returns {ActivitySummary}
+ */
+export function aggregateActivitySummaries(summaries) {
+  const contributors = new Set();
+  const fileTypeStats = {};
+  let pullRequests = 0;
+  let merged = 0;
+  for (const summary of summaries) {
+    pullRequests += summary.pullRequests;
+    merged += summary.merged;
+    summary.contributors.forEach(contributor => contributors.add(contributor));
+    addFileTypeStats(fileTypeStats, summary.fileTypeStats);
+  }
+  return { pullRequests, merged, contributors: [...contributors].sort(), fileTypeStats };
+}
@@ -0,0 +1,178 @@
+/**
+ * Utility for exporting the analysed pull request data as CSV, JSON or a multi-sheet XLSX workbook:
+ * one row per pull request, the PR counts per contributor and week (or the chart's other period) and the file category
+ * totals per contributor.
+ *
+ * @module pullRequestExport
+ */
+import { getPullRequestState } from './pull-request-state.js';
+import { getPullRequestLineTotals } from './pull-request-lines.js';
+import { createXlsxWorkbook } from './xlsx-workbook.js';
+import { TIME_GRANULARITIES, TIME_GRANULARITY_LABELS } from './time-periods.js';
+
+/** Supported export formats. */
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json',
+  XLSX: 'xlsx'
+};
+
+/** The exported tables; CSV exports one table per file, XLSX one sheet per table. */
+export const EXPORT_TABLES = {
+  PULL_REQUESTS: 'pullRequests',
+  PERIOD_COUNTS: 'periodCounts',
+  FILE_TYPE_TOTALS: 'fileTypeTotals'
+};
+
+/** Display names of the exported tables, used for sheet names and buttons. */
+export const EXPORT_TABLE_LABELS = {
+  [EXPORT_TABLES.PULL_REQUESTS]: 'Pull requests',
+  [EXPORT_TABLES.PERIOD_COUNTS]: 'PR counts per period',
+  [EXPORT_TABLES.FILE_TYPE_TOTALS]: 'File category totals'
+};
+
+/**
+ * The data behind the pull request charts.
+ * @typedef {Object} PullRequestExportData
+ * @property {Object[]} pullRequests - The pull requests with `fileTypeStats`.
+ * @property {Object} periodCounts - `{ [user]: Array<{ period, count }> }` as returned by `countPullRequestsByUserPerPeriod`.
+ * @property {string} [granularity='week'] - The period size of `periodCounts`, see {@link TIME_GRANULARITIES}.
+ * @property {Object} fileTypeTotals - `{ [user]: { [category]: { additions, deletions, count } } }`.
+ */
+
+/**
+ * Builds the export tables: a header row followed by one row per pull request, contributor period
+ * or contributor file category. The period column is named after the granularity, e.g. `Month`.
+ * Pull request rows have an additions and deletions column per file category.
+ * @param {PullRequestExportData} data
+ * @returns {Object} `{ [table]: Array<Array<string|number|null>> }`, keyed by {@link EXPORT_TABLES}.
+ */
+export function buildExportTables({ pullRequests, periodCounts, granularity = TIME_GRANULARITIES.WEEK, fileTypeTotals }) {
+  const categories = [...new Set(pullRequests.flatMap(pr => Object.keys(pr.fileTypeStats || {})))].sort();
+  const pullRequestRows = [[
+    'Number', 'Title', 'Author', 'State', 'Created', 'Merged', 'Closed', 'Additions', 'Deletions',
+    ...categories.flatMap(category => [`${category} additions`, `${category} deletions`])
+  ]];
+  for (const pr of pullRequests) {
+    const { additions, deletions } = getPullRequestLineTotals(pr);
+    pullRequestRows.push([
+      pr.number,
+      pr.title,
+      pr.user?.login || 'unknown',
+      getPullRequestState(pr),
+      pr.created_at,
+      pr.merged_at,
+      pr.closed_at,
+      additions,
+      deletions,
+      ...categories.flatMap(category => [
+        pr.fileTypeStats?.[category]?.additions ?? 0,
+        pr.fileTypeStats?.[category]?.deletions ?? 0
+      ])
+    ]);
+  }
+
+  const periodRows = [['Contributor', TIME_GRANULARITY_LABELS[granularity], 'PRs']];
+  for (const user of Object.keys(periodCounts).sort()) {
+    for (const { period, count } of periodCounts[user]) {
+      periodRows.push([user, period, count]);
+    }
+  }
+
+  const fileTypeRows = [['Contributor', 'File category', 'Files', 'Additions', 'Deletions']];
+  for (const user of Object.keys(fileTypeTotals).sort()) {
+    for (const category of Object.keys(fileTypeTotals[user]).sort()) {
+      const { count, additions, deletions } = fileTypeTotals[user][category];
+      fileTypeRows.push([user, category, count, additions, deletions]);
+    }
+  }
+
+  return {
+    [EXPORT_TABLES.PULL_REQUESTS]: pullRequestRows,
+    [EXPORT_TABLES.PERIOD_COUNTS]: periodRows,
+    [EXPORT_TABLES.FILE_TYPE_TOTALS]: fileTypeRows
+  };
+}
+
+/** Leading characters that make spreadsheet applications evaluate a cell as a formula. */
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+
+/**
+ * Converts rows to CSV (RFC 4180), quoting values that contain separators, quotes or line breaks.
+ * Text cells starting like a formula, e.g. a PR title `=HYPERLINK(...)`, are prefixed with `'`
+ * so spreadsheet applications show them as text instead of running them.
+ * @param {Array<Array<string|number|null>>} rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  return rows.map(row => row.map(value => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX_PATTERN.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',')).join('\r\n');
+}
+
+/**
+ * Converts the export data to JSON, keeping the period counts and file type totals grouped by contributor.
+ * @param {PullRequestExportData} data
+ * @returns {string}
+ */
+export function toJson({ pullRequests, periodCounts, granularity = TIME_GRANULARITIES.WEEK, fileTypeTotals }) {
+  return JSON.stringify({
+    pullRequests: pullRequests.map(pr => ({
+      number: pr.number,
+      title: pr.title,
+      author: pr.user?.login || 'unknown',
+      state: getPullRequestState(pr),
+      createdAt: pr.created_at,
+      mergedAt: pr.merged_at || null,
+      closedAt: pr.closed_at || null,
+      ...getPullRequestLineTotals(pr),
+      fileTypeStats: pr.fileTypeStats || {}
+    })),
+    granularity,
+    periodCounts,
+    fileTypeTotals
+  }, null, 2);
+}
+
+/**
+ * Lets the browser download a file.
+ * @param {Blob} blob - The file content.
+ * @param {string} fileName - The suggested file name.
+ */
+export function downloadFile(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke later, some browsers start the download asynchronously
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Downloads the export data in the given format.
+ * @param {PullRequestExportData} data
+ * @param {string} format - One of {@link EXPORT_FORMATS}.
+ * @param {string} baseName - File name without extension.
+ * @param {string} [table] - For CSV, which of {@link EXPORT_TABLES} to export; defaults to the pull requests.
+ */
+export function exportPullRequestData(data, format, baseName, table = EXPORT_TABLES.PULL_REQUESTS) {
+  const fileName = baseName.replace(/[^\w.-]+/g, '-');
+  if (format === EXPORT_FORMATS.JSON) {
+    downloadFile(new Blob([toJson(data)], { type: 'application/json' }), `${fileName}.json`);
+    return;
+  }
+  const tables = buildExportTables(data);
+  if (format === EXPORT_FORMATS.XLSX) {
+    const sheets = Object.keys(tables).map(key => ({ name: EXPORT_TABLE_LABELS[key], rows: tables[key] }));
+    downloadFile(createXlsxWorkbook(sheets), `${fileName}.xlsx`);
+    return;
+  }
+  const tableName = EXPORT_TABLE_LABELS[table].toLowerCase().replace(/ /g, '-');
+  // Byte order mark, so spreadsheet applications detect UTF-8
+  downloadFile(new Blob(['\uFEFF', toCsv(tables[table])], { type: 'text/csv' }), `${fileName}-${tableName}.csv`);
+}
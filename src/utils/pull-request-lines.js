@@ -0,0 +1,21 @@
+/**
+ * Utility for counting the changed lines of a pull request.
+ *
+ * @module pullRequestLines
+ */
+
+/**
+ * Returns the total additions and deletions of a pull request, from its file category stats when available.
+ * @param {Object} pr
+ * @returns {{ additions: number|null, deletions: number|null }}
+ */
+export function getPullRequestLineTotals(pr) {
+  if (!pr.fileTypeStats) {
+    return { additions: pr.additions ?? null, deletions: pr.deletions ?? null };
+  }
+  const stats = Object.values(pr.fileTypeStats);
+  return {
+    additions: stats.reduce((sum, { additions }) => sum + additions, 0),
+    deletions: stats.reduce((sum, { deletions }) => sum + deletions, 0)
+  };
+}
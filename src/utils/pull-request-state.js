@@ -0,0 +1,61 @@
+/**
+ * Utility for classifying pull requests by their lifecycle state.
+ * The GitHub API only reports `open` and `closed`; merged pull requests are recognised by `merged_at`
+ * and drafts by the `draft` flag.
+ *
+ * @module pullRequestState
+ */
+
+/**
+ * Lifecycle states of a pull request, in the order they are shown.
+ * @enum {string}
+ */
+export const PULL_REQUEST_STATES = {
+  DRAFT: 'draft',
+  OPEN: 'open',
+  MERGED: 'merged',
+  CLOSED: 'closed'
+};
+
+/** Section headings of the pull request states. */
+export const PULL_REQUEST_STATE_LABELS = {
+  [PULL_REQUEST_STATES.DRAFT]: 'Draft Pull Requests',
+  [PULL_REQUEST_STATES.OPEN]: 'Open Pull Requests',
+  [PULL_REQUEST_STATES.MERGED]: 'Merged Pull Requests',
+  [PULL_REQUEST_STATES.CLOSED]: 'Closed Without Merge'
+};
+
+/**
+ * Returns the lifecycle state of a pull request. `closed` means closed without being merged.
+ * @param {Object} pr - The pull request object.
+ * @returns {string} One of {@link PULL_REQUEST_STATES}.
+ */
+export function getPullRequestState(pr) {
+  if (pr.merged_at) return PULL_REQUEST_STATES.MERGED;
+  if (pr.state !== 'open') return PULL_REQUEST_STATES.CLOSED;
+  return pr.draft ? PULL_REQUEST_STATES.DRAFT : PULL_REQUEST_STATES.OPEN;
+}
+
+/**
+ * Counts pull requests per state.
+ * @param {Object[]} pullRequests
+ * @returns {{ draft: number, open: number, merged: number, closed: number }}
+ */
+export function countPullRequestsByState(pullRequests) {
+  const counts = Object.fromEntries(Object.values(PULL_REQUEST_STATES).map(state => [state, 0]));
+  for (const pr of pullRequests) {
+    counts[getPullRequestState(pr)]++;
+  }
+  return counts;
+}
+
+/**
+ * Returns the share of decided pull requests that were merged.
+ * Open and draft pull requests are not decided yet and therefore not counted.
+ * @param {{ merged: number, closed: number }} counts - Counts as returned by {@link countPullRequestsByState}.
+ * @returns {number|null} The merge rate between 0 and 1, or `null` if no pull request was decided.
+ */
+export function getMergeRate({ merged, closed }) {
+  const decided = merged + closed;
+  return decided ? merged / decided : null;
+}
@@ -0,0 +1,127 @@
+/**
+ * Utility for searching, filtering and sorting the repositories of an organization by the fields the
+ * repository list endpoint returns: name, description, archived and fork status, visibility, language,
+ * topics, last push, stars, open issues and size.
+ *
+ * @module repositoryFilters
+ */
+
+/**
+ * How archived repositories are filtered.
+ * @enum {string}
+ */
+export const ARCHIVED_FILTERS = {
+  EXCLUDE: 'exclude',
+  INCLUDE: 'include',
+  ONLY: 'only'
+};
+
+/**
+ * How forked repositories are filtered.
+ * @enum {string}
+ */
+export const FORK_FILTERS = {
+  INCLUDE: 'include',
+  EXCLUDE: 'exclude',
+  ONLY: 'only'
+};
+
+/**
+ * Available repository sort orders.
+ * @enum {string}
+ */
+export const REPOSITORY_SORT_ORDERS = {
+  NAME: 'name',
+  PUSHED: 'pushed',
+  STARS: 'stars',
+  OPEN_ISSUES: 'openIssues',
+  SIZE: 'size'
+};
+
+/** Display labels of the sort orders. */
+export const REPOSITORY_SORT_LABELS = {
+  [REPOSITORY_SORT_ORDERS.NAME]: 'Name',
+  [REPOSITORY_SORT_ORDERS.PUSHED]: 'Last push',
+  [REPOSITORY_SORT_ORDERS.STARS]: 'Stars',
+  [REPOSITORY_SORT_ORDERS.OPEN_ISSUES]: 'Open issues and PRs',
+  [REPOSITORY_SORT_ORDERS.SIZE]: 'Size'
+};
+
+/**
+ * Criteria to filter repositories by; empty or missing criteria match every repository.
+ * @typedef {Object} RepositoryFilter
+ * @property {string} [query] - Text searched in the name and description, case-insensitive.
+ * @property {string} [archived='include'] - One of {@link ARCHIVED_FILTERS}.
+ * @property {string} [fork='include'] - One of {@link FORK_FILTERS}.
+ * @property {string} [visibility] - 'public', 'private' or 'internal'.
+ * @property {string} [language] - The primary language.
+ * @property {string} [topic] - A topic the repository must have.
+ */
+
+/**
+ * Returns the visibility of a repository; older servers only return the `private` flag.
+ * @param {Object} repo
+ * @returns {string} 'public', 'private' or 'internal'.
+ */
+export function getRepositoryVisibility(repo) {
+  return repo.visibility || (repo.private ? 'private' : 'public');
+}
+
+/**
+ * Returns whether a repository passes a three-way filter on a boolean field.
+ * @param {boolean} value - The field value.
+ * @param {string} filter - 'include', 'exclude' or 'only'.
+ * @returns {boolean}
+ */
+function matchesFlagFilter(value, filter) {
+  if (filter === 'exclude') return !value;
+  if (filter === 'only') return Boolean(value);
+  return true;
+}
+
+/**
+ * Returns the repositories matching all filter criteria.
+ * @param {Object[]} repositories
+ * @param {RepositoryFilter} filter
+ * @returns {Object[]}
+ */
+export function filterRepositories(repositories, filter) {
+  const query = (filter.query || '').trim().toLowerCase();
+  return repositories.filter(repo => {
+    if (query && !repo.name.toLowerCase().includes(query) && !(repo.description || '').toLowerCase().includes(query)) return false;
+    if (!matchesFlagFilter(repo.archived, filter.archived)) return false;
+    if (!matchesFlagFilter(repo.fork, filter.fork)) return false;
+    if (filter.visibility && getRepositoryVisibility(repo) !== filter.visibility) return false;
+    if (filter.language && repo.language !== filter.language) return false;
+    if (filter.topic && !(repo.topics || []).includes(filter.topic)) return false;
+    return true;
+  });
+}
+
+/**
+ * Sorts repositories; every order except by name puts the largest or most recent first, ties by name.
+ * @param {Object[]} repositories
+ * @param {string} [sortBy='name'] - One of {@link REPOSITORY_SORT_ORDERS}.
+ * @returns {Object[]} A new, sorted array.
+ */
+export function sortRepositories(repositories, sortBy = REPOSITORY_SORT_ORDERS.NAME) {
+  const getValue = {
+    [REPOSITORY_SORT_ORDERS.PUSHED]: repo => Date.parse(repo.pushed_at) || 0,
+    [REPOSITORY_SORT_ORDERS.STARS]: repo => repo.stargazers_count || 0,
+    [REPOSITORY_SORT_ORDERS.OPEN_ISSUES]: repo => repo.open_issues_count || 0,
+    [REPOSITORY_SORT_ORDERS.SIZE]: repo => repo.size || 0
+  }[sortBy];
+  return [...repositories].sort((a, b) => (getValue ? getValue(b) - getValue(a) : 0) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Returns the distinct languages and topics of repositories, for filter options.
+ * @param {Object[]} repositories
+ * @returns {{ languages: string[], topics: string[] }} Both sorted alphabetically.
+ */
+export function getRepositoryFilterOptions(repositories) {
+  return {
+    languages: [...new Set(repositories.map(repo => repo.language).filter(Boolean))].sort(),
+    topics: [...new Set(repositories.flatMap(repo => repo.topics || []))].sort()
+  };
+}
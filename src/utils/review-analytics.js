@@ -0,0 +1,90 @@
+/**
+ * Utility for analysing who reviews whose pull requests: reviews given per person, approvals versus
+ * change requests, the share of the review load each reviewer carries and a reviewer→author matrix.
+ * Reviews by the pull request author and pending reviews are ignored.
+ *
+ * @module reviewAnalytics
+ */
+
+/**
+ * Review activity of one reviewer.
+ * @typedef {Object} ReviewerStats
+ * @property {string} reviewer - The reviewer login.
+ * @property {number} reviews - Number of submitted reviews.
+ * @property {number} approvals - Number of approving reviews.
+ * @property {number} changesRequested - Number of reviews requesting changes.
+ * @property {number} commented - Number of reviews that only commented.
+ * @property {number} comments - Number of review comments on the diff.
+ * @property {number} pullRequestsReviewed - Number of distinct pull requests reviewed.
+ * @property {number} loadShare - Share of all reviewed pull requests this reviewer reviewed (0-1).
+ */
+
+/**
+ * Returns the submitted reviews of a pull request that were written by someone other than its author.
+ * @param {Object} pr - The pull request object with `reviews`.
+ * @returns {Object[]}
+ */
+export function getPeerReviews(pr) {
+  const authorLogin = pr.user?.login;
+  return (pr.reviews || []).filter(review => review.state !== 'PENDING' && review.user?.login !== authorLogin);
+}
+
+/**
+ * Returns the review activity of every reviewer, sorted descending by number of reviews.
+ * @param {Object[]} pullRequests
+ * @returns {ReviewerStats[]}
+ */
+export function getReviewerStats(pullRequests) {
+  const statsByReviewer = {};
+  let reviewedPullRequests = 0;
+  for (const pr of pullRequests) {
+    const reviews = getPeerReviews(pr);
+    if (reviews.length) reviewedPullRequests++;
+    const reviewersOfPr = new Set();
+    for (const review of reviews) {
+      const reviewer = review.user?.login || 'unknown';
+      if (!statsByReviewer[reviewer]) {
+        statsByReviewer[reviewer] = { reviewer, reviews: 0, approvals: 0, changesRequested: 0, commented: 0, comments: 0, pullRequestsReviewed: 0 };
+      }
+      const stats = statsByReviewer[reviewer];
+      stats.reviews++;
+      if (review.state === 'APPROVED') stats.approvals++;
+      if (review.state === 'CHANGES_REQUESTED') stats.changesRequested++;
+      if (review.state === 'COMMENTED') stats.commented++;
+      stats.comments += review.comment_count || 0;
+      reviewersOfPr.add(reviewer);
+    }
+    for (const reviewer of reviewersOfPr) {
+      statsByReviewer[reviewer].pullRequestsReviewed++;
+    }
+  }
+  return Object.values(statsByReviewer)
+    .map(stats => ({ ...stats, loadShare: reviewedPullRequests ? stats.pullRequestsReviewed / reviewedPullRequests : 0 }))
+    .sort((a, b) => b.reviews - a.reviews);
+}
+
+/**
+ * Returns how many pull requests of each author every reviewer reviewed.
+ * @param {Object[]} pullRequests
+ * @returns {{ reviewers: string[], authors: string[], counts: Object, max: number }}
+ *   Reviewers and authors sorted by activity, `counts[reviewer][author]` and the largest count.
+ */
+export function getReviewerAuthorMatrix(pullRequests) {
+  const counts = {};
+  const reviewerTotals = {};
+  const authorTotals = {};
+  let max = 0;
+  for (const pr of pullRequests) {
+    const author = pr.user?.login || 'unknown';
+    const reviewers = new Set(getPeerReviews(pr).map(review => review.user?.login || 'unknown'));
+    for (const reviewer of reviewers) {
+      if (!counts[reviewer]) counts[reviewer] = {};
+      counts[reviewer][author] = (counts[reviewer][author] || 0) + 1;
+      reviewerTotals[reviewer] = (reviewerTotals[reviewer] || 0) + 1;
+      authorTotals[author] = (authorTotals[author] || 0) + 1;
+      max = Math.max(max, counts[reviewer][author]);
+    }
+  }
+  const byTotal = totals => Object.keys(totals).sort((a, b) => totals[b] - totals[a] || a.localeCompare(b));
+  return { reviewers: byTotal(reviewerTotals), authors: byTotal(authorTotals), counts, max };
+}
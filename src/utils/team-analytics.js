@@ -0,0 +1,45 @@
+/**
+ * Utility for rolling pull request metrics up to teams: which pull requests were opened by team members,
+ * and the team's pull request counts per period.
+ *
+ * @module teamAnalytics
+ */
+
+/**
+ * Returns whether a pull request author belongs to a team. Authors merged by an alias match
+ * with their current and their original login.
+ * @param {Object|null} user - The `user` of a pull request.
+ * @param {import('../services/github-team-service.js').Team} team - The team.
+ * @returns {boolean}
+ */
+export function isTeamMember(user, team) {
+  if (!user?.login) return false;
+  const members = new Set(team.members.map(member => member.toLowerCase()));
+  return members.has(user.login.toLowerCase()) || (!!user.alias && members.has(user.alias.toLowerCase()));
+}
+
+/**
+ * Returns the pull requests opened by members of a team.
+ * @param {Object[]} pullRequests - The pull requests.
+ * @param {import('../services/github-team-service.js').Team} team - The team.
+ * @returns {Object[]}
+ */
+export function filterPullRequestsByTeam(pullRequests, team) {
+  return pullRequests.filter(pr => isTeamMember(pr.user, team));
+}
+
+/**
+ * Adds up the counts per period of all contributors into one series. All contributors cover the same periods,
+ * as returned by `countPullRequestsByUserPerPeriod`.
+ * @param {Object} countsByUser - { [user]: Array<{ period: string, count: number }> }
+ * @returns {Array<{ period: string, count: number }>}
+ */
+export function sumPeriodCounts(countsByUser) {
+  const totals = new Map();
+  for (const counts of Object.values(countsByUser)) {
+    for (const { period, count } of counts) {
+      totals.set(period, (totals.get(period) || 0) + count);
+    }
+  }
+  return [...totals.entries()].map(([period, count]) => ({ period, count })).sort((a, b) => a.period.localeCompare(b.period));
+}
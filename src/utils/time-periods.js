@@ -0,0 +1,147 @@
+/**
+ * Utility for bucketing dates into days, ISO weeks, months or quarters, as used by the time-series charts.
+ * All calculations use UTC. Week keys use the ISO week-numbering year, so 2024-12-30 belongs to `2025-W01`
+ * and 2027-01-01 to `2026-W53`.
+ *
+ * @module timePeriods
+ */
+
+/**
+ * Sizes of the periods time series are bucketed into.
+ * @enum {string}
+ */
+export const TIME_GRANULARITIES = {
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month',
+  QUARTER: 'quarter'
+};
+
+/** Display labels of the granularities, e.g. for axis titles. */
+export const TIME_GRANULARITY_LABELS = {
+  [TIME_GRANULARITIES.DAY]: 'Day',
+  [TIME_GRANULARITIES.WEEK]: 'Week',
+  [TIME_GRANULARITIES.MONTH]: 'Month',
+  [TIME_GRANULARITIES.QUARTER]: 'Quarter'
+};
+
+/** Adjectives of the granularities, e.g. for chart titles. */
+export const TIME_GRANULARITY_ADJECTIVES = {
+  [TIME_GRANULARITIES.DAY]: 'Daily',
+  [TIME_GRANULARITIES.WEEK]: 'Weekly',
+  [TIME_GRANULARITIES.MONTH]: 'Monthly',
+  [TIME_GRANULARITIES.QUARTER]: 'Quarterly'
+};
+
+/**
+ * Returns the Thursday of a date's ISO week, which decides the week's number and year.
+ * @param {Date} date
+ * @returns {Date}
+ */
+function getISOWeekThursday(date) {
+  const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const dayNum = thursday.getUTCDay() || 7;
+  thursday.setUTCDate(thursday.getUTCDate() + 4 - dayNum);
+  return thursday;
+}
+
+/**
+ * Returns ISO week number for a date (1-53).
+ * @param {Date} date
+ * @returns {number}
+ */
+export function getISOWeek(date) {
+  const thursday = getISOWeekThursday(date);
+  const yearStart = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 1));
+  return Math.ceil((((thursday - yearStart) / 86400000) + 1) / 7);
+}
+
+/**
+ * Returns the ISO week-numbering year of a date, which differs from the calendar year
+ * for some days around New Year.
+ * @param {Date} date
+ * @returns {number}
+ */
+export function getISOWeekYear(date) {
+  return getISOWeekThursday(date).getUTCFullYear();
+}
+
+/**
+ * Returns the key of the period a date falls in: `2025-02-14`, `2025-W07`, `2025-02` or `2025-Q1`.
+ * Keys of the same granularity sort chronologically.
+ * @param {Date} date
+ * @param {string} granularity - One of {@link TIME_GRANULARITIES}.
+ * @returns {string}
+ */
+export function getPeriodKey(date, granularity) {
+  const year = date.getUTCFullYear();
+  const month = (date.getUTCMonth() + 1).toString().padStart(2, '0');
+  switch (granularity) {
+    case TIME_GRANULARITIES.DAY:
+      return `${year}-${month}-${date.getUTCDate().toString().padStart(2, '0')}`;
+    case TIME_GRANULARITIES.MONTH:
+      return `${year}-${month}`;
+    case TIME_GRANULARITIES.QUARTER:
+      return `${year}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`;
+    default:
+      return `${getISOWeekYear(date)}-W${getISOWeek(date).toString().padStart(2, '0')}`;
+  }
+}
+
+/**
+ * Returns the start of the period a date falls in, at midnight UTC. Weeks start on Monday.
+ * @param {Date} date
+ * @param {string} granularity - One of {@link TIME_GRANULARITIES}.
+ * @returns {Date}
+ */
+export function getPeriodStart(date, granularity) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  switch (granularity) {
+    case TIME_GRANULARITIES.DAY:
+      return new Date(Date.UTC(year, month, date.getUTCDate()));
+    case TIME_GRANULARITIES.MONTH:
+      return new Date(Date.UTC(year, month, 1));
+    case TIME_GRANULARITIES.QUARTER:
+      return new Date(Date.UTC(year, month - (month % 3), 1));
+    default:
+      return new Date(Date.UTC(year, month, date.getUTCDate() - ((date.getUTCDay() + 6) % 7)));
+  }
+}
+
+/**
+ * Returns the start of the period following the one that starts at the given date.
+ * @param {Date} periodStart - The start of a period, see {@link getPeriodStart}.
+ * @param {string} granularity - One of {@link TIME_GRANULARITIES}.
+ * @returns {Date}
+ */
+export function getNextPeriodStart(periodStart, granularity) {
+  const year = periodStart.getUTCFullYear();
+  const month = periodStart.getUTCMonth();
+  const day = periodStart.getUTCDate();
+  switch (granularity) {
+    case TIME_GRANULARITIES.DAY:
+      return new Date(Date.UTC(year, month, day + 1));
+    case TIME_GRANULARITIES.MONTH:
+      return new Date(Date.UTC(year, month + 1, 1));
+    case TIME_GRANULARITIES.QUARTER:
+      return new Date(Date.UTC(year, month + 3, 1));
+    default:
+      return new Date(Date.UTC(year, month, day + 7));
+  }
+}
+
+/**
+ * Returns the keys of all periods from the one containing `from` to the one containing `to`, in order.
+ * @param {Date} from
+ * @param {Date} to
+ * @param {string} granularity - One of {@link TIME_GRANULARITIES}.
+ * @returns {string[]}
+ */
+export function getPeriodKeysBetween(from, to, granularity) {
+  const keys = [];
+  for (let start = getPeriodStart(from, granularity); start <= to; start = getNextPeriodStart(start, granularity)) {
+    keys.push(getPeriodKey(start, granularity));
+  }
+  return keys;
+}
@@ -0,0 +1,45 @@
+/**
+ * Utility for reacting when elements scroll into or out of view, e.g. to create charts only while
+ * they are visible. All elements share one IntersectionObserver.
+ *
+ * @module viewportObserver
+ */
+
+/** Distance around the viewport within which elements already count as visible, so charts are ready when scrolled to. */
+const VIEWPORT_MARGIN = '200px';
+
+/** Callbacks of the observed elements. */
+const callbacks = new WeakMap();
+
+/** @type {IntersectionObserver|null} */
+let observer = null;
+
+/**
+ * Returns the shared observer, creating it on first use.
+ * @returns {IntersectionObserver}
+ */
+function getObserver() {
+  if (!observer) {
+    observer = new IntersectionObserver(entries => {
+      for (const entry of entries) {
+        callbacks.get(entry.target)?.(entry.isIntersecting);
+      }
+    }, { rootMargin: VIEWPORT_MARGIN });
+  }
+  return observer;
+}
+
+/**
+ * Calls a function whenever an element enters or leaves the viewport, and once right after observing starts.
+ * @param {Element} element - The element to observe.
+ * @param {function(boolean): void} onChange - Called with `true` when the element is in view, `false` when it left.
+ * @returns {Function} A function that stops observing the element.
+ */
+export function observeViewport(element, onChange) {
+  callbacks.set(element, onChange);
+  getObserver().observe(element);
+  return () => {
+    callbacks.delete(element);
+    getObserver().unobserve(element);
+  };
+}
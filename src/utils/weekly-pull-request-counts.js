@@ -0,0 +1,70 @@
+/**
+ * Utility for counting pull requests per contributor and week, or another time period, as shown in the
+ * weekly PR charts.
+ *
+ * @module weeklyPullRequestCounts
+ */
+import { TIME_GRANULARITIES, getPeriodKey, getPeriodKeysBetween } from './time-periods.js';
+
+/**
+ * Adds up values per user and time period. All users start at the earliest period of any entry,
+ * and missing periods are filled with 0.
+ * @param {Array<{ user: string, date: Date, value: number }>} entries - The values to add up.
+ * @param {string} [granularity=TIME_GRANULARITIES.WEEK] - The period size, see {@link TIME_GRANULARITIES}.
+ * @returns {Object} { [user]: Array<{ period: string, count: number }> }
+ */
+export function sumByUserPerPeriod(entries, granularity = TIME_GRANULARITIES.WEEK) {
+  const periodMap = {};
+  let minDate = null;
+  let maxDate = null;
+  // First, collect all periods per user and find min/max date
+  for (const { user, date, value } of entries) {
+    if (!minDate || date < minDate) minDate = date;
+    if (!maxDate || date > maxDate) maxDate = date;
+    const periodKey = getPeriodKey(date, granularity);
+    if (!periodMap[user]) periodMap[user] = {};
+    periodMap[user][periodKey] = (periodMap[user][periodKey] || 0) + value;
+  }
+  if (!minDate || !maxDate) return {};
+  // For each user, fill in missing periods with count 0
+  const allPeriods = getPeriodKeysBetween(minDate, maxDate, granularity);
+  const result = {};
+  for (const user of Object.keys(periodMap)) {
+    result[user] = allPeriods.map(period => ({ period, count: periodMap[user][period] || 0 }));
+  }
+  return result;
+}
+
+/**
+ * Returns a map of { user: { period, count }[] } for PRs by period of creation, e.g. `2025-W07` for weeks.
+ * All users start at the earliest period any PR was made, and missing periods are filled with count 0.
+ * @param {Object[]} pullRequests
+ * @param {string} [granularity=TIME_GRANULARITIES.WEEK] - The period size, see {@link TIME_GRANULARITIES}.
+ * @returns {Object} { [user]: Array<{ period: string, count: number }> }
+ */
+export function countPullRequestsByUserPerPeriod(pullRequests, granularity = TIME_GRANULARITIES.WEEK) {
+  return sumByUserPerPeriod(pullRequests.map(pr => ({
+    user: pr.user?.login || 'unknown',
+    date: new Date(pr.created_at),
+    value: 1
+  })), granularity);
+}
+
+/**
+ * Converts counts per user and period into each user's share of the period's total (0-1), e.g. for
+ * a normalized stacked chart. Periods without any count have a share of 0 for everyone.
+ * @param {Object} countsByUser - { [user]: Array<{ period: string, count: number }> }, covering the same periods.
+ * @returns {Object} { [user]: Array<{ period: string, share: number }> }
+ */
+export function getPeriodShares(countsByUser) {
+  const totals = new Map();
+  for (const counts of Object.values(countsByUser)) {
+    for (const { period, count } of counts) {
+      totals.set(period, (totals.get(period) || 0) + count);
+    }
+  }
+  return Object.fromEntries(Object.entries(countsByUser).map(([user, counts]) => [
+    user,
+    counts.map(({ period, count }) => ({ period, share: totals.get(period) ? count / totals.get(period) : 0 }))
+  ]));
+}
@@ -0,0 +1,110 @@
+/**
+ * Utility for measuring contributors against weekly targets: the weekly values of each target metric,
+ * how many weeks a contributor reached the target, their on-target streaks and who is consistently below target.
+ *
+ * @module weeklyTargets
+ */
+import { countPullRequestsByUserPerPeriod, sumByUserPerPeriod } from './weekly-pull-request-counts.js';
+import { getPeerReviews } from './review-analytics.js';
+import { getPullRequestLineTotals } from './pull-request-lines.js';
+
+/**
+ * Metrics a weekly target can be set for.
+ * @enum {string}
+ */
+export const TARGET_METRICS = {
+  PULL_REQUESTS: 'pullRequests',
+  MERGED_LINES: 'mergedLines',
+  REVIEWS: 'reviews'
+};
+
+/** Display labels of the target metrics. */
+export const TARGET_METRIC_LABELS = {
+  [TARGET_METRICS.PULL_REQUESTS]: 'PRs per week',
+  [TARGET_METRICS.MERGED_LINES]: 'Merged lines per week',
+  [TARGET_METRICS.REVIEWS]: 'Reviews per week'
+};
+
+/** Contributors reaching their target in fewer than this share of weeks count as consistently below target. */
+export const BELOW_TARGET_THRESHOLD = 0.5;
+
+/**
+ * How a contributor did against a weekly target.
+ * @typedef {Object} TargetAttainment
+ * @property {number} weeks - Number of weeks measured.
+ * @property {number} weeksOnTarget - Number of weeks the target was reached.
+ * @property {number|null} attainment - Share of weeks on target (0-1), `null` without weeks.
+ * @property {number} currentStreak - Consecutive weeks on target up to the latest week.
+ * @property {number} longestStreak - Longest run of consecutive weeks on target.
+ */
+
+/**
+ * Returns the weekly values of a target metric per contributor: PRs opened by week of creation,
+ * lines changed in merged PRs by week of merge, or peer reviews submitted by week of submission.
+ * @param {Object[]} pullRequests - The pull requests.
+ * @param {string} metric - One of {@link TARGET_METRICS}.
+ * @param {string[]} [contributors=[]] - Contributors to include with zero values when they have none.
+ * @returns {Object} { [user]: Array<{ period: string, count: number }> }
+ */
+export function getWeeklyMetricByUser(pullRequests, metric, contributors = []) {
+  let weeklyDataByUser;
+  if (metric === TARGET_METRICS.MERGED_LINES) {
+    weeklyDataByUser = sumByUserPerPeriod(pullRequests.filter(pr => pr.merged_at).map(pr => {
+      const { additions, deletions } = getPullRequestLineTotals(pr);
+      return { user: pr.user?.login || 'unknown', date: new Date(pr.merged_at), value: (additions || 0) + (deletions || 0) };
+    }));
+  } else if (metric === TARGET_METRICS.REVIEWS) {
+    weeklyDataByUser = sumByUserPerPeriod(pullRequests.flatMap(pr => getPeerReviews(pr)
+      .filter(review => review.submitted_at)
+      .map(review => ({ user: review.user?.login || 'unknown', date: new Date(review.submitted_at), value: 1 }))));
+  } else {
+    weeklyDataByUser = countPullRequestsByUserPerPeriod(pullRequests);
+  }
+  const weeks = Object.values(weeklyDataByUser)[0]?.map(({ period }) => period) || [];
+  for (const user of contributors) {
+    if (!weeklyDataByUser[user]) weeklyDataByUser[user] = weeks.map(period => ({ period, count: 0 }));
+  }
+  return weeklyDataByUser;
+}
+
+/**
+ * Measures weekly values against a target.
+ * @param {Array<{ period: string, count: number }>} weeklyData - The weekly values, oldest first.
+ * @param {number} target - The weekly target.
+ * @returns {TargetAttainment}
+ */
+export function getTargetAttainment(weeklyData, target) {
+  let weeksOnTarget = 0;
+  let currentStreak = 0;
+  let longestStreak = 0;
+  for (const { count } of weeklyData) {
+    if (count >= target) {
+      weeksOnTarget++;
+      currentStreak++;
+      longestStreak = Math.max(longestStreak, currentStreak);
+    } else {
+      currentStreak = 0;
+    }
+  }
+  return {
+    weeks: weeklyData.length,
+    weeksOnTarget,
+    attainment: weeklyData.length ? weeksOnTarget / weeklyData.length : null,
+    currentStreak,
+    longestStreak
+  };
+}
+
+/**
+ * Returns the contributors who reached a target in fewer than the given share of weeks, lowest attainment first.
+ * @param {Object} weeklyDataByUser - { [user]: Array<{ period: string, count: number }> }
+ * @param {number} target - The weekly target.
+ * @param {number} [threshold=BELOW_TARGET_THRESHOLD] - The share of weeks on target below which a contributor is listed.
+ * @returns {Array<TargetAttainment & { user: string }>}
+ */
+export function getContributorsBelowTarget(weeklyDataByUser, target, threshold = BELOW_TARGET_THRESHOLD) {
+  return Object.entries(weeklyDataByUser)
+    .map(([user, weeklyData]) => ({ user, ...getTargetAttainment(weeklyData, target) }))
+    .filter(({ attainment }) => attainment !== null && attainment < threshold)
+    .sort((a, b) => a.attainment - b.attainment || a.user.localeCompare(b.user));
+}